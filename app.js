@@ -1,13 +1,21 @@
 require("dotenv").config();
 const express = require("express");
+const config = require("./config/config");
 const authRoutes = require("./routes/authRoutes");
 const userRoutes = require("./routes/userRoutes");
 const newsRoutes = require("./routes/newsRoutes");
+const feedRoutes = require("./routes/feedRoutes");
+const adminRoutes = require("./routes/adminRoutes");
 const { errorHandler, notFoundHandler } = require("./middleware/errorHandler");
 
 const app = express();
 
 // Middleware
+// Data export archives can exceed the default JSON body limit
+app.use(
+  "/api/v1/users/me/import",
+  express.json({ limit: config.dataExport.maxImportSize })
+);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -25,6 +33,8 @@ app.get("/", (req, res) => {
 app.use("/api/v1/auth", authRoutes);
 app.use("/api/v1/users", userRoutes);
 app.use("/api/v1/news", newsRoutes);
+app.use("/api/v1/feeds", feedRoutes);
+app.use("/api/v1/admin", adminRoutes);
 
 // 404 Handler - must come before error handler
 app.use(notFoundHandler);
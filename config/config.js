@@ -4,7 +4,9 @@ module.exports = {
   port: process.env.PORT || 3000,
   jwt: {
     secret: process.env.JWT_SECRET || "supersecretkey12345",
-    expiresIn: process.env.JWT_EXPIRES_IN || "7d",
+    // Short-lived access tokens, renewed with rotating refresh tokens
+    expiresIn: process.env.JWT_EXPIRES_IN || "15m",
+    refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
   },
   bcrypt: {
     saltRounds: parseInt(process.env.BCRYPT_SALT_ROUNDS) || 10,
@@ -13,4 +15,150 @@ module.exports = {
     apiKey: process.env.GNEWS_API_KEY,
     baseUrl: process.env.GNEWS_BASE_URL || "https://gnews.io/api/v4",
   },
+  news: {
+    // Providers are tried in order; later ones serve as fallbacks when
+    // the previous one is rate limited or unavailable
+    providers: (process.env.NEWS_PROVIDERS || "gnews")
+      .split(",")
+      .map((name) => name.trim().toLowerCase())
+      .filter(Boolean),
+  },
+  newsapi: {
+    apiKey: process.env.NEWSAPI_API_KEY,
+    baseUrl: process.env.NEWSAPI_BASE_URL || "https://newsapi.org/v2",
+  },
+  rss: {
+    feeds: (process.env.RSS_FEEDS || "")
+      .split(",")
+      .map((url) => url.trim())
+      .filter(Boolean),
+  },
+  feeds: {
+    // User feeds are only fetched from public addresses; hosts listed here
+    // may also resolve to loopback or private ones (e.g. an intranet feed)
+    allowedHosts: (process.env.FEED_ALLOWED_HOSTS || "")
+      .split(",")
+      .map((host) => host.trim().toLowerCase())
+      .filter(Boolean),
+    // Largest feed document accepted, in bytes
+    maxContentLength: parseInt(process.env.FEED_MAX_SIZE) || 5 * 1024 * 1024,
+  },
+  cache: {
+    // "memory" (default, per instance) or "redis" (shared between instances)
+    driver: process.env.CACHE_DRIVER || "memory",
+    redisUrl: process.env.REDIS_URL || "redis://localhost:6379",
+    keyPrefix: process.env.CACHE_KEY_PREFIX || "news-aggregator:",
+    // Least recently used entries are evicted beyond these limits (memory
+    // driver; configure maxmemory-policy on the Redis server instead)
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 1000,
+    maxBytes: parseInt(process.env.CACHE_MAX_BYTES) || 50 * 1024 * 1024,
+    // Per key prefix limits, so one-off searches can't crowd out
+    // personalized news and headlines
+    prefixQuotas: {
+      search: {
+        maxEntries: parseInt(process.env.CACHE_SEARCH_MAX_ENTRIES) || 500,
+        maxBytes:
+          parseInt(process.env.CACHE_SEARCH_MAX_BYTES) || 25 * 1024 * 1024,
+      },
+    },
+  },
+  emailVerification: {
+    // When true, unverified accounts are rejected on news routes
+    required: process.env.REQUIRE_EMAIL_VERIFICATION === "true",
+    tokenTtlHours: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24,
+  },
+  twoFactor: {
+    // Name shown in authenticator apps
+    issuer: process.env.TOTP_ISSUER || "News Aggregator",
+    // Time allowed between the password step and the code step
+    challengeExpiresIn: process.env.TWO_FACTOR_CHALLENGE_TTL || "5m",
+    recoveryCodes: 10,
+  },
+  passwordReset: {
+    tokenTtlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+    // Page of the client app that lets users choose a new password (it gets
+    // the token as ?token=...). Without it the email only carries the token.
+    pageUrl: process.env.PASSWORD_RESET_URL || null,
+  },
+  admin: {
+    // Accounts registered with these emails get the admin role
+    emails: (process.env.ADMIN_EMAILS || "")
+      .split(",")
+      .map((email) => email.trim().toLowerCase())
+      .filter(Boolean),
+  },
+  dataExport: {
+    // Body size limit for POST /users/me/import (archives can be large)
+    maxImportSize: process.env.DATA_IMPORT_MAX_SIZE || "5mb",
+    maxImportEntries: parseInt(process.env.DATA_IMPORT_MAX_ENTRIES) || 5000,
+  },
+  mail: {
+    // "memory" (default, kept in process) or "outbox" (.eml files on disk)
+    transport: process.env.MAIL_TRANSPORT || "memory",
+    // Messages kept by the memory transport (oldest are dropped)
+    memoryMaxMessages: parseInt(process.env.MAIL_MEMORY_MAX_MESSAGES) || 100,
+    outboxDir: process.env.MAIL_OUTBOX_DIR || "./outbox",
+    from: process.env.MAIL_FROM || "News Aggregator <no-reply@localhost>",
+    // Base URL used in links sent by email
+    appUrl:
+      process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`,
+  },
+  loginProtection: {
+    // Failed logins count within this window (per account and per IP)
+    windowMs: 15 * 60 * 1000,
+    // Progressive delay: from the `delayAfter`-th failure each attempt must
+    // wait baseDelayMs, doubling per failure up to maxDelayMs
+    delayAfter: 3,
+    baseDelayMs: 1000,
+    maxDelayMs: 30 * 1000,
+    // Temporary account lockout
+    maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES) || 5,
+    lockoutMs: (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000,
+    // Failed logins per IP (across accounts) before the IP is blocked
+    maxFailuresPerIp: parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP) || 50,
+  },
+  rateLimit: {
+    enabled: process.env.RATE_LIMIT_ENABLED !== "false",
+    // Token buckets per route group: `limit` requests burst, refilled
+    // evenly over `windowMs`; keyed by user id (authenticated routes) or IP
+    groups: {
+      auth: {
+        limit: parseInt(process.env.RATE_LIMIT_AUTH) || 30,
+        windowMs: 15 * 60 * 1000,
+        keyBy: "ip",
+      },
+      search: {
+        // Search and headlines call the news providers
+        limit: parseInt(process.env.RATE_LIMIT_SEARCH) || 30,
+        windowMs: 60 * 1000,
+        keyBy: "user",
+      },
+      news: {
+        limit: parseInt(process.env.RATE_LIMIT_NEWS) || 120,
+        windowMs: 60 * 1000,
+        keyBy: "user",
+      },
+      users: {
+        limit: parseInt(process.env.RATE_LIMIT_USERS) || 60,
+        windowMs: 60 * 1000,
+        keyBy: "user",
+      },
+      feeds: {
+        limit: parseInt(process.env.RATE_LIMIT_FEEDS) || 60,
+        windowMs: 60 * 1000,
+        keyBy: "ip",
+      },
+      admin: {
+        limit: parseInt(process.env.RATE_LIMIT_ADMIN) || 60,
+        windowMs: 60 * 1000,
+        keyBy: "user",
+      },
+    },
+  },
+  storage: {
+    // "memory" (default, data is lost on restart) or "json" (file-backed)
+    driver: process.env.STORAGE_DRIVER || "memory",
+    dataDir: process.env.STORAGE_DATA_DIR || "./data",
+    writeDelay: parseInt(process.env.STORAGE_WRITE_DELAY) || 100,
+  },
 };
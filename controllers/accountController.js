@@ -0,0 +1,250 @@
+const config = require("../config/config");
+const accountService = require("../services/accountService");
+const feedService = require("../services/feedService");
+const emailVerificationService = require("../services/emailVerificationService");
+const {
+  validateProfileUpdate,
+  validatePasswordChange,
+  validateDataImport,
+} = require("../utils/validation");
+const { exportFilename } = require("../utils/dataExport");
+
+/**
+ * Update the current user's profile
+ * PATCH /api/v1/users/profile
+ */
+const updateProfile = async (req, res) => {
+  try {
+    const { name, email } = req.body || {};
+
+    const validation = validateProfileUpdate({ name, email });
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: validation.errors,
+      });
+    }
+
+    const user = await accountService.updateProfile(req.user.id, {
+      name,
+      email,
+    });
+    const emailVerified = emailVerificationService.isVerified(user);
+    const pendingEmail = user.pendingEmail || null;
+
+    res.status(200).json({
+      success: true,
+      message: pendingEmail
+        ? "Profile updated successfully. Please confirm the new email address with the link sent to it."
+        : emailVerified
+          ? "Profile updated successfully"
+          : "Profile updated successfully. Please verify your email address.",
+      data: {
+        user: {
+          id: user.id,
+          email: user.email,
+          pendingEmail,
+          name: user.name,
+          preferences: user.preferences,
+          emailVerified,
+        },
+      },
+    });
+  } catch (error) {
+    if (error.statusCode === 404 || error.statusCode === 409) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Update profile error:", error);
+    res.status(500).json({
+      success: false,
+      message: "An error occurred while updating the profile",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Change the current user's password
+ * PUT /api/v1/users/password
+ */
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+
+    const validation = validatePasswordChange({ currentPassword, newPassword });
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: validation.errors,
+      });
+    }
+
+    const user = await accountService.changePassword(
+      req.user.id,
+      currentPassword,
+      newPassword,
+      req.auth.sessionId
+    );
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Current password is incorrect",
+        error: "INVALID_CURRENT_PASSWORD",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Password changed successfully. Other sessions were signed out.",
+    });
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Change password error:", error);
+    res.status(500).json({
+      success: false,
+      message: "An error occurred while changing the password",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete the current user's account
+ * DELETE /api/v1/users/me
+ */
+const deleteAccount = async (req, res) => {
+  try {
+    const { password } = req.body || {};
+
+    if (!password || typeof password !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: ["Password is required to delete the account"],
+      });
+    }
+
+    const deleted = await accountService.deleteAccount(req.user.id, password);
+    if (!deleted) {
+      return res.status(400).json({
+        success: false,
+        message: "Password is incorrect",
+        error: "INVALID_PASSWORD",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Account deleted successfully",
+    });
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Delete account error:", error);
+    res.status(500).json({
+      success: false,
+      message: "An error occurred while deleting the account",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Download the current user's data as a JSON archive
+ * GET /api/v1/users/me/export
+ */
+const exportData = async (req, res) => {
+  try {
+    const archive = accountService.exportData(req.user.id);
+
+    res.set(
+      "Content-Disposition",
+      `attachment; filename="${exportFilename(req.user)}"`
+    );
+    res.status(200).json(archive);
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Export data error:", error);
+    res.status(500).json({
+      success: false,
+      message: "An error occurred while exporting account data",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Restore an export archive into the current account
+ * POST /api/v1/users/me/import
+ */
+const importData = async (req, res) => {
+  try {
+    const validation = validateDataImport(
+      req.body,
+      config.dataExport.maxImportEntries,
+      feedService.maxFeedsPerUser
+    );
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: validation.errors,
+      });
+    }
+
+    const imported = await accountService.importData(req.user.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: "Account data imported successfully",
+      data: {
+        imported,
+      },
+    });
+  } catch (error) {
+    if (error.statusCode === 404 || error.statusCode === 409) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Import data error:", error);
+    res.status(500).json({
+      success: false,
+      message: "An error occurred while importing account data",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  updateProfile,
+  changePassword,
+  deleteAccount,
+  exportData,
+  importData,
+};
@@ -0,0 +1,195 @@
+const UserModel = require("../models/User");
+const accountService = require("../services/accountService");
+const backgroundJobService = require("../services/backgroundJobService");
+const cacheService = require("../services/cacheService");
+const emailVerificationService = require("../services/emailVerificationService");
+const { validatePagination, paginateByOffset } = require("../utils/pagination");
+
+/**
+ * User fields visible to admins (never the password or token hashes)
+ * @param {Object} user - User object
+ * @returns {Object} Admin view of the user
+ */
+const toAdminUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  name: user.name,
+  role: user.role || "user",
+  emailVerified: emailVerificationService.isVerified(user),
+  twoFactorEnabled: !!user.totpEnabled,
+  disabled: !!user.disabled,
+  disabledAt: user.disabledAt || null,
+  createdAt: user.createdAt,
+});
+
+/**
+ * List users
+ * GET /api/v1/admin/users
+ */
+const listUsers = async (req, res) => {
+  try {
+    const pagination = validatePagination(req.query, {
+      defaultLimit: 50,
+      type: "offset",
+    });
+    if (!pagination.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid pagination parameters",
+        errors: pagination.errors,
+      });
+    }
+
+    const users = UserModel.findAll();
+    const { items, nextCursor } = paginateByOffset(users, pagination);
+
+    res.status(200).json({
+      success: true,
+      message: "Users retrieved successfully",
+      data: {
+        totalUsers: users.length,
+        users: items.map(toAdminUser),
+        nextCursor,
+      },
+    });
+  } catch (error) {
+    console.error("List users error:", error);
+    res.status(500).json({
+      success: false,
+      message: "An error occurred while fetching users",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Build a handler that disables or re-enables a user
+ * @param {boolean} disabled - True to disable
+ * @returns {Function} Express handler
+ */
+const setUserDisabled = (disabled) => async (req, res) => {
+  try {
+    const user = accountService.setDisabled(
+      parseInt(req.params.id),
+      disabled,
+      req.user.id
+    );
+
+    res.status(200).json({
+      success: true,
+      message: disabled
+        ? "User disabled successfully"
+        : "User enabled successfully",
+      data: {
+        user: toAdminUser(user),
+      },
+    });
+  } catch (error) {
+    if (error.statusCode === 400 || error.statusCode === 404) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.errors,
+      });
+    }
+
+    console.error("Update user status error:", error);
+    res.status(500).json({
+      success: false,
+      message: "An error occurred while updating the user",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Disable a user
+ * POST /api/v1/admin/users/:id/disable
+ */
+const disableUser = setUserDisabled(true);
+
+/**
+ * Re-enable a user
+ * POST /api/v1/admin/users/:id/enable
+ */
+const enableUser = setUserDisabled(false);
+
+/**
+ * Get background job status
+ * GET /api/v1/admin/jobs
+ */
+const getJobStatus = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      message: "Job status retrieved successfully",
+      data: backgroundJobService.getStatus(),
+    });
+  } catch (error) {
+    console.error("Get job status error:", error);
+    res.status(500).json({
+      success: false,
+      message: "An error occurred while fetching job status",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Refresh the popular news cache now
+ * POST /api/v1/admin/cache/refresh
+ */
+const refreshCache = async (req, res) => {
+  try {
+    await backgroundJobService.forceUpdateCache();
+
+    res.status(200).json({
+      success: true,
+      message: "Cache refreshed successfully",
+      data: {
+        cacheStats: cacheService.getStats(),
+      },
+    });
+  } catch (error) {
+    console.error("Refresh cache error:", error);
+    res.status(500).json({
+      success: false,
+      message: "An error occurred while refreshing the cache",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Remove every cache entry
+ * DELETE /api/v1/admin/cache
+ */
+const clearCache = async (req, res) => {
+  try {
+    await cacheService.clear();
+
+    res.status(200).json({
+      success: true,
+      message: "Cache cleared successfully",
+      data: {
+        cacheStats: cacheService.getStats(),
+      },
+    });
+  } catch (error) {
+    console.error("Clear cache error:", error);
+    res.status(500).json({
+      success: false,
+      message: "An error occurred while clearing the cache",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  listUsers,
+  disableUser,
+  enableUser,
+  getJobStatus,
+  refreshCache,
+  clearCache,
+};
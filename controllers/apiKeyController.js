@@ -0,0 +1,109 @@
+const apiKeyService = require("../services/apiKeyService");
+const { validateApiKeyInput } = require("../utils/validation");
+
+/**
+ * List the current user's API keys
+ * GET /api/v1/users/api-keys
+ */
+const listApiKeys = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      message: "API keys retrieved successfully",
+      data: {
+        apiKeys: apiKeyService.list(req.user.id),
+      },
+    });
+  } catch (error) {
+    console.error("List API keys error:", error);
+    res.status(500).json({
+      success: false,
+      message: "An error occurred while fetching API keys",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Create an API key
+ * POST /api/v1/users/api-keys
+ */
+const createApiKey = async (req, res) => {
+  try {
+    const { name, scopes } = req.body || {};
+
+    const validation = validateApiKeyInput({ name, scopes });
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: validation.errors,
+      });
+    }
+
+    const { key, apiKey } = apiKeyService.create(req.user.id, {
+      name,
+      scopes,
+    });
+
+    res.status(201).json({
+      success: true,
+      message:
+        "API key created successfully. Store the key now; it cannot be shown again.",
+      data: {
+        key,
+        apiKey,
+      },
+    });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.errors,
+      });
+    }
+
+    console.error("Create API key error:", error);
+    res.status(500).json({
+      success: false,
+      message: "An error occurred while creating the API key",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Revoke an API key
+ * DELETE /api/v1/users/api-keys/:id
+ */
+const revokeApiKey = async (req, res) => {
+  try {
+    apiKeyService.revoke(req.user.id, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: "API key revoked successfully",
+    });
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Revoke API key error:", error);
+    res.status(500).json({
+      success: false,
+      message: "An error occurred while revoking the API key",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+};
@@ -1,4 +1,6 @@
 const ArticleModel = require("../models/Article");
+const articleService = require("../services/articleService");
+const { validatePagination, paginateByKey } = require("../utils/pagination");
 
 /**
  * Mark article as read
@@ -8,8 +10,7 @@ const markAsRead = async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Mark as read using just the article ID
-    const result = ArticleModel.markAsReadById(req.user.id, id);
+    const result = articleService.markAsRead(req.user.id, id);
 
     res.status(200).json({
       success: true,
@@ -20,6 +21,13 @@ const markAsRead = async (req, res) => {
       },
     });
   } catch (error) {
+    if (error.statusCode === 404) {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     console.error("Mark as read error:", error);
     res.status(500).json({
       success: false,
@@ -35,14 +43,34 @@ const markAsRead = async (req, res) => {
  */
 const getReadArticles = async (req, res) => {
   try {
+    const pagination = validatePagination(req.query, {
+      defaultLimit: 20,
+      type: "key",
+    });
+    if (!pagination.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid pagination parameters",
+        errors: pagination.errors,
+      });
+    }
+
     const readArticles = ArticleModel.getReadArticles(req.user.id);
 
+    // Most recently read first
+    const { items, nextCursor } = paginateByKey(
+      readArticles,
+      pagination,
+      "readAt"
+    );
+
     res.status(200).json({
       success: true,
       message: "Read articles retrieved successfully",
       data: {
         totalRead: readArticles.length,
-        articles: readArticles,
+        articles: items,
+        nextCursor,
       },
     });
   } catch (error) {
@@ -63,8 +91,7 @@ const markAsFavorite = async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Mark as favorite using just the article ID
-    const result = ArticleModel.markAsFavoriteById(req.user.id, id);
+    const result = articleService.markAsFavorite(req.user.id, id);
 
     res.status(200).json({
       success: true,
@@ -75,6 +102,13 @@ const markAsFavorite = async (req, res) => {
       },
     });
   } catch (error) {
+    if (error.statusCode === 404) {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     console.error("Mark as favorite error:", error);
     res.status(500).json({
       success: false,
@@ -121,14 +155,34 @@ const removeFavorite = async (req, res) => {
  */
 const getFavoriteArticles = async (req, res) => {
   try {
+    const pagination = validatePagination(req.query, {
+      defaultLimit: 20,
+      type: "key",
+    });
+    if (!pagination.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid pagination parameters",
+        errors: pagination.errors,
+      });
+    }
+
     const favoriteArticles = ArticleModel.getFavoriteArticles(req.user.id);
 
+    // Most recently favorited first
+    const { items, nextCursor } = paginateByKey(
+      favoriteArticles,
+      pagination,
+      "favoritedAt"
+    );
+
     res.status(200).json({
       success: true,
       message: "Favorite articles retrieved successfully",
       data: {
         totalFavorites: favoriteArticles.length,
-        articles: favoriteArticles,
+        articles: items,
+        nextCursor,
       },
     });
   } catch (error) {
@@ -1,7 +1,17 @@
 const UserModel = require("../models/User");
 const { hashPassword, comparePassword } = require("../utils/password");
-const { generateToken } = require("../utils/jwt");
-const { validateRegistration, validateLogin } = require("../utils/validation");
+const tokenService = require("../services/tokenService");
+const loginAttemptService = require("../services/loginAttemptService");
+const passwordResetService = require("../services/passwordResetService");
+const emailVerificationService = require("../services/emailVerificationService");
+const twoFactorService = require("../services/twoFactorService");
+const {
+  validateRegistration,
+  validateLogin,
+  validateEmailInput,
+  validatePasswordReset,
+} = require("../utils/validation");
+const { AuthenticationError } = require("../middleware/errorHandler");
 
 /**
  * Register a new user
@@ -33,25 +43,39 @@ const register = async (req, res) => {
     // Hash password
     const hashedPassword = await hashPassword(password);
 
-    // Create user
+    // Create user (configured admin emails get the admin role once they
+    // are verified, see emailVerificationService.verify)
+    const normalizedEmail = email.toLowerCase().trim();
     const user = UserModel.create({
-      email: email.toLowerCase().trim(),
+      email: normalizedEmail,
       password: hashedPassword,
       name: name.trim(),
       preferences: preferences || [],
+      role: "user",
+      emailVerified: false,
     });
 
+    // Send the verification link; the account can request a new one
+    try {
+      await emailVerificationService.sendVerification(user);
+    } catch (error) {
+      console.error("Verification email error:", error);
+    }
+
     // Return success response (exclude password)
     // Note: User must login separately to receive JWT token
     res.status(201).json({
       success: true,
-      message: "User registered successfully. Please login to continue.",
+      message:
+        "User registered successfully. Please verify your email and login to continue.",
       data: {
         user: {
           id: user.id,
           email: user.email,
           name: user.name,
           preferences: user.preferences,
+          role: user.role,
+          emailVerified: false,
           createdAt: user.createdAt,
         },
       },
@@ -66,6 +90,69 @@ const register = async (req, res) => {
   }
 };
 
+/**
+ * Respond that an account is locked after too many failed logins
+ * @param {Object} res - Express response
+ * @param {string} lockedUntil - ISO timestamp when the lockout ends
+ */
+const sendAccountLocked = (res, lockedUntil) => {
+  const retryAfter = Math.ceil((Date.parse(lockedUntil) - Date.now()) / 1000);
+  res.set("Retry-After", String(Math.max(1, retryAfter)));
+
+  return res.status(423).json({
+    success: false,
+    message: "Account temporarily locked due to too many failed login attempts",
+    error: "ACCOUNT_LOCKED",
+    lockedUntil,
+  });
+};
+
+/**
+ * Respond to a login attempt rejected by loginAttemptService.check
+ * @param {Object} res - Express response
+ * @param {Object} attempt - Check result { reason, retryAfter, lockedUntil }
+ */
+const sendAttemptRejected = (res, attempt) => {
+  if (attempt.reason === "locked") {
+    return sendAccountLocked(res, attempt.lockedUntil);
+  }
+
+  res.set("Retry-After", String(attempt.retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: `Too many failed login attempts. Please retry in ${attempt.retryAfter} seconds.`,
+    error: "LOGIN_THROTTLED",
+  });
+};
+
+/**
+ * Start a session and respond with the token pair
+ * @param {Object} res - Express response
+ * @param {Object} user - Authenticated user
+ */
+const sendLoginSuccess = (res, user) => {
+  // Start a new session (access token + refresh token)
+  const { token, refreshToken, expiresIn } = tokenService.issueTokens(user);
+
+  res.status(200).json({
+    success: true,
+    message: "Login successful",
+    data: {
+      user: {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        preferences: user.preferences,
+        role: user.role || "user",
+        emailVerified: emailVerificationService.isVerified(user),
+      },
+      token,
+      refreshToken,
+      expiresIn,
+    },
+  });
+};
+
 /**
  * Login user
  * POST /login
@@ -84,49 +171,398 @@ const login = async (req, res) => {
       });
     }
 
-    // Find user by email
+    // Reject attempts while the account is locked or throttled; allowed
+    // attempts count as in progress until their outcome is recorded
+    const attempt = loginAttemptService.beginAttempt(email, req.ip);
+    if (!attempt.allowed) {
+      return sendAttemptRejected(res, attempt);
+    }
+
+    // Find user by email and compare passwords
     const user = UserModel.findByEmail(email.toLowerCase().trim());
-    if (!user) {
+    let isPasswordValid;
+    try {
+      isPasswordValid =
+        user && (await comparePassword(password, user.password));
+    } finally {
+      loginAttemptService.endAttempt(email, req.ip);
+    }
+
+    if (!isPasswordValid) {
+      const failure = loginAttemptService.recordFailure(email, req.ip);
+
+      if (failure.locked) {
+        return sendAccountLocked(res, failure.lockedUntil);
+      }
+
       return res.status(401).json({
         success: false,
         message: "Invalid email or password",
       });
     }
 
-    // Compare passwords
-    const isPasswordValid = await comparePassword(password, user.password);
-    if (!isPasswordValid) {
+    if (user.disabled) {
+      return res.status(403).json({
+        success: false,
+        message: "This account has been disabled",
+        error: "ACCOUNT_DISABLED",
+      });
+    }
+
+    // Accounts with 2FA need a code before a session is started
+    if (twoFactorService.isEnabled(user)) {
+      const { challengeToken, expiresIn } =
+        tokenService.issueChallengeToken(user);
+
+      return res.status(200).json({
+        success: true,
+        message:
+          "Two-factor authentication required. Send a code to POST /api/v1/auth/login/2fa.",
+        data: {
+          twoFactorRequired: true,
+          challengeToken,
+          expiresIn,
+        },
+      });
+    }
+
+    // Failures are only cleared once the whole login succeeded, so a
+    // correct password can't reset the counter between 2FA attempts
+    loginAttemptService.reset(email);
+    sendLoginSuccess(res, user);
+  } catch (error) {
+    console.error("Login error:", error);
+    res.status(500).json({
+      success: false,
+      message: "An error occurred during login",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Complete a login with a two-factor code
+ * POST /login/2fa
+ */
+const loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body || {};
+
+    const errors = [];
+    if (!challengeToken || typeof challengeToken !== "string") {
+      errors.push("Challenge token is required");
+    }
+    if (!code || typeof code !== "string") {
+      errors.push("Code is required");
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors,
+      });
+    }
+
+    const userId = tokenService.verifyChallengeToken(challengeToken);
+    const user = userId ? UserModel.findById(userId) : null;
+    if (!user || !twoFactorService.isEnabled(user)) {
       return res.status(401).json({
         success: false,
-        message: "Invalid email or password",
+        message: "Invalid or expired challenge. Please login again.",
+        error: "INVALID_CHALLENGE",
       });
     }
 
-    // Generate JWT token
-    const token = generateToken({
-      userId: user.id,
-      email: user.email,
+    // Wrong codes count as failed logins (throttling and lockout)
+    const attempt = loginAttemptService.check(user.email, req.ip);
+    if (!attempt.allowed) {
+      return sendAttemptRejected(res, attempt);
+    }
+
+    if (!twoFactorService.verify(user, code)) {
+      const failure = loginAttemptService.recordFailure(user.email, req.ip);
+
+      if (failure.locked) {
+        return sendAccountLocked(res, failure.lockedUntil);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: "Invalid two-factor code",
+        error: "INVALID_2FA_CODE",
+      });
+    }
+
+    loginAttemptService.reset(user.email);
+
+    if (user.disabled) {
+      return res.status(403).json({
+        success: false,
+        message: "This account has been disabled",
+        error: "ACCOUNT_DISABLED",
+      });
+    }
+
+    sendLoginSuccess(res, UserModel.findById(user.id));
+  } catch (error) {
+    console.error("Two-factor login error:", error);
+    res.status(500).json({
+      success: false,
+      message: "An error occurred during login",
+      error: error.message,
     });
+  }
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * POST /refresh
+ */
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (!refreshToken || typeof refreshToken !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: ["Refresh token is required"],
+      });
+    }
+
+    const result = tokenService.rotate(refreshToken);
 
-    // Return success response
     res.status(200).json({
       success: true,
-      message: "Login successful",
+      message: "Token refreshed successfully",
       data: {
-        user: {
-          id: user.id,
-          email: user.email,
-          name: user.name,
-          preferences: user.preferences,
-        },
-        token,
+        token: result.token,
+        refreshToken: result.refreshToken,
+        expiresIn: result.expiresIn,
       },
     });
   } catch (error) {
-    console.error("Login error:", error);
+    if (error instanceof AuthenticationError) {
+      return res.status(401).json({
+        success: false,
+        message: error.message,
+        error: error.errorCode,
+      });
+    }
+
+    console.error("Refresh token error:", error);
     res.status(500).json({
       success: false,
-      message: "An error occurred during login",
+      message: "An error occurred while refreshing token",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Logout current session
+ * POST /logout
+ */
+const logout = async (req, res) => {
+  try {
+    tokenService.revokeSession(req.auth.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: "Logged out successfully",
+    });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({
+      success: false,
+      message: "An error occurred during logout",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Logout all sessions of the current user
+ * POST /logout-all
+ */
+const logoutAll = async (req, res) => {
+  try {
+    const revokedSessions = tokenService.revokeAllSessions(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: "Logged out of all sessions successfully",
+      data: {
+        revokedSessions,
+      },
+    });
+  } catch (error) {
+    console.error("Logout all error:", error);
+    res.status(500).json({
+      success: false,
+      message: "An error occurred during logout",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Request a password reset email
+ * POST /forgot-password
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body || {};
+
+    const validation = validateEmailInput({ email });
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: validation.errors,
+      });
+    }
+
+    try {
+      await passwordResetService.requestReset(email);
+    } catch (error) {
+      // Same response as for unknown emails; the failure is only logged
+      console.error("Password reset email error:", error);
+    }
+
+    // Same response whether or not the account exists
+    res.status(200).json({
+      success: true,
+      message:
+        "If an account exists for this email, a password reset link has been sent",
+    });
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).json({
+      success: false,
+      message: "An error occurred while requesting a password reset",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Set a new password with a reset token
+ * POST /reset-password
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+
+    const validation = validatePasswordReset({ token, password });
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: validation.errors,
+      });
+    }
+
+    const user = await passwordResetService.resetPassword(token, password);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired password reset token",
+        error: "INVALID_RESET_TOKEN",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Password has been reset. Please login with your new password.",
+    });
+  } catch (error) {
+    console.error("Reset password error:", error);
+    res.status(500).json({
+      success: false,
+      message: "An error occurred while resetting the password",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Verify an email address
+ * GET /verify?token=
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    if (!token || typeof token !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: ["Verification token is required"],
+      });
+    }
+
+    const user = emailVerificationService.verify(token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired verification token",
+        error: "INVALID_VERIFICATION_TOKEN",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Email verified successfully",
+      data: {
+        email: user.email,
+        emailVerified: true,
+      },
+    });
+  } catch (error) {
+    console.error("Verify email error:", error);
+    res.status(500).json({
+      success: false,
+      message: "An error occurred while verifying the email",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Send a new verification email
+ * POST /resend-verification
+ */
+const resendVerification = async (req, res) => {
+  try {
+    const { email } = req.body || {};
+
+    const validation = validateEmailInput({ email });
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: validation.errors,
+      });
+    }
+
+    try {
+      await emailVerificationService.resend(email);
+    } catch (error) {
+      console.error("Verification email error:", error);
+    }
+
+    // Same response whether or not the account exists or is verified
+    res.status(200).json({
+      success: true,
+      message:
+        "If an unverified account exists for this email, a verification link has been sent",
+    });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    res.status(500).json({
+      success: false,
+      message: "An error occurred while sending the verification email",
       error: error.message,
     });
   }
@@ -135,4 +571,12 @@ const login = async (req, res) => {
 module.exports = {
   register,
   login,
+  loginTwoFactor,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
 };
@@ -0,0 +1,123 @@
+const feedService = require("../services/feedService");
+const { validateFeedUrl } = require("../utils/validation");
+
+/**
+ * Format feed subscription for responses
+ * @param {Object} feed - Feed with subscribedAt
+ * @returns {Object} Public feed data
+ */
+const formatFeed = (feed) => ({
+  id: feed.id,
+  url: feed.url,
+  title: feed.title,
+  siteUrl: feed.siteUrl,
+  articleCount: feed.articles.length,
+  lastFetchedAt: feed.lastFetchedAt,
+  lastError: feed.lastError,
+  subscribedAt: feed.subscribedAt,
+});
+
+/**
+ * Get feeds the user is subscribed to
+ * GET /api/v1/users/feeds
+ */
+const getFeeds = async (req, res) => {
+  try {
+    const feeds = feedService.getUserFeeds(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: "Feeds retrieved successfully",
+      data: {
+        totalFeeds: feeds.length,
+        feeds: feeds.map(formatFeed),
+      },
+    });
+  } catch (error) {
+    console.error("Get feeds error:", error);
+    res.status(500).json({
+      success: false,
+      message: "An error occurred while fetching feeds",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Subscribe to an RSS/Atom feed
+ * POST /api/v1/users/feeds
+ */
+const addFeed = async (req, res) => {
+  try {
+    const { url } = req.body || {};
+
+    const validation = validateFeedUrl(url);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: validation.errors,
+      });
+    }
+
+    const feed = await feedService.subscribe(req.user.id, url.trim());
+
+    res.status(201).json({
+      success: true,
+      message: "Subscribed to feed successfully",
+      data: {
+        feed: formatFeed(feed),
+      },
+    });
+  } catch (error) {
+    if (error.statusCode === 400 || error.statusCode === 409) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.errors,
+      });
+    }
+
+    console.error("Add feed error:", error);
+    res.status(500).json({
+      success: false,
+      message: "An error occurred while subscribing to feed",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Unsubscribe from a feed
+ * DELETE /api/v1/users/feeds/:id
+ */
+const removeFeed = async (req, res) => {
+  try {
+    feedService.unsubscribe(req.user.id, parseInt(req.params.id));
+
+    res.status(200).json({
+      success: true,
+      message: "Unsubscribed from feed successfully",
+    });
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Remove feed error:", error);
+    res.status(500).json({
+      success: false,
+      message: "An error occurred while unsubscribing from feed",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getFeeds,
+  addFeed,
+  removeFeed,
+};
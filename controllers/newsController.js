@@ -1,6 +1,69 @@
 const newsService = require("../services/newsService");
 const UserModel = require("../models/User");
-const { validateSearchQuery, sanitizeInput } = require("../utils/validation");
+const ArticleModel = require("../models/Article");
+const {
+  validateSearchQuery,
+  validateSearchOptions,
+  validateHeadlinesQuery,
+  validateReadFilter,
+  sanitizeInput,
+} = require("../utils/validation");
+const {
+  MAX_LIMIT,
+  validatePagination,
+  paginateByOffset,
+  encodeCursor,
+} = require("../utils/pagination");
+
+// Upstream pages fetched per preference at most to fill hideRead pages
+const MAX_NEWS_PAGES = 3;
+
+/**
+ * Shape an article for API responses
+ * The ID can be used with /news/:id/read and /news/:id/favorite
+ * @param {Object} article - Normalized provider article
+ * @param {string} articleId - Article ID
+ * @param {number} userId - User the response is for
+ * @returns {Object} Response article
+ */
+const formatArticle = (article, articleId, userId) => ({
+  id: articleId,
+  isRead: ArticleModel.isRead(userId, articleId),
+  isFavorite: ArticleModel.isFavorite(userId, articleId),
+  title: article.title,
+  description: article.description,
+  content: article.content,
+  url: article.url,
+  image: article.image,
+  publishedAt: article.publishedAt,
+  source: {
+    name: article.source.name,
+    url: article.source.url,
+  },
+});
+
+/**
+ * Register served articles in the Article model and shape them for
+ * API responses, so clients can mark any of them as read or favorite
+ * @param {Array} articles - Normalized provider articles
+ * @param {number} userId - User the response is for
+ * @returns {Array} Response articles
+ */
+const serveArticles = (articles, userId) => {
+  const articleIds = ArticleModel.storeArticlesMetadata(articles);
+  return articles.map((article, index) =>
+    formatArticle(article, articleIds[index], userId)
+  );
+};
+
+/**
+ * Whether a user has not read an article yet
+ * @param {number} userId - User ID
+ * @param {Object} article - Normalized provider article
+ * @returns {boolean} True if unread
+ */
+const isUnread = (userId, article) =>
+  !ArticleModel.isRead(userId, ArticleModel.generateArticleId(article.url));
 
 /**
  * Get personalized news for authenticated user
@@ -8,15 +71,6 @@ const { validateSearchQuery, sanitizeInput } = require("../utils/validation");
  */
 const getNews = async (req, res) => {
   try {
-    // Check if news API is configured
-    if (!newsService.isConfigured()) {
-      return res.status(503).json({
-        success: false,
-        message:
-          "News service is not configured. Please contact administrator.",
-      });
-    }
-
     // Get user from authenticated request
     const user = UserModel.findById(req.user.id);
 
@@ -27,8 +81,37 @@ const getNews = async (req, res) => {
       });
     }
 
+    const pagination = validatePagination(req.query, { type: "offset" });
+    if (!pagination.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid pagination parameters",
+        errors: pagination.errors,
+      });
+    }
+
+    const readFilter = validateReadFilter(req.query);
+    if (!readFilter.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid news parameters",
+        errors: readFilter.errors,
+      });
+    }
+
+    const availability = newsService.getUserNewsAvailability(user);
+
+    // Check if news API is configured (feeds alone are enough)
+    if (!availability.configured) {
+      return res.status(503).json({
+        success: false,
+        message:
+          "News service is not configured. Please contact administrator.",
+      });
+    }
+
     // Check if user has preferences set
-    if (!user.preferences || user.preferences.length === 0) {
+    if (!availability.hasSources) {
       return res.status(400).json({
         success: false,
         message:
@@ -36,28 +119,57 @@ const getNews = async (req, res) => {
       });
     }
 
-    // Fetch personalized news based on user preferences
-    const newsData = await newsService.getPersonalizedNews(user.preferences);
+    // Fetch personalized news and feed articles, then page through them.
+    // Read articles are skipped; when that leaves the page without a next
+    // one, further upstream pages are fetched (the cursor remembers how
+    // many so offsets keep pointing into the same list)
+    const filter = readFilter.hideRead
+      ? (article) => isUnread(user.id, article)
+      : undefined;
+    let pages = pagination.cursor
+      ? Math.min(
+          MAX_NEWS_PAGES,
+          Math.max(1, parseInt(pagination.cursor.pages) || 1)
+        )
+      : 1;
+    let newsData;
+    let result;
+    for (;;) {
+      newsData = await newsService.getNewsForUser(user, {
+        max: MAX_LIMIT * pages,
+        pages,
+      });
+      result = paginateByOffset(newsData.articles, pagination, {
+        filter,
+        pages,
+      });
+      if (
+        !filter ||
+        result.nextCursor ||
+        !newsData.hasMore ||
+        pages >= MAX_NEWS_PAGES
+      ) {
+        break;
+      }
+      pages++;
+    }
+    const { items, nextCursor } = result;
+    const articles = filter
+      ? newsData.articles.filter(filter)
+      : newsData.articles;
 
     res.status(200).json({
       success: true,
       message: "News fetched successfully",
-      fromCache: newsData.fromCache || false,
+      fromCache: newsData.fromCache,
+      stale: newsData.stale,
+      providers: newsData.providers,
       data: {
         preferences: user.preferences,
-        totalArticles: newsData.totalArticles,
-        articles: newsData.articles.map((article) => ({
-          title: article.title,
-          description: article.description,
-          content: article.content,
-          url: article.url,
-          image: article.image,
-          publishedAt: article.publishedAt,
-          source: {
-            name: article.source.name,
-            url: article.source.url,
-          },
-        })),
+        hideRead: readFilter.hideRead,
+        totalArticles: articles.length,
+        articles: serveArticles(items, user.id),
+        nextCursor,
       },
     });
   } catch (error) {
@@ -115,30 +227,84 @@ const searchNews = async (req, res) => {
       });
     }
 
+    // Validate advanced search options
+    const optionsValidation = validateSearchOptions(req.query);
+    if (!optionsValidation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid search parameters",
+        errors: optionsValidation.errors,
+      });
+    }
+
+    // Validate pagination (search pages are fetched upstream)
+    const pagination = validatePagination(req.query, { type: "page" });
+    if (!pagination.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid pagination parameters",
+        errors: pagination.errors,
+      });
+    }
+
+    const readFilter = validateReadFilter(req.query);
+    if (!readFilter.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid search parameters",
+        errors: readFilter.errors,
+      });
+    }
+
     const sanitizedQuery = sanitizeInput(q);
+    const filters = optionsValidation.options;
+    const pageSize =
+      req.query.limit !== undefined ? pagination.limit : filters.max || 10;
+    const page = pagination.cursor
+      ? Math.max(1, parseInt(pagination.cursor.page) || 1)
+      : 1;
 
-    // Search news
-    const newsData = await newsService.searchNews(sanitizedQuery);
+    let newsData;
+    let nextCursor;
+    if (readFilter.hideRead) {
+      // Skip read articles, fetching further upstream pages to fill the page
+      const skip = pagination.cursor
+        ? Math.max(0, parseInt(pagination.cursor.skip) || 0)
+        : 0;
+      newsData = await newsService.searchNewsFiltered(
+        sanitizedQuery,
+        { ...filters, max: pageSize },
+        { page, skip, filter: (article) => isUnread(req.user.id, article) }
+      );
+      nextCursor = newsData.next
+        ? encodeCursor({ type: "page", ...newsData.next })
+        : null;
+    } else {
+      newsData = await newsService.searchNews(sanitizedQuery, {
+        ...filters,
+        max: pageSize,
+        page,
+      });
+      nextCursor =
+        newsData.articles.length === pageSize &&
+        page * pageSize < newsData.totalArticles
+          ? encodeCursor({ type: "page", page: page + 1 })
+          : null;
+    }
 
     res.status(200).json({
       success: true,
       message: "News search completed successfully",
       fromCache: newsData.fromCache || false,
+      stale: newsData.stale || false,
+      provider: newsData.provider,
       data: {
         query: sanitizedQuery,
+        filters,
+        hideRead: readFilter.hideRead,
         totalArticles: newsData.totalArticles,
-        articles: newsData.articles.map((article) => ({
-          title: article.title,
-          description: article.description,
-          content: article.content,
-          url: article.url,
-          image: article.image,
-          publishedAt: article.publishedAt,
-          source: {
-            name: article.source.name,
-            url: article.source.url,
-          },
-        })),
+        articles: serveArticles(newsData.articles, req.user.id),
+        nextCursor,
       },
     });
   } catch (error) {
@@ -169,7 +335,100 @@ const searchNews = async (req, res) => {
   }
 };
 
+/**
+ * Get top headlines for a category
+ * GET /api/v1/news/headlines
+ */
+const getHeadlines = async (req, res) => {
+  try {
+    // Check if a provider with headlines is configured
+    if (!newsService.isConfigured("headlines")) {
+      return res.status(503).json({
+        success: false,
+        message: "Headlines are not available. Please contact administrator.",
+      });
+    }
+
+    const validation = validateHeadlinesQuery(req.query);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid headlines parameters",
+        errors: validation.errors,
+      });
+    }
+
+    const pagination = validatePagination(req.query, { type: "page" });
+    if (!pagination.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid pagination parameters",
+        errors: pagination.errors,
+      });
+    }
+
+    const filters = validation.options;
+    const pageSize =
+      req.query.limit !== undefined ? pagination.limit : filters.max || 10;
+    const page = pagination.cursor
+      ? Math.max(1, parseInt(pagination.cursor.page) || 1)
+      : 1;
+
+    const newsData = await newsService.getTopHeadlines({
+      ...filters,
+      max: pageSize,
+      page,
+    });
+    const nextCursor =
+      newsData.articles.length === pageSize &&
+      page * pageSize < newsData.totalArticles
+        ? encodeCursor({ type: "page", page: page + 1 })
+        : null;
+
+    res.status(200).json({
+      success: true,
+      message: "Headlines fetched successfully",
+      fromCache: newsData.fromCache || false,
+      stale: newsData.stale || false,
+      provider: newsData.provider,
+      data: {
+        category: filters.category,
+        country: filters.country || null,
+        totalArticles: newsData.totalArticles,
+        articles: serveArticles(newsData.articles, req.user.id),
+        nextCursor,
+      },
+    });
+  } catch (error) {
+    console.error("Get headlines error:", error);
+
+    // Handle specific error types
+    if (error.isApiError) {
+      return res.status(error.status || 500).json({
+        success: false,
+        message: error.message,
+        error: "News API error",
+      });
+    }
+
+    if (error.isNetworkError) {
+      return res.status(503).json({
+        success: false,
+        message: error.message,
+        error: "Network error",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "An error occurred while fetching headlines",
+      error: error.message,
+    });
+  }
+};
+
 module.exports = {
   getNews,
   searchNews,
+  getHeadlines,
 };
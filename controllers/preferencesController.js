@@ -1,5 +1,12 @@
 const UserModel = require("../models/User");
-const { validatePreferences } = require("../utils/validation");
+const {
+  validatePreferences,
+  validateNewsFilters,
+} = require("../utils/validation");
+const {
+  normalizePreferences,
+  normalizeKeywords,
+} = require("../utils/preferences");
 
 /**
  * Get user preferences
@@ -22,6 +29,8 @@ const getPreferences = async (req, res) => {
       message: "Preferences retrieved successfully",
       data: {
         preferences: user.preferences || [],
+        mutedKeywords: user.mutedKeywords || [],
+        blockedSources: user.blockedSources || [],
       },
     });
   } catch (error) {
@@ -40,25 +49,24 @@ const getPreferences = async (req, res) => {
  */
 const updatePreferences = async (req, res) => {
   try {
-    const { preferences } = req.body;
+    const { preferences, mutedKeywords, blockedSources } = req.body;
 
     // Validate preferences using enhanced validation
     const validation = validatePreferences(preferences);
-    if (!validation.isValid) {
+    const filtersValidation = validateNewsFilters({
+      mutedKeywords,
+      blockedSources,
+    });
+    if (!validation.isValid || !filtersValidation.isValid) {
       return res.status(400).json({
         success: false,
         message: "Validation failed",
-        errors: validation.errors,
+        errors: [...validation.errors, ...filtersValidation.errors],
       });
     }
 
-    // Trim and normalize preferences
-    const normalizedPreferences = preferences
-      .map((pref) => pref.trim().toLowerCase())
-      .filter((pref) => pref.length > 0); // Remove empty strings after trim
-
-    // Remove duplicates
-    const uniquePreferences = [...new Set(normalizedPreferences)];
+    // Trim, normalize and de-duplicate (keywords or { value, type } objects)
+    const uniquePreferences = normalizePreferences(preferences);
 
     // Additional validation: ensure we have at least some preferences after normalization
     if (uniquePreferences.length === 0) {
@@ -68,10 +76,15 @@ const updatePreferences = async (req, res) => {
       });
     }
 
-    // Update user preferences
-    const updatedUser = UserModel.update(req.user.id, {
-      preferences: uniquePreferences,
-    });
+    // Update user preferences (mutes and blocked sources only when sent)
+    const updates = { preferences: uniquePreferences };
+    if (mutedKeywords !== undefined) {
+      updates.mutedKeywords = normalizeKeywords(mutedKeywords);
+    }
+    if (blockedSources !== undefined) {
+      updates.blockedSources = normalizeKeywords(blockedSources);
+    }
+    const updatedUser = UserModel.update(req.user.id, updates);
 
     if (!updatedUser) {
       return res.status(404).json({
@@ -85,6 +98,8 @@ const updatePreferences = async (req, res) => {
       message: "Preferences updated successfully",
       data: {
         preferences: updatedUser.preferences,
+        mutedKeywords: updatedUser.mutedKeywords || [],
+        blockedSources: updatedUser.blockedSources || [],
       },
     });
   } catch (error) {
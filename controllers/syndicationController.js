@@ -0,0 +1,200 @@
+const newsService = require("../services/newsService");
+const UserModel = require("../models/User");
+const ArticleModel = require("../models/Article");
+const { generateRandomToken, hashToken } = require("../utils/jwt");
+const { buildRss, buildAtom } = require("../utils/feedBuilder");
+
+const FEED_FORMATS = {
+  rss: { build: buildRss, contentType: "application/rss+xml; charset=utf-8" },
+  atom: {
+    build: buildAtom,
+    contentType: "application/atom+xml; charset=utf-8",
+  },
+};
+
+/**
+ * Get absolute base URL of the API for links in feeds
+ * @param {Object} req - Express request
+ * @returns {string} Base URL
+ */
+const getBaseUrl = (req) => `${req.protocol}://${req.get("host")}/api/v1`;
+
+/**
+ * Build feed URLs for a feed token
+ * @param {Object} req - Express request
+ * @param {string} token - Raw feed token
+ * @returns {Object} Feed URLs by feed and format
+ */
+const buildFeedUrls = (req, token) => {
+  const base = `${getBaseUrl(req)}/feeds/${token}`;
+  return {
+    news: { rss: `${base}/news.rss`, atom: `${base}/news.atom` },
+    favorites: { rss: `${base}/favorites.rss`, atom: `${base}/favorites.atom` },
+  };
+};
+
+/**
+ * Build the Atom ID of a user's feed: a tag: URI (RFC 4151) dated with the
+ * account creation day. The self URL can't be used, it contains the token.
+ * @param {Object} req - Express request
+ * @param {Object} user - Feed owner
+ * @param {string} name - Feed name ("news" or "favorites")
+ * @returns {string} Feed ID
+ */
+const buildFeedId = (req, user, name) =>
+  `tag:${req.hostname},${user.createdAt.slice(0, 10)}:users/${user.id}/${name}`;
+
+/**
+ * Send articles as a feed document in the requested format
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - Feed owner
+ * @param {Object} feed - { name, title, description, articles }
+ */
+const sendFeed = (req, res, user, { name, ...feed }) => {
+  const format = FEED_FORMATS[req.params.format];
+
+  res
+    .status(200)
+    .type(format.contentType)
+    .send(
+      format.build({
+        ...feed,
+        id: buildFeedId(req, user, name),
+        link: `${req.protocol}://${req.get("host")}/`,
+        selfUrl: `${req.protocol}://${req.get("host")}${req.originalUrl}`,
+      })
+    );
+};
+
+/**
+ * Create or rotate the user's feed token
+ * POST /api/v1/users/feed-token
+ */
+const createFeedToken = async (req, res) => {
+  try {
+    const token = generateRandomToken(24);
+
+    // Only the hash is stored; rotating invalidates the previous token
+    UserModel.update(req.user.id, {
+      feedTokenHash: hashToken(token),
+      feedTokenCreatedAt: new Date().toISOString(),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Feed token created successfully",
+      data: {
+        token,
+        feeds: buildFeedUrls(req, token),
+      },
+    });
+  } catch (error) {
+    console.error("Create feed token error:", error);
+    res.status(500).json({
+      success: false,
+      message: "An error occurred while creating feed token",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Revoke the user's feed token
+ * DELETE /api/v1/users/feed-token
+ */
+const revokeFeedToken = async (req, res) => {
+  try {
+    const user = UserModel.findById(req.user.id);
+
+    if (!user || !user.feedTokenHash) {
+      return res.status(404).json({
+        success: false,
+        message: "No feed token to revoke",
+      });
+    }
+
+    UserModel.update(req.user.id, {
+      feedTokenHash: null,
+      feedTokenCreatedAt: null,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Feed token revoked successfully",
+    });
+  } catch (error) {
+    console.error("Revoke feed token error:", error);
+    res.status(500).json({
+      success: false,
+      message: "An error occurred while revoking feed token",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Personalized news as RSS/Atom
+ * GET /api/v1/feeds/:token/news.:format
+ */
+const getNewsFeed = async (req, res) => {
+  try {
+    const user = UserModel.findById(req.user.id);
+    const availability = newsService.getUserNewsAvailability(user);
+
+    const newsData =
+      availability.configured && availability.hasSources
+        ? await newsService.getNewsForUser(user)
+        : { articles: [] };
+
+    sendFeed(req, res, user, {
+      name: "news",
+      title: `${user.name}'s News`,
+      description: "Personalized news from News Aggregator API",
+      articles: newsData.articles,
+    });
+  } catch (error) {
+    console.error("News feed error:", error);
+    res.status(error.isApiError || error.isNetworkError ? 503 : 500).json({
+      success: false,
+      message: "An error occurred while building news feed",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Favorite articles as RSS/Atom
+ * GET /api/v1/feeds/:token/favorites.:format
+ */
+const getFavoritesFeed = async (req, res) => {
+  try {
+    const user = UserModel.findById(req.user.id);
+
+    // Most recently favorited first
+    const articles = ArticleModel.getFavoriteArticles(user.id)
+      .filter((article) => article.url)
+      .sort((a, b) => b.favoritedAt.localeCompare(a.favoritedAt));
+
+    sendFeed(req, res, user, {
+      name: "favorites",
+      title: `${user.name}'s Favorites`,
+      description: "Favorite articles from News Aggregator API",
+      articles,
+    });
+  } catch (error) {
+    console.error("Favorites feed error:", error);
+    res.status(500).json({
+      success: false,
+      message: "An error occurred while building favorites feed",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  createFeedToken,
+  revokeFeedToken,
+  getNewsFeed,
+  getFavoritesFeed,
+};
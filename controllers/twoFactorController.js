@@ -0,0 +1,178 @@
+const UserModel = require("../models/User");
+const twoFactorService = require("../services/twoFactorService");
+
+/**
+ * Get two-factor authentication status
+ * GET /api/v1/users/2fa
+ */
+const getStatus = async (req, res) => {
+  try {
+    const user = UserModel.findById(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: "Two-factor status retrieved successfully",
+      data: {
+        enabled: twoFactorService.isEnabled(user),
+        recoveryCodesRemaining: twoFactorService.remainingRecoveryCodes(user),
+      },
+    });
+  } catch (error) {
+    console.error("Get 2FA status error:", error);
+    res.status(500).json({
+      success: false,
+      message: "An error occurred while fetching two-factor status",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Start TOTP enrollment
+ * POST /api/v1/users/2fa/setup
+ */
+const setup = async (req, res) => {
+  try {
+    const { secret, otpauthUri } = twoFactorService.beginEnrollment(
+      req.user.id
+    );
+
+    res.status(200).json({
+      success: true,
+      message:
+        "Add the secret to your authenticator app, then confirm with a code.",
+      data: {
+        secret,
+        otpauthUri,
+      },
+    });
+  } catch (error) {
+    if (error.statusCode === 404 || error.statusCode === 409) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("2FA setup error:", error);
+    res.status(500).json({
+      success: false,
+      message: "An error occurred while setting up two-factor authentication",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Confirm TOTP enrollment with a code
+ * POST /api/v1/users/2fa/confirm
+ */
+const confirm = async (req, res) => {
+  try {
+    const { code } = req.body || {};
+
+    if (!code || typeof code !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: ["Code is required"],
+      });
+    }
+
+    const recoveryCodes = twoFactorService.confirmEnrollment(req.user.id, code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid code. Start setup first and use a current code.",
+        error: "INVALID_2FA_CODE",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message:
+        "Two-factor authentication enabled. Store the recovery codes now; they cannot be shown again.",
+      data: {
+        recoveryCodes,
+      },
+    });
+  } catch (error) {
+    if (error.statusCode === 404 || error.statusCode === 409) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("2FA confirm error:", error);
+    res.status(500).json({
+      success: false,
+      message: "An error occurred while enabling two-factor authentication",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Turn off two-factor authentication
+ * DELETE /api/v1/users/2fa
+ */
+const disable = async (req, res) => {
+  try {
+    const { password, code } = req.body || {};
+
+    const errors = [];
+    if (!password || typeof password !== "string") {
+      errors.push("Password is required");
+    }
+    if (!code || typeof code !== "string") {
+      errors.push("Code is required");
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors,
+      });
+    }
+
+    const disabled = await twoFactorService.disable(
+      req.user.id,
+      password,
+      code
+    );
+    if (!disabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Password or code is incorrect",
+        error: "INVALID_CREDENTIALS",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    });
+  } catch (error) {
+    if (error.statusCode === 404 || error.statusCode === 409) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("2FA disable error:", error);
+    res.status(500).json({
+      success: false,
+      message: "An error occurred while disabling two-factor authentication",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getStatus,
+  setup,
+  confirm,
+  disable,
+};
@@ -1,15 +1,89 @@
-const { verifyToken } = require("../utils/jwt");
+const { verifyToken, hashToken } = require("../utils/jwt");
 const UserModel = require("../models/User");
+const tokenService = require("../services/tokenService");
+const apiKeyService = require("../services/apiKeyService");
+const emailVerificationService = require("../services/emailVerificationService");
+const config = require("../config/config");
+const { AuthorizationError } = require("./errorHandler");
+
+/**
+ * User fields attached to authenticated requests (never the password)
+ * @param {Object} user - User object
+ * @returns {Object} Request user
+ */
+const toRequestUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  name: user.name,
+  preferences: user.preferences,
+  role: user.role || "user",
+  emailVerified: emailVerificationService.isVerified(user),
+  twoFactorEnabled: !!user.totpEnabled,
+});
+
+/**
+ * Respond that the account was disabled by an admin
+ * @param {Object} res - Express response
+ */
+const sendAccountDisabled = (res) =>
+  res.status(403).json({
+    success: false,
+    message: "This account has been disabled.",
+    error: "ACCOUNT_DISABLED",
+  });
+
+/**
+ * Authenticate a machine client by its X-API-Key header
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const authenticateApiKey = (req, res, next) => {
+  const apiKey = apiKeyService.verify(req.headers["x-api-key"]);
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      message: "Invalid or revoked API key.",
+      error: "INVALID_API_KEY",
+    });
+  }
+
+  const user = UserModel.findById(apiKey.userId);
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      message: "User not found. Token may be invalid or user was deleted.",
+      error: "USER_NOT_FOUND",
+    });
+  }
+  if (user.disabled) {
+    return sendAccountDisabled(res);
+  }
+
+  req.user = toRequestUser(user);
+  req.auth = {
+    type: "apiKey",
+    keyId: apiKey.id,
+    scopes: apiKey.scopes,
+  };
+
+  next();
+};
 
 /**
  * Authentication middleware
- * Verifies JWT token and attaches user to request
+ * Verifies JWT token (or X-API-Key header) and attaches user to request
  */
 const authenticate = async (req, res, next) => {
   try {
     // Get token from Authorization header
     const authHeader = req.headers.authorization;
 
+    // Machine clients send an API key instead of a Bearer token
+    if (!authHeader && req.headers["x-api-key"] !== undefined) {
+      return authenticateApiKey(req, res, next);
+    }
+
     // Check if Authorization header exists
     if (!authHeader) {
       return res.status(401).json({
@@ -64,7 +138,7 @@ const authenticate = async (req, res, next) => {
     }
 
     // Validate decoded token has required fields
-    if (!decoded || !decoded.userId) {
+    if (!decoded || !decoded.userId || decoded.type !== "access") {
       return res.status(401).json({
         success: false,
         message: "Invalid token payload. Please login again.",
@@ -72,6 +146,15 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    // Reject tokens whose session was logged out or revoked
+    if (!tokenService.isSessionActive(decoded.sid)) {
+      return res.status(401).json({
+        success: false,
+        message: "Token has been revoked. Please login again.",
+        error: "TOKEN_REVOKED",
+      });
+    }
+
     // Find user
     const user = UserModel.findById(decoded.userId);
     if (!user) {
@@ -82,12 +165,15 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    if (user.disabled) {
+      return sendAccountDisabled(res);
+    }
+
     // Attach user to request (exclude password)
-    req.user = {
-      id: user.id,
-      email: user.email,
-      name: user.name,
-      preferences: user.preferences,
+    req.user = toRequestUser(user);
+    req.auth = {
+      type: "jwt",
+      sessionId: decoded.sid,
     };
 
     next();
@@ -101,6 +187,110 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Feed token authentication middleware
+ * Feed readers cannot send headers, so syndication routes carry a
+ * revocable per-user token in the URL (req.params.token)
+ */
+const authenticateFeedToken = (req, res, next) => {
+  const { token } = req.params;
+
+  const user = token ? UserModel.findByFeedTokenHash(hashToken(token)) : null;
+  if (!user || user.disabled) {
+    return res.status(401).json({
+      success: false,
+      message: "Invalid or revoked feed token.",
+      error: "INVALID_FEED_TOKEN",
+    });
+  }
+
+  req.user = {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    preferences: user.preferences,
+    emailVerified: emailVerificationService.isVerified(user),
+  };
+  req.auth = {
+    type: "feedToken",
+  };
+
+  next();
+};
+
+/**
+ * Email verification middleware
+ * When config.emailVerification.required is set, rejects users that have
+ * not verified their email. Place after `authenticate` (or
+ * `authenticateFeedToken`).
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!config.emailVerification.required || req.user.emailVerified) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    message:
+      "Please verify your email address. Use POST /api/v1/auth/resend-verification to get a new link.",
+    error: "EMAIL_NOT_VERIFIED",
+  });
+};
+
+/**
+ * Role authorization middleware
+ * Accounts without a role are regular users. Place after `authenticate`.
+ * @param {...string} roles - Roles allowed to continue
+ * @returns {Function} Express middleware
+ */
+const authorize =
+  (...roles) =>
+  (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return next(
+        new AuthorizationError("You do not have permission to do this")
+      );
+    }
+    next();
+  };
+
+/**
+ * API key scope middleware
+ * Requests authenticated with an API key need the given scope; JWT
+ * sessions are not limited by scopes. Place after `authenticate`.
+ * @param {string} scope - Required scope
+ * @returns {Function} Express middleware
+ */
+const requireScope = (scope) => (req, res, next) => {
+  if (req.auth.type === "apiKey" && !req.auth.scopes.includes(scope)) {
+    return next(
+      new AuthorizationError(`API key is missing the "${scope}" scope`)
+    );
+  }
+  next();
+};
+
+/**
+ * Session-only middleware
+ * Rejects API keys on routes that manage the account itself (profile,
+ * password, API keys, admin). Place after `authenticate`.
+ */
+const requireSession = (req, res, next) => {
+  if (req.auth.type !== "jwt") {
+    return next(
+      new AuthorizationError(
+        "This endpoint requires logging in; API keys are not accepted"
+      )
+    );
+  }
+  next();
+};
+
 module.exports = {
   authenticate,
+  authenticateFeedToken,
+  requireVerifiedEmail,
+  authorize,
+  requireScope,
+  requireSession,
 };
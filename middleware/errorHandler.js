@@ -11,10 +11,11 @@ class ValidationError extends Error {
 }
 
 class AuthenticationError extends Error {
-  constructor(message) {
+  constructor(message, errorCode) {
     super(message);
     this.name = "AuthenticationError";
     this.statusCode = 401;
+    this.errorCode = errorCode;
   }
 }
 
@@ -42,6 +43,16 @@ class ConflictError extends Error {
   }
 }
 
+class RateLimitError extends Error {
+  constructor(message, retryAfter) {
+    super(message);
+    this.name = "RateLimitError";
+    this.statusCode = 429;
+    this.errorCode = "RATE_LIMIT_EXCEEDED";
+    this.retryAfter = retryAfter;
+  }
+}
+
 class ServiceUnavailableError extends Error {
   constructor(message) {
     super(message);
@@ -89,6 +100,9 @@ const errorHandler = (err, req, res, next) => {
   } else if (err.name === "ConflictError") {
     statusCode = 409;
     message = err.message || "Resource conflict";
+  } else if (err.name === "RateLimitError") {
+    statusCode = 429;
+    message = err.message || "Too many requests";
   } else if (err.name === "ServiceUnavailableError" || err.isNetworkError) {
     statusCode = 503;
     message = err.message || "Service temporarily unavailable";
@@ -103,6 +117,11 @@ const errorHandler = (err, req, res, next) => {
     message,
   };
 
+  // Add machine-readable error code if present
+  if (err.errorCode) {
+    errorResponse.error = err.errorCode;
+  }
+
   // Add errors array if present
   if (errors && errors.length > 0) {
     errorResponse.errors = errors;
@@ -149,5 +168,6 @@ module.exports = {
   AuthorizationError,
   NotFoundError,
   ConflictError,
+  RateLimitError,
   ServiceUnavailableError,
 };
@@ -0,0 +1,145 @@
+const config = require("../config/config");
+const { RateLimitError } = require("./errorHandler");
+
+// Upper bound on tracked clients per limiter before idle buckets are pruned
+const MAX_TRACKED_KEYS = 10000;
+
+/**
+ * Create a token bucket rate limiter middleware
+ * Each client starts with `limit` tokens; every request takes one and
+ * tokens refill continuously at `limit` per `windowMs`
+ * Sets RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and
+ * RateLimit-Policy on every response, plus Retry-After when rejected
+ * @param {Object} options - { limit, windowMs, keyBy: "user" | "ip" }
+ * @returns {Function} Express middleware (with a `reset()` helper)
+ */
+const createRateLimiter = ({ limit, windowMs, keyBy = "user" }) => {
+  const buckets = new Map();
+  const refillRate = limit / windowMs; // Tokens per millisecond
+
+  /**
+   * Tokens a bucket holds at a point in time
+   * @param {Object} bucket - { tokens, updatedAt }
+   * @param {number} now - Timestamp in milliseconds
+   * @returns {number} Available tokens
+   */
+  const tokensAt = (bucket, now) =>
+    Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * refillRate);
+
+  /**
+   * Drop buckets that have refilled completely (equivalent to no bucket),
+   * then the least recently used ones if still over the bound
+   * @param {number} now - Timestamp in milliseconds
+   */
+  const prune = (now) => {
+    for (const [key, bucket] of buckets.entries()) {
+      if (tokensAt(bucket, now) >= limit) {
+        buckets.delete(key);
+      }
+    }
+    for (const key of buckets.keys()) {
+      if (buckets.size < MAX_TRACKED_KEYS) {
+        break;
+      }
+      buckets.delete(key);
+    }
+  };
+
+  /**
+   * Take a token for a client
+   * @param {string} key - Client key
+   * @param {number} now - Timestamp in milliseconds
+   * @returns {Object} { allowed, remaining, resetMs, retryAfterMs }
+   */
+  const take = (key, now) => {
+    const existing = buckets.get(key);
+    const bucket = {
+      tokens: existing ? tokensAt(existing, now) : limit,
+      updatedAt: now,
+    };
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) {
+      bucket.tokens -= 1;
+    }
+
+    // Re-insert so Map order tracks recent use
+    buckets.delete(key);
+    buckets.set(key, bucket);
+
+    return {
+      allowed,
+      remaining: Math.floor(bucket.tokens),
+      resetMs: (limit - bucket.tokens) / refillRate,
+      retryAfterMs: allowed ? 0 : (1 - bucket.tokens) / refillRate,
+    };
+  };
+
+  const middleware = (req, res, next) => {
+    const key =
+      keyBy === "user" && req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+    const now = Date.now();
+
+    if (buckets.size >= MAX_TRACKED_KEYS) {
+      prune(now);
+    }
+
+    const result = take(key, now);
+
+    res.set({
+      "RateLimit-Limit": String(limit),
+      "RateLimit-Remaining": String(result.remaining),
+      "RateLimit-Reset": String(Math.ceil(result.resetMs / 1000)),
+      "RateLimit-Policy": `${limit};w=${Math.ceil(windowMs / 1000)}`,
+    });
+
+    if (!result.allowed) {
+      const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+      res.set("Retry-After", String(retryAfter));
+      return next(
+        new RateLimitError(
+          `Too many requests. Please retry in ${retryAfter} seconds.`,
+          retryAfter
+        )
+      );
+    }
+
+    next();
+  };
+
+  // Forget all clients (used by tests)
+  middleware.reset = () => buckets.clear();
+
+  return middleware;
+};
+
+// One shared limiter per route group
+const limiters = new Map();
+
+/**
+ * Rate limiting middleware for a route group (see config.rateLimit)
+ * Place after `authenticate` on authenticated routes so requests are
+ * counted per user instead of per IP
+ * @param {string} group - Route group name
+ * @returns {Function} Express middleware
+ */
+const rateLimit = (group) => {
+  if (!config.rateLimit.enabled) {
+    return (req, res, next) => next();
+  }
+
+  if (!limiters.has(group)) {
+    const options = config.rateLimit.groups[group];
+    if (!options) {
+      throw new Error(`Unknown rate limit group "${group}"`);
+    }
+    limiters.set(group, createRateLimiter(options));
+  }
+
+  return limiters.get(group);
+};
+
+module.exports = {
+  rateLimit,
+  createRateLimiter,
+};
@@ -0,0 +1,162 @@
+const crypto = require("crypto");
+const { store: defaultStore } = require("./storage");
+
+/**
+ * ApiKey Model
+ * API keys for machine-to-machine clients, stored by hash (never the raw
+ * value) with the scopes they grant. Revoked keys are kept so they still
+ * show up in the owner's key list.
+ */
+
+class ApiKey {
+  /**
+   * @param {Object} store - Storage backend (see models/storage)
+   */
+  constructor(store = defaultStore) {
+    this.store = store;
+    // Store keys by ID: { id: { userId, name, keyHash, scopes, ... } }
+    this.keys = new Map();
+    this.load();
+  }
+
+  /**
+   * Load API keys from the store
+   */
+  load() {
+    const data = this.store.load("apiKeys");
+    if (data) {
+      this.keys = new Map(data.keys || []);
+    }
+  }
+
+  /**
+   * Persist API keys to the store
+   */
+  persist() {
+    this.store.save("apiKeys", {
+      keys: Array.from(this.keys.entries()),
+    });
+  }
+
+  /**
+   * Store a new API key
+   * @param {Object} keyData - Key data (userId, name, keyHash, prefix, scopes)
+   * @returns {Object} Stored key record
+   */
+  create(keyData) {
+    const key = {
+      id: crypto.randomUUID(),
+      userId: keyData.userId,
+      name: keyData.name,
+      keyHash: keyData.keyHash,
+      prefix: keyData.prefix,
+      scopes: keyData.scopes,
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      revokedAt: null,
+    };
+    this.keys.set(key.id, key);
+    this.persist();
+    return key;
+  }
+
+  /**
+   * Find an API key by hash
+   * @param {string} keyHash - Hashed API key
+   * @returns {Object|null} Key record or null
+   */
+  findByHash(keyHash) {
+    for (const key of this.keys.values()) {
+      if (key.keyHash === keyHash) {
+        return key;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get all API keys of a user, oldest first
+   * @param {number} userId - User ID
+   * @returns {Array} Key records
+   */
+  findByUser(userId) {
+    return Array.from(this.keys.values()).filter(
+      (key) => key.userId === userId
+    );
+  }
+
+  /**
+   * Revoke an API key owned by a user
+   * @param {string} id - Key ID
+   * @param {number} userId - Owner ID
+   * @returns {boolean} True if the key was active and is now revoked
+   */
+  revoke(id, userId) {
+    const key = this.keys.get(id);
+    if (!key || key.userId !== userId || key.revokedAt) {
+      return false;
+    }
+
+    key.revokedAt = new Date().toISOString();
+    this.persist();
+    return true;
+  }
+
+  /**
+   * Revoke every active API key of a user
+   * @param {number} userId - User ID
+   * @returns {number} Number of keys revoked
+   */
+  revokeAllForUser(userId) {
+    const revokedAt = new Date().toISOString();
+    let revoked = 0;
+    for (const key of this.keys.values()) {
+      if (key.userId === userId && !key.revokedAt) {
+        key.revokedAt = revokedAt;
+        revoked++;
+      }
+    }
+
+    if (revoked > 0) {
+      this.persist();
+    }
+    return revoked;
+  }
+
+  /**
+   * Record that a key was used
+   * @param {string} id - Key ID
+   * @param {string} usedAt - ISO timestamp
+   */
+  touch(id, usedAt = new Date().toISOString()) {
+    const key = this.keys.get(id);
+    if (key) {
+      key.lastUsedAt = usedAt;
+      this.persist();
+    }
+  }
+
+  /**
+   * Remove every API key of a user
+   * @param {number} userId - User ID
+   * @returns {number} Number of keys removed
+   */
+  deleteAllForUser(userId) {
+    let removed = 0;
+    for (const [id, key] of this.keys.entries()) {
+      if (key.userId === userId) {
+        this.keys.delete(id);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      this.persist();
+    }
+
+    return removed;
+  }
+}
+
+// Export singleton instance
+module.exports = new ApiKey();
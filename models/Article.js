@@ -1,27 +1,150 @@
+const { store: defaultStore } = require("./storage");
+const { generateArticleId } = require("../utils/articleId");
+
+// Bumped when the way article IDs are derived changes (see load)
+const ID_VERSION = 2;
+
 /**
  * Article Model
- * In-memory storage for article tracking (read, favorites)
- * In production, this would be replaced with a database
+ * Article tracking (read, favorites) persisted through the configured store
+ * (in-memory by default, see config.storage)
  */
 
 class Article {
-  constructor() {
-    // Store read articles by user: { userId: Set([articleIds]) }
+  /**
+   * @param {Object} store - Storage backend (see models/storage)
+   */
+  constructor(store = defaultStore) {
+    this.store = store;
+    // Store read articles by user: { userId: Map(articleId => readAt) }
     this.readArticles = new Map();
     // Store favorite articles with full data: { userId: Map(articleId => article) }
     this.favoriteArticles = new Map();
     // Store article metadata: { articleId: { url, title, ... } }
     this.articleMetadata = new Map();
+    // IDs handed out before canonical URL hashing: { legacyId: articleId }
+    this.legacyIds = new Map();
+    this.load();
+  }
+
+  /**
+   * Load article tracking data from the store
+   * Maps and Sets are stored as entry arrays to keep numeric user IDs intact
+   */
+  load() {
+    const data = this.store.load("articles");
+    if (!data) {
+      return;
+    }
+
+    // Older snapshots stored bare article IDs without a read timestamp
+    this.readArticles = new Map(
+      (data.readArticles || []).map(([userId, entries]) => [
+        userId,
+        new Map(
+          entries.map((entry) => (Array.isArray(entry) ? entry : [entry, null]))
+        ),
+      ])
+    );
+    this.favoriteArticles = new Map(
+      (data.favoriteArticles || []).map(([userId, favorites]) => [
+        userId,
+        new Map(favorites),
+      ])
+    );
+    this.articleMetadata = new Map(data.articleMetadata || []);
+    this.legacyIds = new Map(data.legacyIds || []);
+
+    if (data.idVersion !== ID_VERSION) {
+      this.migrateLegacyIds();
+      this.persist();
+    }
+  }
+
+  /**
+   * Re-key stored articles from legacy IDs (base64 URL prefix) to hashes
+   * of the canonical URL. Read history and favorites follow their article;
+   * old IDs keep working through resolveArticleId. Entries without stored
+   * metadata have no URL and keep their ID.
+   * @returns {number} Number of re-keyed articles
+   */
+  migrateLegacyIds() {
+    const metadata = new Map();
+    for (const [legacyId, article] of this.articleMetadata.entries()) {
+      const articleId = article.url
+        ? this.generateArticleId(article.url)
+        : legacyId;
+      if (articleId !== legacyId) {
+        this.legacyIds.set(legacyId, articleId);
+      }
+      if (!metadata.has(articleId)) {
+        metadata.set(articleId, { ...article, id: articleId });
+      }
+    }
+    this.articleMetadata = metadata;
+
+    // Two legacy IDs may now point to the same article; keep the first entry
+    const rekey = (entries, mapValue = (value) => value) => {
+      const rekeyed = new Map();
+      for (const [legacyId, value] of entries.entries()) {
+        const articleId = this.resolveArticleId(legacyId);
+        if (!rekeyed.has(articleId)) {
+          rekeyed.set(articleId, mapValue(value, articleId));
+        }
+      }
+      return rekeyed;
+    };
+
+    for (const [userId, entries] of this.readArticles.entries()) {
+      this.readArticles.set(userId, rekey(entries));
+    }
+    for (const [userId, favorites] of this.favoriteArticles.entries()) {
+      this.favoriteArticles.set(
+        userId,
+        rekey(favorites, (favorite, articleId) => ({
+          ...favorite,
+          id: articleId,
+        }))
+      );
+    }
+
+    return this.legacyIds.size;
+  }
+
+  /**
+   * Persist article tracking data to the store
+   */
+  persist() {
+    this.store.save("articles", {
+      readArticles: Array.from(this.readArticles.entries()).map(
+        ([userId, entries]) => [userId, Array.from(entries.entries())]
+      ),
+      favoriteArticles: Array.from(this.favoriteArticles.entries()).map(
+        ([userId, favorites]) => [userId, Array.from(favorites.entries())]
+      ),
+      articleMetadata: Array.from(this.articleMetadata.entries()),
+      legacyIds: Array.from(this.legacyIds.entries()),
+      idVersion: ID_VERSION,
+    });
   }
 
   /**
    * Generate article ID from URL
+   * SHA-256 of the canonical URL (see utils/articleId)
    * @param {string} url - Article URL
    * @returns {string} Article ID
    */
   generateArticleId(url) {
-    // Simple hash function for URL (in production, use a proper hash)
-    return Buffer.from(url).toString("base64").substring(0, 32);
+    return generateArticleId(url);
+  }
+
+  /**
+   * Map a legacy article ID to its current ID
+   * @param {string} articleId - Current or legacy article ID
+   * @returns {string} Current article ID
+   */
+  resolveArticleId(articleId) {
+    return this.legacyIds.get(articleId) || articleId;
   }
 
   /**
@@ -30,23 +153,55 @@ class Article {
    * @returns {string} Article ID
    */
   storeArticleMetadata(article) {
-    const articleId = this.generateArticleId(article.url);
-
-    if (!this.articleMetadata.has(articleId)) {
-      this.articleMetadata.set(articleId, {
-        id: articleId,
-        url: article.url,
-        title: article.title,
-        description: article.description,
-        content: article.content,
-        image: article.image,
-        publishedAt: article.publishedAt,
-        source: article.source,
-        cachedAt: new Date().toISOString(),
-      });
+    return this.storeArticlesMetadata([article])[0];
+  }
+
+  /**
+   * Store metadata for several articles with a single write
+   * Articles that are already known keep their stored metadata
+   * @param {Array} articles - Article data
+   * @returns {Array<string>} Article IDs, in the same order
+   */
+  storeArticlesMetadata(articles) {
+    let added = false;
+
+    const articleIds = articles.map((article) => {
+      const articleId = this.generateArticleId(article.url);
+      if (!this.articleMetadata.has(articleId)) {
+        this.articleMetadata.set(
+          articleId,
+          this.buildMetadata(articleId, article)
+        );
+        added = true;
+      }
+      return articleId;
+    });
+
+    if (added) {
+      this.persist();
     }
 
-    return articleId;
+    return articleIds;
+  }
+
+  /**
+   * Build the stored metadata record for an article
+   * @param {string} articleId - Article ID
+   * @param {Object} article - Article data
+   * @returns {Object} Article metadata
+   */
+  buildMetadata(articleId, article) {
+    return {
+      id: articleId,
+      url: article.url,
+      title: article.title,
+      description: article.description,
+      content: article.content,
+      image: article.image,
+      publishedAt: article.publishedAt,
+      source: article.source,
+      cachedAt: new Date().toISOString(),
+    };
   }
 
   /**
@@ -55,7 +210,7 @@ class Article {
    * @returns {Object|null} Article metadata or null
    */
   getArticleMetadata(articleId) {
-    return this.articleMetadata.get(articleId) || null;
+    return this.articleMetadata.get(this.resolveArticleId(articleId)) || null;
   }
 
   /**
@@ -68,39 +223,45 @@ class Article {
     // Store article metadata
     const articleId = this.storeArticleMetadata(article);
 
-    // Initialize user's read set if not exists
+    // Initialize user's read map if not exists
     if (!this.readArticles.has(userId)) {
-      this.readArticles.set(userId, new Set());
+      this.readArticles.set(userId, new Map());
     }
 
-    // Add to read set
-    this.readArticles.get(userId).add(articleId);
+    // Add to read map with timestamp
+    const markedAt = new Date().toISOString();
+    this.readArticles.get(userId).set(articleId, markedAt);
+    this.persist();
 
     return {
       articleId,
-      markedAt: new Date().toISOString(),
+      markedAt,
     };
   }
 
   /**
    * Mark article as read by ID (without storing metadata)
-   * Use this when article metadata already exists
+   * Article metadata must already exist (see articleService)
    * @param {number} userId - User ID
-   * @param {string} articleId - Article ID
+   * @param {string} legacyOrArticleId - Article ID (legacy IDs are resolved)
    * @returns {Object} Result with articleId and markedAt
    */
-  markAsReadById(userId, articleId) {
-    // Initialize user's read set if not exists
+  markAsReadById(userId, legacyOrArticleId) {
+    const articleId = this.resolveArticleId(legacyOrArticleId);
+
+    // Initialize user's read map if not exists
     if (!this.readArticles.has(userId)) {
-      this.readArticles.set(userId, new Set());
+      this.readArticles.set(userId, new Map());
     }
 
-    // Add to read set
-    this.readArticles.get(userId).add(articleId);
+    // Add to read map with timestamp
+    const markedAt = new Date().toISOString();
+    this.readArticles.get(userId).set(articleId, markedAt);
+    this.persist();
 
     return {
       articleId,
-      markedAt: new Date().toISOString(),
+      markedAt,
     };
   }
 
@@ -113,23 +274,25 @@ class Article {
   isRead(userId, articleId) {
     return (
       this.readArticles.has(userId) &&
-      this.readArticles.get(userId).has(articleId)
+      this.readArticles.get(userId).has(this.resolveArticleId(articleId))
     );
   }
 
   /**
    * Get all read articles for user
    * @param {number} userId - User ID
-   * @returns {Array} Array of read articles with metadata
+   * @returns {Array} Array of read articles with metadata and readAt
    */
   getReadArticles(userId) {
     if (!this.readArticles.has(userId)) {
       return [];
     }
 
-    const readIds = Array.from(this.readArticles.get(userId));
-    return readIds
-      .map((id) => this.articleMetadata.get(id))
+    return Array.from(this.readArticles.get(userId).entries())
+      .map(([id, readAt]) => {
+        const metadata = this.articleMetadata.get(id);
+        return metadata ? { ...metadata, readAt } : undefined;
+      })
       .filter((article) => article !== undefined);
   }
 
@@ -153,6 +316,7 @@ class Article {
       ...this.articleMetadata.get(articleId),
       favoritedAt: new Date().toISOString(),
     });
+    this.persist();
 
     return {
       articleId,
@@ -162,14 +326,13 @@ class Article {
 
   /**
    * Mark article as favorite by ID (without storing metadata)
-   * Use this when article metadata already exists
+   * Article metadata must already exist (see articleService)
    * @param {number} userId - User ID
-   * @param {string} articleId - Article ID
+   * @param {string} legacyOrArticleId - Article ID (legacy IDs are resolved)
    * @returns {Object} Result with articleId and favoritedAt
    */
-  markAsFavoriteById(userId, articleId) {
-    // Check if article metadata exists
-    const metadata = this.articleMetadata.get(articleId);
+  markAsFavoriteById(userId, legacyOrArticleId) {
+    const articleId = this.resolveArticleId(legacyOrArticleId);
 
     // Initialize user's favorites map if not exists
     if (!this.favoriteArticles.has(userId)) {
@@ -179,18 +342,11 @@ class Article {
     const favoritedAt = new Date().toISOString();
 
     // Add to favorites with timestamp
-    if (metadata) {
-      this.favoriteArticles.get(userId).set(articleId, {
-        ...metadata,
-        favoritedAt,
-      });
-    } else {
-      // If no metadata exists, just store minimal info
-      this.favoriteArticles.get(userId).set(articleId, {
-        id: articleId,
-        favoritedAt,
-      });
-    }
+    this.favoriteArticles.get(userId).set(articleId, {
+      ...this.articleMetadata.get(articleId),
+      favoritedAt,
+    });
+    this.persist();
 
     return {
       articleId,
@@ -209,7 +365,14 @@ class Article {
       return false;
     }
 
-    return this.favoriteArticles.get(userId).delete(articleId);
+    const removed = this.favoriteArticles
+      .get(userId)
+      .delete(this.resolveArticleId(articleId));
+    if (removed) {
+      this.persist();
+    }
+
+    return removed;
   }
 
   /**
@@ -221,7 +384,7 @@ class Article {
   isFavorite(userId, articleId) {
     return (
       this.favoriteArticles.has(userId) &&
-      this.favoriteArticles.get(userId).has(articleId)
+      this.favoriteArticles.get(userId).has(this.resolveArticleId(articleId))
     );
   }
 
@@ -235,7 +398,11 @@ class Article {
       return [];
     }
 
-    return Array.from(this.favoriteArticles.get(userId).values());
+    // Older versions could store favorites without metadata ({ id,
+    // favoritedAt }); there is nothing to show for those
+    return Array.from(this.favoriteArticles.get(userId).values()).filter(
+      (favorite) => favorite.url
+    );
   }
 
   /**
@@ -259,6 +426,62 @@ class Article {
     };
   }
 
+  /**
+   * Restore a user's read history and favorites (data import)
+   * Entries keep their original timestamps and are persisted in one write
+   * @param {number} userId - User ID
+   * @param {Object} data - { readHistory, favorites }, arrays of articles
+   *   with readAt/favoritedAt
+   * @returns {Object} { read, favorites } number of entries the user now has
+   */
+  restoreUser(userId, { readHistory = [], favorites = [] }) {
+    const store = (article) => {
+      const articleId = this.generateArticleId(article.url);
+      if (!this.articleMetadata.has(articleId)) {
+        this.articleMetadata.set(
+          articleId,
+          this.buildMetadata(articleId, article)
+        );
+      }
+      return articleId;
+    };
+
+    if (!this.readArticles.has(userId)) {
+      this.readArticles.set(userId, new Map());
+    }
+    const read = this.readArticles.get(userId);
+    readHistory.forEach((article) => read.set(store(article), article.readAt));
+
+    if (!this.favoriteArticles.has(userId)) {
+      this.favoriteArticles.set(userId, new Map());
+    }
+    const favorited = this.favoriteArticles.get(userId);
+    favorites.forEach((article) => {
+      const articleId = store(article);
+      favorited.set(articleId, {
+        ...this.articleMetadata.get(articleId),
+        favoritedAt: article.favoritedAt,
+      });
+    });
+
+    this.persist();
+    return { read: read.size, favorites: favorited.size };
+  }
+
+  /**
+   * Remove a user's read history and favorites
+   * @param {number} userId - User ID
+   * @returns {boolean} True if the user had any tracking data
+   */
+  purgeUser(userId) {
+    const hadRead = this.readArticles.delete(userId);
+    const hadFavorites = this.favoriteArticles.delete(userId);
+    if (hadRead || hadFavorites) {
+      this.persist();
+    }
+    return hadRead || hadFavorites;
+  }
+
   /**
    * Clear old article metadata (cleanup)
    * @param {number} maxAge - Maximum age in milliseconds
@@ -266,26 +489,30 @@ class Article {
   clearOldMetadata(maxAge = 7 * 24 * 60 * 60 * 1000) {
     // 7 days default
     const now = new Date();
-    const toDelete = [];
 
-    for (const [id, article] of this.articleMetadata.entries()) {
-      const age = now - new Date(article.cachedAt);
-      if (age > maxAge) {
-        toDelete.push(id);
+    // Don't delete if it's in someone's favorites or read history
+    const tracked = new Set();
+    for (const trackedMap of [
+      ...this.favoriteArticles.values(),
+      ...this.readArticles.values(),
+    ]) {
+      for (const id of trackedMap.keys()) {
+        tracked.add(id);
       }
     }
 
-    // Don't delete if it's in someone's favorites
-    for (const favMap of this.favoriteArticles.values()) {
-      for (const id of favMap.keys()) {
-        const index = toDelete.indexOf(id);
-        if (index > -1) {
-          toDelete.splice(index, 1);
-        }
+    const toDelete = [];
+    for (const [id, article] of this.articleMetadata.entries()) {
+      const age = now - new Date(article.cachedAt);
+      if (age > maxAge && !tracked.has(id)) {
+        toDelete.push(id);
       }
     }
 
     toDelete.forEach((id) => this.articleMetadata.delete(id));
+    if (toDelete.length > 0) {
+      this.persist();
+    }
 
     return toDelete.length;
   }
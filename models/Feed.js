@@ -0,0 +1,231 @@
+const { store: defaultStore } = require("./storage");
+
+/**
+ * Feed Model
+ * RSS/Atom feeds registered by users. A feed URL is stored once and
+ * shared by every user subscribed to it, together with its latest
+ * articles (also registered in the Article model for read/favorite).
+ */
+
+class Feed {
+  /**
+   * @param {Object} store - Storage backend (see models/storage)
+   */
+  constructor(store = defaultStore) {
+    this.store = store;
+    // Store feeds by ID: { feedId: { url, title, articles, ... } }
+    this.feeds = new Map();
+    // Store subscriptions by user: { userId: Map(feedId => subscribedAt) }
+    this.subscriptions = new Map();
+    this.currentId = 1;
+    this.load();
+  }
+
+  /**
+   * Load feeds and subscriptions from the store
+   */
+  load() {
+    const data = this.store.load("feeds");
+    if (!data) {
+      return;
+    }
+
+    this.feeds = new Map(data.feeds || []);
+    this.subscriptions = new Map(
+      (data.subscriptions || []).map(([userId, feeds]) => [
+        userId,
+        new Map(feeds),
+      ])
+    );
+    this.currentId = data.currentId || 1;
+  }
+
+  /**
+   * Persist feeds and subscriptions to the store
+   */
+  persist() {
+    this.store.save("feeds", {
+      feeds: Array.from(this.feeds.entries()),
+      subscriptions: Array.from(this.subscriptions.entries()).map(
+        ([userId, feeds]) => [userId, Array.from(feeds.entries())]
+      ),
+      currentId: this.currentId,
+    });
+  }
+
+  /**
+   * Create a feed
+   * @param {Object} feedData - Feed data (url, title, siteUrl)
+   * @returns {Object} Created feed
+   */
+  create(feedData) {
+    const feed = {
+      id: this.currentId++,
+      url: feedData.url,
+      title: feedData.title || "",
+      siteUrl: feedData.siteUrl || null,
+      articles: [],
+      lastFetchedAt: null,
+      lastError: null,
+      createdAt: new Date().toISOString(),
+    };
+    this.feeds.set(feed.id, feed);
+    this.persist();
+    return feed;
+  }
+
+  /**
+   * Find feed by ID
+   * @param {number} id - Feed ID
+   * @returns {Object|null} Feed or null
+   */
+  findById(id) {
+    return this.feeds.get(id) || null;
+  }
+
+  /**
+   * Find feed by URL
+   * @param {string} url - Feed URL
+   * @returns {Object|null} Feed or null
+   */
+  findByUrl(url) {
+    for (const feed of this.feeds.values()) {
+      if (feed.url === url) {
+        return feed;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Update feed
+   * @param {number} id - Feed ID
+   * @param {Object} updateData - Data to update
+   * @returns {Object|null} Updated feed or null
+   */
+  update(id, updateData) {
+    const feed = this.feeds.get(id);
+    if (!feed) {
+      return null;
+    }
+
+    const updated = { ...feed, ...updateData };
+    this.feeds.set(id, updated);
+    this.persist();
+    return updated;
+  }
+
+  /**
+   * Subscribe user to a feed
+   * @param {number} userId - User ID
+   * @param {number} feedId - Feed ID
+   * @returns {string} Subscription timestamp
+   */
+  subscribe(userId, feedId) {
+    if (!this.subscriptions.has(userId)) {
+      this.subscriptions.set(userId, new Map());
+    }
+
+    const subscribedAt = new Date().toISOString();
+    this.subscriptions.get(userId).set(feedId, subscribedAt);
+    this.persist();
+    return subscribedAt;
+  }
+
+  /**
+   * Unsubscribe user from a feed
+   * Feeds nobody subscribes to anymore are removed
+   * @param {number} userId - User ID
+   * @param {number} feedId - Feed ID
+   * @returns {boolean} True if the subscription existed
+   */
+  unsubscribe(userId, feedId) {
+    if (!this.isSubscribed(userId, feedId)) {
+      return false;
+    }
+
+    this.subscriptions.get(userId).delete(feedId);
+    if (this.getSubscriberCount(feedId) === 0) {
+      this.feeds.delete(feedId);
+    }
+    this.persist();
+    return true;
+  }
+
+  /**
+   * Remove all of a user's subscriptions
+   * Feeds nobody subscribes to anymore are removed
+   * @param {number} userId - User ID
+   * @returns {number} Number of subscriptions removed
+   */
+  unsubscribeAll(userId) {
+    if (!this.subscriptions.has(userId)) {
+      return 0;
+    }
+
+    const feedIds = Array.from(this.subscriptions.get(userId).keys());
+    this.subscriptions.delete(userId);
+    feedIds
+      .filter((feedId) => this.getSubscriberCount(feedId) === 0)
+      .forEach((feedId) => this.feeds.delete(feedId));
+    this.persist();
+    return feedIds.length;
+  }
+
+  /**
+   * Check if user is subscribed to a feed
+   * @param {number} userId - User ID
+   * @param {number} feedId - Feed ID
+   * @returns {boolean} True if subscribed
+   */
+  isSubscribed(userId, feedId) {
+    return (
+      this.subscriptions.has(userId) &&
+      this.subscriptions.get(userId).has(feedId)
+    );
+  }
+
+  /**
+   * Count users subscribed to a feed
+   * @param {number} feedId - Feed ID
+   * @returns {number} Subscriber count
+   */
+  getSubscriberCount(feedId) {
+    let count = 0;
+    for (const feeds of this.subscriptions.values()) {
+      if (feeds.has(feedId)) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Get all feeds a user is subscribed to
+   * @param {number} userId - User ID
+   * @returns {Array} Feeds with subscribedAt
+   */
+  getUserFeeds(userId) {
+    if (!this.subscriptions.has(userId)) {
+      return [];
+    }
+
+    return Array.from(this.subscriptions.get(userId).entries())
+      .map(([feedId, subscribedAt]) => {
+        const feed = this.feeds.get(feedId);
+        return feed ? { ...feed, subscribedAt } : null;
+      })
+      .filter((feed) => feed !== null);
+  }
+
+  /**
+   * Get all feeds with at least one subscriber
+   * @returns {Array} Feeds
+   */
+  findAll() {
+    return Array.from(this.feeds.values());
+  }
+}
+
+// Export singleton instance
+module.exports = new Feed();
@@ -0,0 +1,207 @@
+const { store: defaultStore } = require("./storage");
+
+/**
+ * RefreshToken Model
+ * Tracks refresh tokens (by hash, never the raw value) and the token
+ * families they belong to. A family is one login session: every rotation
+ * issues a new token in the same family, and revoking the family ends
+ * the session for both refresh and access tokens.
+ */
+
+class RefreshToken {
+  /**
+   * @param {Object} store - Storage backend (see models/storage)
+   */
+  constructor(store = defaultStore) {
+    this.store = store;
+    // Store tokens by hash: { tokenHash: { userId, familyId, expiresAt, ... } }
+    this.tokens = new Map();
+    // Store token families: { familyId: { userId, createdAt, revokedAt, ... } }
+    this.families = new Map();
+    this.load();
+  }
+
+  /**
+   * Load tokens and families from the store
+   */
+  load() {
+    const data = this.store.load("refreshTokens");
+    if (data) {
+      this.tokens = new Map(data.tokens || []);
+      this.families = new Map(data.families || []);
+    }
+  }
+
+  /**
+   * Persist tokens and families to the store
+   */
+  persist() {
+    this.store.save("refreshTokens", {
+      tokens: Array.from(this.tokens.entries()),
+      families: Array.from(this.families.entries()),
+    });
+  }
+
+  /**
+   * Create a new token family (login session)
+   * @param {string} familyId - Family ID
+   * @param {number} userId - User ID
+   * @returns {Object} Created family
+   */
+  createFamily(familyId, userId) {
+    const family = {
+      id: familyId,
+      userId,
+      createdAt: new Date().toISOString(),
+      revokedAt: null,
+      revokedReason: null,
+    };
+    this.families.set(familyId, family);
+    this.persist();
+    return family;
+  }
+
+  /**
+   * Get token family by ID
+   * @param {string} familyId - Family ID
+   * @returns {Object|null} Family or null
+   */
+  findFamily(familyId) {
+    return this.families.get(familyId) || null;
+  }
+
+  /**
+   * Check if a token family has been revoked
+   * Unknown families are treated as revoked
+   * @param {string} familyId - Family ID
+   * @returns {boolean} True if revoked
+   */
+  isFamilyRevoked(familyId) {
+    const family = this.families.get(familyId);
+    return !family || !!family.revokedAt;
+  }
+
+  /**
+   * Store a refresh token
+   * @param {Object} tokenData - Token data (tokenHash, userId, familyId, expiresAt)
+   * @returns {Object} Stored token record
+   */
+  create(tokenData) {
+    const token = {
+      tokenHash: tokenData.tokenHash,
+      userId: tokenData.userId,
+      familyId: tokenData.familyId,
+      expiresAt: tokenData.expiresAt,
+      createdAt: new Date().toISOString(),
+      usedAt: null,
+    };
+    this.tokens.set(token.tokenHash, token);
+    this.persist();
+    return token;
+  }
+
+  /**
+   * Find refresh token by hash
+   * @param {string} tokenHash - Hashed refresh token
+   * @returns {Object|null} Token record or null
+   */
+  findByHash(tokenHash) {
+    return this.tokens.get(tokenHash) || null;
+  }
+
+  /**
+   * Mark a refresh token as used (rotated)
+   * @param {string} tokenHash - Hashed refresh token
+   */
+  markUsed(tokenHash) {
+    const token = this.tokens.get(tokenHash);
+    if (token) {
+      token.usedAt = new Date().toISOString();
+      this.persist();
+    }
+  }
+
+  /**
+   * Revoke a token family
+   * @param {string} familyId - Family ID
+   * @param {string} reason - Revocation reason
+   * @returns {boolean} True if the family was active and is now revoked
+   */
+  revokeFamily(familyId, reason = "logout") {
+    const family = this.families.get(familyId);
+    if (!family || family.revokedAt) {
+      return false;
+    }
+
+    family.revokedAt = new Date().toISOString();
+    family.revokedReason = reason;
+    this.persist();
+    return true;
+  }
+
+  /**
+   * Revoke all active token families for a user
+   * @param {number} userId - User ID
+   * @param {string} reason - Revocation reason
+   * @param {string} exceptFamilyId - Family to keep active (optional)
+   * @returns {number} Number of families revoked
+   */
+  revokeAllForUser(userId, reason = "logout_all", exceptFamilyId = null) {
+    let revoked = 0;
+    const revokedAt = new Date().toISOString();
+
+    for (const [familyId, family] of this.families.entries()) {
+      if (
+        family.userId === userId &&
+        !family.revokedAt &&
+        familyId !== exceptFamilyId
+      ) {
+        family.revokedAt = revokedAt;
+        family.revokedReason = reason;
+        revoked++;
+      }
+    }
+
+    if (revoked > 0) {
+      this.persist();
+    }
+
+    return revoked;
+  }
+
+  /**
+   * Remove expired tokens and families that no longer have any tokens
+   * @returns {number} Number of tokens removed
+   */
+  clearExpired() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [tokenHash, token] of this.tokens.entries()) {
+      if (now > new Date(token.expiresAt).getTime()) {
+        this.tokens.delete(tokenHash);
+        removed++;
+      }
+    }
+
+    const liveFamilies = new Set(
+      Array.from(this.tokens.values()).map((token) => token.familyId)
+    );
+    let familiesRemoved = 0;
+    for (const familyId of this.families.keys()) {
+      if (!liveFamilies.has(familyId)) {
+        this.families.delete(familyId);
+        familiesRemoved++;
+      }
+    }
+
+    if (removed > 0 || familiesRemoved > 0) {
+      this.persist();
+    }
+
+    return removed;
+  }
+}
+
+// Export singleton instance
+module.exports = new RefreshToken();
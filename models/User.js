@@ -1,18 +1,46 @@
+const { store: defaultStore } = require("./storage");
+
 /**
  * User Model
- * In-memory storage for users (using array for simplicity)
- * In production, this would be replaced with a database
+ * Users are kept in an array and persisted through the configured store
+ * (in-memory by default, see config.storage)
  */
 
 class User {
-  constructor() {
+  /**
+   * @param {Object} store - Storage backend (see models/storage)
+   */
+  constructor(store = defaultStore) {
+    this.store = store;
     this.users = [];
     this.currentId = 1;
+    this.load();
+  }
+
+  /**
+   * Load users from the store
+   */
+  load() {
+    const data = this.store.load("users");
+    if (data) {
+      this.users = data.users || [];
+      this.currentId = data.currentId || 1;
+    }
+  }
+
+  /**
+   * Persist users to the store
+   */
+  persist() {
+    this.store.save("users", {
+      users: this.users,
+      currentId: this.currentId,
+    });
   }
 
   /**
    * Create a new user
-   * @param {Object} userData - User data (email, password, name)
+   * @param {Object} userData - User data (email, password, name, role)
    * @returns {Object} Created user
    */
   create(userData) {
@@ -22,10 +50,12 @@ class User {
       password: userData.password,
       name: userData.name,
       preferences: userData.preferences || [],
+      role: userData.role || "user",
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
     };
     this.users.push(user);
+    this.persist();
     return user;
   }
 
@@ -47,6 +77,40 @@ class User {
     return this.users.find((user) => user.id === id) || null;
   }
 
+  /**
+   * Find user by hashed feed token
+   * @param {string} tokenHash - SHA-256 hash of the feed token
+   * @returns {Object|null} User object or null
+   */
+  findByFeedTokenHash(tokenHash) {
+    return this.users.find((user) => user.feedTokenHash === tokenHash) || null;
+  }
+
+  /**
+   * Find user by hashed password reset token
+   * @param {string} tokenHash - SHA-256 hash of the reset token
+   * @returns {Object|null} User object or null
+   */
+  findByPasswordResetTokenHash(tokenHash) {
+    return (
+      this.users.find((user) => user.passwordResetTokenHash === tokenHash) ||
+      null
+    );
+  }
+
+  /**
+   * Find user by hashed email verification token
+   * @param {string} tokenHash - SHA-256 hash of the verification token
+   * @returns {Object|null} User object or null
+   */
+  findByEmailVerificationTokenHash(tokenHash) {
+    return (
+      this.users.find(
+        (user) => user.emailVerificationTokenHash === tokenHash
+      ) || null
+    );
+  }
+
   /**
    * Update user
    * @param {number} id - User ID
@@ -63,6 +127,7 @@ class User {
       ...updateData,
       updatedAt: new Date().toISOString(),
     };
+    this.persist();
     return this.users[userIndex];
   }
 
@@ -77,6 +142,7 @@ class User {
       return false;
     }
     this.users.splice(userIndex, 1);
+    this.persist();
     return true;
   }
 
@@ -0,0 +1,95 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * JSON File Store
+ * Persists each collection as a JSON file inside a data directory
+ * Writes are batched and flushed shortly after the last change
+ */
+
+class JsonFileStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.dataDir - Directory holding the JSON files
+   * @param {number} options.writeDelay - Delay before flushing in milliseconds
+   */
+  constructor({ dataDir, writeDelay = 100 } = {}) {
+    this.dataDir = path.resolve(dataDir || "./data");
+    this.writeDelay = writeDelay;
+    this.pending = new Map();
+    this.timer = null;
+
+    fs.mkdirSync(this.dataDir, { recursive: true });
+
+    // Make sure nothing is lost when the process exits
+    process.on("exit", () => this.flush());
+  }
+
+  /**
+   * Get file path for a collection
+   * @param {string} collection - Collection name
+   * @returns {string} Absolute file path
+   */
+  getFilePath(collection) {
+    return path.join(this.dataDir, `${collection}.json`);
+  }
+
+  /**
+   * Load a collection snapshot from disk
+   * @param {string} collection - Collection name
+   * @returns {Object|null} Stored snapshot or null if none
+   */
+  load(collection) {
+    const filePath = this.getFilePath(collection);
+
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+      throw new Error(
+        `Unable to read ${collection} data from ${filePath}: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Queue a collection snapshot for writing
+   * @param {string} collection - Collection name
+   * @param {Object} data - Serializable snapshot
+   */
+  save(collection, data) {
+    this.pending.set(collection, data);
+
+    if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.writeDelay);
+      // Don't keep the process alive just to write
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Write all pending snapshots to disk
+   * Each file is written to a temp file first and renamed for atomicity
+   */
+  flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    for (const [collection, data] of this.pending.entries()) {
+      const filePath = this.getFilePath(collection);
+      const tempPath = `${filePath}.tmp`;
+
+      fs.writeFileSync(tempPath, JSON.stringify(data));
+      fs.renameSync(tempPath, filePath);
+    }
+
+    this.pending.clear();
+  }
+}
+
+module.exports = JsonFileStore;
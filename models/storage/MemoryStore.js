@@ -0,0 +1,38 @@
+/**
+ * Memory Store
+ * Keeps collection snapshots in process memory (nothing survives a restart)
+ * Default storage backend, used for development and tests
+ */
+
+class MemoryStore {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  /**
+   * Load a collection snapshot
+   * @param {string} collection - Collection name
+   * @returns {Object|null} Stored snapshot or null if none
+   */
+  load(collection) {
+    return this.collections.has(collection)
+      ? this.collections.get(collection)
+      : null;
+  }
+
+  /**
+   * Save a collection snapshot
+   * @param {string} collection - Collection name
+   * @param {Object} data - Serializable snapshot
+   */
+  save(collection, data) {
+    this.collections.set(collection, data);
+  }
+
+  /**
+   * Flush pending writes (no-op for memory store)
+   */
+  flush() {}
+}
+
+module.exports = MemoryStore;
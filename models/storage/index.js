@@ -0,0 +1,46 @@
+const config = require("../../config/config");
+const MemoryStore = require("./MemoryStore");
+const JsonFileStore = require("./JsonFileStore");
+
+/**
+ * Storage backend factory
+ * Every store implements the same synchronous interface:
+ *   load(collection) -> snapshot | null
+ *   save(collection, snapshot)
+ *   flush()
+ */
+
+const drivers = {
+  memory: () => new MemoryStore(),
+  json: (options) => new JsonFileStore(options),
+};
+
+/**
+ * Create a store for the given driver
+ * @param {Object} options - Storage options (driver, dataDir, writeDelay)
+ * @returns {Object} Store instance
+ */
+const createStore = (options = {}) => {
+  const driver = options.driver || "memory";
+  const factory = drivers[driver];
+
+  if (!factory) {
+    throw new Error(
+      `Unknown storage driver "${driver}". Supported: ${Object.keys(
+        drivers
+      ).join(", ")}`
+    );
+  }
+
+  return factory(options);
+};
+
+// Shared store used by all models
+const store = createStore(config.storage);
+
+module.exports = {
+  store,
+  createStore,
+  MemoryStore,
+  JsonFileStore,
+};
@@ -0,0 +1,61 @@
+const express = require("express");
+const router = express.Router();
+const {
+  authenticate,
+  authorize,
+  requireSession,
+} = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
+const adminController = require("../controllers/adminController");
+
+// Every admin route requires an authenticated admin
+router.use(
+  authenticate,
+  requireSession,
+  authorize("admin"),
+  rateLimit("admin")
+);
+
+/**
+ * @route   GET /api/v1/admin/users
+ * @desc    List users (paginated with limit and cursor)
+ * @access  Admin
+ */
+router.get("/users", adminController.listUsers);
+
+/**
+ * @route   POST /api/v1/admin/users/:id/disable
+ * @desc    Disable a user and revoke their sessions
+ * @access  Admin
+ */
+router.post("/users/:id/disable", adminController.disableUser);
+
+/**
+ * @route   POST /api/v1/admin/users/:id/enable
+ * @desc    Re-enable a disabled user
+ * @access  Admin
+ */
+router.post("/users/:id/enable", adminController.enableUser);
+
+/**
+ * @route   GET /api/v1/admin/jobs
+ * @desc    Background job status with cache and request stats
+ * @access  Admin
+ */
+router.get("/jobs", adminController.getJobStatus);
+
+/**
+ * @route   POST /api/v1/admin/cache/refresh
+ * @desc    Refresh the popular news cache now
+ * @access  Admin
+ */
+router.post("/cache/refresh", adminController.refreshCache);
+
+/**
+ * @route   DELETE /api/v1/admin/cache
+ * @desc    Clear the news cache
+ * @access  Admin
+ */
+router.delete("/cache", adminController.clearCache);
+
+module.exports = router;
@@ -1,7 +1,12 @@
 const express = require("express");
 const router = express.Router();
+const { authenticate, requireSession } = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
 const authController = require("../controllers/authController");
 
+// Every auth endpoint is limited per IP
+router.use(rateLimit("auth"));
+
 /**
  * @route   POST /register
  * @desc    Register a new user
@@ -16,4 +21,65 @@ router.post("/register", authController.register);
  */
 router.post("/login", authController.login);
 
+/**
+ * @route   POST /login/2fa
+ * @desc    Complete a login with a TOTP or recovery code
+ * @access  Public (requires the challenge token from /login)
+ */
+router.post("/login/2fa", authController.loginTwoFactor);
+
+/**
+ * @route   POST /refresh
+ * @desc    Exchange a refresh token for a new access/refresh token pair
+ * @access  Public
+ */
+router.post("/refresh", authController.refresh);
+
+/**
+ * @route   GET /verify
+ * @desc    Verify an email address (?token= from the verification email)
+ * @access  Public
+ */
+router.get("/verify", authController.verifyEmail);
+
+/**
+ * @route   POST /resend-verification
+ * @desc    Email a new verification link
+ * @access  Public
+ */
+router.post("/resend-verification", authController.resendVerification);
+
+/**
+ * @route   POST /forgot-password
+ * @desc    Email a password reset token
+ * @access  Public
+ */
+router.post("/forgot-password", authController.forgotPassword);
+
+/**
+ * @route   POST /reset-password
+ * @desc    Set a new password with a reset token (revokes all sessions)
+ * @access  Public
+ */
+router.post("/reset-password", authController.resetPassword);
+
+/**
+ * @route   POST /logout
+ * @desc    Revoke the current session
+ * @access  Private (requires authentication)
+ */
+router.post("/logout", authenticate, requireSession, authController.logout);
+
+/**
+ * @route   POST /logout-all
+ * @desc    Revoke all sessions of the current user
+ * @access  Private (requires authentication)
+ */
+router.post(
+  "/logout-all",
+  authenticate,
+  requireSession,
+  authController.logoutAll
+);
+
 module.exports = router;
@@ -0,0 +1,37 @@
+const express = require("express");
+const router = express.Router();
+const {
+  authenticateFeedToken,
+  requireVerifiedEmail,
+} = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
+const syndicationController = require("../controllers/syndicationController");
+
+// Feed readers are limited per IP
+router.use(rateLimit("feeds"));
+
+/**
+ * @route   GET /api/v1/feeds/:token/news.:format
+ * @desc    Personalized news as an RSS 2.0 or Atom 1.0 feed
+ * @access  Private (requires feed token in URL)
+ */
+router.get(
+  "/:token/news.:format(rss|atom)",
+  authenticateFeedToken,
+  requireVerifiedEmail,
+  syndicationController.getNewsFeed
+);
+
+/**
+ * @route   GET /api/v1/feeds/:token/favorites.:format
+ * @desc    Favorite articles as an RSS 2.0 or Atom 1.0 feed
+ * @access  Private (requires feed token in URL)
+ */
+router.get(
+  "/:token/favorites.:format(rss|atom)",
+  authenticateFeedToken,
+  requireVerifiedEmail,
+  syndicationController.getFavoritesFeed
+);
+
+module.exports = router;
@@ -1,63 +1,138 @@
 const express = require("express");
 const router = express.Router();
-const { authenticate } = require("../middleware/auth");
+const {
+  authenticate,
+  requireVerifiedEmail,
+  requireScope,
+} = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
 const newsController = require("../controllers/newsController");
 const articleController = require("../controllers/articleController");
 
 /**
  * @route   GET /api/v1/news
  * @desc    Get personalized news based on user preferences
- * @access  Private (requires authentication)
+ * @access  Private (requires authentication or an API key with news:read)
  */
-router.get("/", authenticate, newsController.getNews);
+router.get(
+  "/",
+  authenticate,
+  requireVerifiedEmail,
+  requireScope("news:read"),
+  rateLimit("news"),
+  newsController.getNews
+);
 
 /**
  * @route   GET /api/v1/news/search
  * @desc    Search news articles
- * @access  Private (requires authentication)
+ * @access  Private (requires authentication or an API key with news:read)
  */
-router.get("/search", authenticate, newsController.searchNews);
+router.get(
+  "/search",
+  authenticate,
+  requireVerifiedEmail,
+  requireScope("news:read"),
+  rateLimit("search"),
+  newsController.searchNews
+);
+
+/**
+ * @route   GET /api/v1/news/headlines
+ * @desc    Get top headlines by category
+ * @access  Private (requires authentication or an API key with news:read)
+ */
+router.get(
+  "/headlines",
+  authenticate,
+  requireVerifiedEmail,
+  requireScope("news:read"),
+  rateLimit("search"),
+  newsController.getHeadlines
+);
 
 /**
  * @route   GET /api/v1/news/read
  * @desc    Get all read articles
- * @access  Private (requires authentication)
+ * @access  Private (requires authentication or an API key with news:read)
  */
-router.get("/read", authenticate, articleController.getReadArticles);
+router.get(
+  "/read",
+  authenticate,
+  requireVerifiedEmail,
+  requireScope("news:read"),
+  rateLimit("news"),
+  articleController.getReadArticles
+);
 
 /**
  * @route   POST /api/v1/news/:id/read
  * @desc    Mark article as read
- * @access  Private (requires authentication)
+ * @access  Private (requires authentication or an API key with articles:write)
  */
-router.post("/:id/read", authenticate, articleController.markAsRead);
+router.post(
+  "/:id/read",
+  authenticate,
+  requireVerifiedEmail,
+  requireScope("articles:write"),
+  rateLimit("news"),
+  articleController.markAsRead
+);
 
 /**
  * @route   GET /api/v1/news/favorites
  * @desc    Get all favorite articles
- * @access  Private (requires authentication)
+ * @access  Private (requires authentication or an API key with news:read)
  */
-router.get("/favorites", authenticate, articleController.getFavoriteArticles);
+router.get(
+  "/favorites",
+  authenticate,
+  requireVerifiedEmail,
+  requireScope("news:read"),
+  rateLimit("news"),
+  articleController.getFavoriteArticles
+);
 
 /**
  * @route   POST /api/v1/news/:id/favorite
  * @desc    Mark article as favorite
- * @access  Private (requires authentication)
+ * @access  Private (requires authentication or an API key with articles:write)
  */
-router.post("/:id/favorite", authenticate, articleController.markAsFavorite);
+router.post(
+  "/:id/favorite",
+  authenticate,
+  requireVerifiedEmail,
+  requireScope("articles:write"),
+  rateLimit("news"),
+  articleController.markAsFavorite
+);
 
 /**
  * @route   DELETE /api/v1/news/:id/favorite
  * @desc    Remove article from favorites
- * @access  Private (requires authentication)
+ * @access  Private (requires authentication or an API key with articles:write)
  */
-router.delete("/:id/favorite", authenticate, articleController.removeFavorite);
+router.delete(
+  "/:id/favorite",
+  authenticate,
+  requireVerifiedEmail,
+  requireScope("articles:write"),
+  rateLimit("news"),
+  articleController.removeFavorite
+);
 
 /**
  * @route   GET /api/v1/news/stats
  * @desc    Get article statistics for user
- * @access  Private (requires authentication)
+ * @access  Private (requires authentication or an API key with news:read)
  */
-router.get("/stats", authenticate, articleController.getArticleStats);
+router.get(
+  "/stats",
+  authenticate,
+  requireVerifiedEmail,
+  requireScope("news:read"),
+  rateLimit("news"),
+  articleController.getArticleStats
+);
 
 module.exports = router;
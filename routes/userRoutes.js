@@ -1,29 +1,116 @@
 const express = require("express");
 const router = express.Router();
-const { authenticate } = require("../middleware/auth");
+const {
+  authenticate,
+  requireSession,
+  requireVerifiedEmail,
+} = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
 const preferencesController = require("../controllers/preferencesController");
+const feedController = require("../controllers/feedController");
+const syndicationController = require("../controllers/syndicationController");
+const accountController = require("../controllers/accountController");
+const apiKeyController = require("../controllers/apiKeyController");
+const twoFactorController = require("../controllers/twoFactorController");
 
 /**
  * @route   GET /api/v1/users/profile
  * @desc    Get current user profile
  * @access  Private (requires authentication)
  */
-router.get("/profile", authenticate, (req, res) => {
-  res.json({
-    success: true,
-    message: "Profile retrieved successfully",
-    data: {
-      user: req.user,
-    },
-  });
-});
+router.get(
+  "/profile",
+  authenticate,
+  requireSession,
+  rateLimit("users"),
+  (req, res) => {
+    res.json({
+      success: true,
+      message: "Profile retrieved successfully",
+      data: {
+        user: req.user,
+      },
+    });
+  }
+);
+
+/**
+ * @route   PATCH /api/v1/users/profile
+ * @desc    Update name and/or email (a new email must be verified again)
+ * @access  Private (requires authentication)
+ */
+router.patch(
+  "/profile",
+  authenticate,
+  requireSession,
+  rateLimit("users"),
+  accountController.updateProfile
+);
+
+/**
+ * @route   PUT /api/v1/users/password
+ * @desc    Change password (requires the current password)
+ * @access  Private (requires authentication)
+ */
+router.put(
+  "/password",
+  authenticate,
+  requireSession,
+  rateLimit("users"),
+  accountController.changePassword
+);
+
+/**
+ * @route   DELETE /api/v1/users/me
+ * @desc    Delete the account with its read history, favorites and feeds
+ * @access  Private (requires authentication)
+ */
+router.delete(
+  "/me",
+  authenticate,
+  requireSession,
+  rateLimit("users"),
+  accountController.deleteAccount
+);
+
+/**
+ * @route   GET /api/v1/users/me/export
+ * @desc    Download profile, preferences, read history, favorites and feeds
+ * @access  Private (requires authentication)
+ */
+router.get(
+  "/me/export",
+  authenticate,
+  requireSession,
+  rateLimit("users"),
+  accountController.exportData
+);
+
+/**
+ * @route   POST /api/v1/users/me/import
+ * @desc    Restore an export archive into an account without tracked data
+ * @access  Private (requires authentication)
+ */
+router.post(
+  "/me/import",
+  authenticate,
+  requireSession,
+  rateLimit("users"),
+  accountController.importData
+);
 
 /**
  * @route   GET /api/v1/users/preferences
  * @desc    Get user preferences
  * @access  Private (requires authentication)
  */
-router.get("/preferences", authenticate, preferencesController.getPreferences);
+router.get(
+  "/preferences",
+  authenticate,
+  requireSession,
+  rateLimit("users"),
+  preferencesController.getPreferences
+);
 
 /**
  * @route   PUT /api/v1/users/preferences
@@ -33,7 +120,168 @@ router.get("/preferences", authenticate, preferencesController.getPreferences);
 router.put(
   "/preferences",
   authenticate,
+  requireSession,
+  rateLimit("users"),
   preferencesController.updatePreferences
 );
 
+/**
+ * @route   GET /api/v1/users/feeds
+ * @desc    Get RSS/Atom feeds the user is subscribed to
+ * @access  Private (requires authentication)
+ */
+router.get(
+  "/feeds",
+  authenticate,
+  requireSession,
+  requireVerifiedEmail,
+  rateLimit("users"),
+  feedController.getFeeds
+);
+
+/**
+ * @route   POST /api/v1/users/feeds
+ * @desc    Subscribe to an RSS/Atom feed
+ * @access  Private (requires authentication)
+ */
+router.post(
+  "/feeds",
+  authenticate,
+  requireSession,
+  requireVerifiedEmail,
+  rateLimit("users"),
+  feedController.addFeed
+);
+
+/**
+ * @route   DELETE /api/v1/users/feeds/:id
+ * @desc    Unsubscribe from a feed
+ * @access  Private (requires authentication)
+ */
+router.delete(
+  "/feeds/:id",
+  authenticate,
+  requireSession,
+  rateLimit("users"),
+  feedController.removeFeed
+);
+
+/**
+ * @route   POST /api/v1/users/feed-token
+ * @desc    Create (or rotate) the token for personal RSS/Atom output feeds
+ * @access  Private (requires authentication)
+ */
+router.post(
+  "/feed-token",
+  authenticate,
+  requireSession,
+  requireVerifiedEmail,
+  rateLimit("users"),
+  syndicationController.createFeedToken
+);
+
+/**
+ * @route   DELETE /api/v1/users/feed-token
+ * @desc    Revoke the feed token
+ * @access  Private (requires authentication)
+ */
+router.delete(
+  "/feed-token",
+  authenticate,
+  requireSession,
+  rateLimit("users"),
+  syndicationController.revokeFeedToken
+);
+
+/**
+ * @route   GET /api/v1/users/api-keys
+ * @desc    List API keys (without the keys themselves)
+ * @access  Private (requires authentication)
+ */
+router.get(
+  "/api-keys",
+  authenticate,
+  requireSession,
+  rateLimit("users"),
+  apiKeyController.listApiKeys
+);
+
+/**
+ * @route   POST /api/v1/users/api-keys
+ * @desc    Create a named, scoped API key (returned once)
+ * @access  Private (requires authentication)
+ */
+router.post(
+  "/api-keys",
+  authenticate,
+  requireSession,
+  rateLimit("users"),
+  apiKeyController.createApiKey
+);
+
+/**
+ * @route   DELETE /api/v1/users/api-keys/:id
+ * @desc    Revoke an API key
+ * @access  Private (requires authentication)
+ */
+router.delete(
+  "/api-keys/:id",
+  authenticate,
+  requireSession,
+  rateLimit("users"),
+  apiKeyController.revokeApiKey
+);
+
+/**
+ * @route   GET /api/v1/users/2fa
+ * @desc    Two-factor status and remaining recovery codes
+ * @access  Private (requires authentication)
+ */
+router.get(
+  "/2fa",
+  authenticate,
+  requireSession,
+  rateLimit("users"),
+  twoFactorController.getStatus
+);
+
+/**
+ * @route   POST /api/v1/users/2fa/setup
+ * @desc    Start TOTP enrollment (returns secret and otpauth URI)
+ * @access  Private (requires authentication)
+ */
+router.post(
+  "/2fa/setup",
+  authenticate,
+  requireSession,
+  rateLimit("users"),
+  twoFactorController.setup
+);
+
+/**
+ * @route   POST /api/v1/users/2fa/confirm
+ * @desc    Confirm enrollment with a code (returns recovery codes)
+ * @access  Private (requires authentication)
+ */
+router.post(
+  "/2fa/confirm",
+  authenticate,
+  requireSession,
+  rateLimit("users"),
+  twoFactorController.confirm
+);
+
+/**
+ * @route   DELETE /api/v1/users/2fa
+ * @desc    Turn off two-factor authentication (password and code)
+ * @access  Private (requires authentication)
+ */
+router.delete(
+  "/2fa",
+  authenticate,
+  requireSession,
+  rateLimit("users"),
+  twoFactorController.disable
+);
+
 module.exports = router;
@@ -2,6 +2,7 @@ require("dotenv").config();
 const app = require("./app");
 const config = require("./config/config");
 const backgroundJobService = require("./services/backgroundJobService");
+const cacheService = require("./services/cacheService");
 
 const port = config.port;
 
@@ -17,6 +18,8 @@ app.listen(port, (err) => {
     cacheUpdateInterval: 5 * 60 * 1000, // Update cache every 5 minutes
     cacheCleanupInterval: 10 * 60 * 1000, // Cleanup every 10 minutes
     articleCleanupInterval: 60 * 60 * 1000, // Cleanup articles every hour
+    sessionCleanupInterval: 60 * 60 * 1000, // Cleanup refresh tokens every hour
+    feedPollInterval: 15 * 60 * 1000, // Poll RSS/Atom feeds every 15 minutes
   });
 });
 
@@ -24,11 +27,13 @@ app.listen(port, (err) => {
 process.on("SIGTERM", () => {
   console.log("SIGTERM signal received: closing HTTP server");
   backgroundJobService.stop();
-  process.exit(0);
+  // Close the cache backend (Redis connection) before exiting
+  cacheService.close().finally(() => process.exit(0));
 });
 
 process.on("SIGINT", () => {
   console.log("SIGINT signal received: closing HTTP server");
   backgroundJobService.stop();
-  process.exit(0);
+  // Close the cache backend (Redis connection) before exiting
+  cacheService.close().finally(() => process.exit(0));
 });
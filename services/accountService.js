@@ -0,0 +1,261 @@
+const UserModel = require("../models/User");
+const ArticleModel = require("../models/Article");
+const FeedModel = require("../models/Feed");
+const feedService = require("./feedService");
+const tokenService = require("./tokenService");
+const apiKeyService = require("./apiKeyService");
+const loginAttemptService = require("./loginAttemptService");
+const emailVerificationService = require("./emailVerificationService");
+const { hashPassword, comparePassword } = require("../utils/password");
+const {
+  normalizePreferences,
+  normalizeKeywords,
+} = require("../utils/preferences");
+const { EXPORT_FORMAT, EXPORT_VERSION } = require("../utils/dataExport");
+const {
+  ValidationError,
+  ConflictError,
+  NotFoundError,
+} = require("../middleware/errorHandler");
+
+/**
+ * Account Service
+ * Self-service account management: profile updates, password changes,
+ * account deletion and personal data export/import, plus disabling accounts
+ * for admins. A new email only takes effect once it is verified; deleting
+ * the account removes everything stored for the user.
+ */
+
+class AccountService {
+  /**
+   * Find a user or throw
+   * @param {number} userId - User ID
+   * @returns {Object} User
+   */
+  getUser(userId) {
+    const user = UserModel.findById(userId);
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+    return user;
+  }
+
+  /**
+   * Update name and/or email
+   * A changed email is kept as `pendingEmail` until it is verified
+   * @param {number} userId - User ID
+   * @param {Object} changes - { name, email }
+   * @returns {Promise<Object>} Updated user
+   */
+  async updateProfile(userId, { name, email }) {
+    const user = this.getUser(userId);
+    const updates = {};
+
+    if (name !== undefined) {
+      updates.name = name.trim();
+    }
+
+    const newEmail = email !== undefined ? email.toLowerCase().trim() : null;
+    const emailChanged = newEmail !== null && newEmail !== user.email;
+    if (emailChanged && UserModel.findByEmail(newEmail)) {
+      throw new ConflictError("User with this email already exists");
+    }
+
+    let updatedUser = UserModel.update(userId, updates);
+
+    if (emailChanged) {
+      try {
+        await emailVerificationService.sendEmailChange(updatedUser, newEmail);
+      } catch (error) {
+        console.error("Verification email error:", error);
+      }
+      updatedUser = UserModel.findById(userId);
+    }
+
+    return updatedUser;
+  }
+
+  /**
+   * Change the password after checking the current one
+   * Every other session is revoked; the current one stays signed in
+   * @param {number} userId - User ID
+   * @param {string} currentPassword - Current password
+   * @param {string} newPassword - New password
+   * @param {string} sessionId - Session making the change (optional)
+   * @returns {Promise<Object|null>} Updated user, or null if the current
+   *   password is wrong
+   */
+  async changePassword(userId, currentPassword, newPassword, sessionId = null) {
+    const user = this.getUser(userId);
+
+    const isMatch = await comparePassword(currentPassword, user.password);
+    if (!isMatch) {
+      return null;
+    }
+
+    const hashedPassword = await hashPassword(newPassword);
+    const updatedUser = UserModel.update(userId, {
+      password: hashedPassword,
+      passwordChangedAt: new Date().toISOString(),
+    });
+
+    tokenService.revokeAllSessions(userId, "password_change", sessionId);
+    return updatedUser;
+  }
+
+  /**
+   * Delete an account and everything stored for it
+   * @param {number} userId - User ID
+   * @param {string} password - Password confirmation
+   * @returns {Promise<boolean>} False if the password is wrong
+   */
+  async deleteAccount(userId, password) {
+    const user = this.getUser(userId);
+
+    const isMatch = await comparePassword(password, user.password);
+    if (!isMatch) {
+      return false;
+    }
+
+    ArticleModel.purgeUser(userId);
+    FeedModel.unsubscribeAll(userId);
+    tokenService.revokeAllSessions(userId, "account_deleted");
+    apiKeyService.deleteAllForUser(userId);
+    loginAttemptService.reset(user.email);
+    UserModel.delete(userId);
+
+    return true;
+  }
+
+  /**
+   * Disable or re-enable an account (admin)
+   * Disabled accounts cannot log in and all their sessions are revoked
+   * @param {number} userId - User ID
+   * @param {boolean} disabled - True to disable
+   * @param {number} actorId - Admin making the change
+   * @returns {Object} Updated user
+   */
+  setDisabled(userId, disabled, actorId) {
+    this.getUser(userId);
+
+    if (disabled && userId === actorId) {
+      throw new ValidationError("Validation failed", [
+        "You cannot disable your own account",
+      ]);
+    }
+
+    const updatedUser = UserModel.update(userId, {
+      disabled,
+      disabledAt: disabled ? new Date().toISOString() : null,
+    });
+
+    if (disabled) {
+      tokenService.revokeAllSessions(userId, "account_disabled");
+    }
+
+    return updatedUser;
+  }
+
+  /**
+   * Package everything stored for a user into an export archive
+   * Secrets (password hash, tokens) are never included
+   * @param {number} userId - User ID
+   * @returns {Object} Export archive
+   */
+  exportData(userId) {
+    const user = this.getUser(userId);
+
+    return {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      profile: {
+        email: user.email,
+        name: user.name,
+        emailVerified: emailVerificationService.isVerified(user),
+        createdAt: user.createdAt,
+        updatedAt: user.updatedAt,
+      },
+      preferences: user.preferences || [],
+      mutedKeywords: user.mutedKeywords || [],
+      blockedSources: user.blockedSources || [],
+      readHistory: ArticleModel.getReadArticles(userId),
+      favorites: ArticleModel.getFavoriteArticles(userId),
+      feeds: FeedModel.getUserFeeds(userId).map((feed) => ({
+        url: feed.url,
+        title: feed.title,
+        subscribedAt: feed.subscribedAt,
+      })),
+    };
+  }
+
+  /**
+   * Restore an export archive into an account without tracked data
+   * The account keeps its own email and password. Feeds that can no longer
+   * be fetched are skipped rather than failing the import.
+   * @param {number} userId - User ID
+   * @param {Object} archive - Validated export archive
+   * @returns {Promise<Object>} Import summary
+   */
+  async importData(userId, archive) {
+    this.getUser(userId);
+
+    const stats = ArticleModel.getUserStats(userId);
+    if (
+      stats.totalRead > 0 ||
+      stats.totalFavorites > 0 ||
+      FeedModel.getUserFeeds(userId).length > 0
+    ) {
+      throw new ConflictError(
+        "Data can only be imported into an account without read history, favorites or feeds"
+      );
+    }
+
+    const updates = {};
+    if (archive.profile && archive.profile.name !== undefined) {
+      updates.name = archive.profile.name.trim();
+    }
+    if (archive.preferences !== undefined) {
+      updates.preferences = normalizePreferences(archive.preferences);
+    }
+    ["mutedKeywords", "blockedSources"].forEach((field) => {
+      if (archive[field] !== undefined) {
+        updates[field] = normalizeKeywords(archive[field]);
+      }
+    });
+    UserModel.update(userId, updates);
+
+    const restored = ArticleModel.restoreUser(userId, {
+      readHistory: archive.readHistory,
+      favorites: archive.favorites,
+    });
+
+    let feeds = 0;
+    const skippedFeeds = [];
+    for (const feed of archive.feeds || []) {
+      try {
+        await feedService.subscribe(userId, feed.url.trim());
+        feeds++;
+      } catch (error) {
+        skippedFeeds.push({
+          url: feed.url,
+          reason:
+            error.statusCode === 409
+              ? "Already subscribed to this feed"
+              : "Could not fetch a valid RSS or Atom feed",
+        });
+      }
+    }
+
+    return {
+      preferences: (updates.preferences || []).length,
+      readHistory: restored.read,
+      favorites: restored.favorites,
+      feeds,
+      skippedFeeds,
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new AccountService();
@@ -0,0 +1,132 @@
+const ApiKeyModel = require("../models/ApiKey");
+const { generateRandomToken, hashToken } = require("../utils/jwt");
+const {
+  ValidationError,
+  NotFoundError,
+} = require("../middleware/errorHandler");
+
+/**
+ * API Key Service
+ * Issues scoped API keys for machine-to-machine clients. The raw key is
+ * returned once on creation; only its SHA-256 hash is stored.
+ */
+
+class ApiKeyService {
+  constructor() {
+    this.keyPrefix = "nak_";
+    this.maxKeysPerUser = 20;
+    // Write lastUsedAt at most this often per key
+    this.touchInterval = 60 * 1000;
+  }
+
+  /**
+   * Fields of a key safe to show its owner
+   * @param {Object} key - Key record
+   * @returns {Object} Key without its hash
+   */
+  toPublic(key) {
+    return {
+      id: key.id,
+      name: key.name,
+      prefix: key.prefix,
+      scopes: key.scopes,
+      createdAt: key.createdAt,
+      lastUsedAt: key.lastUsedAt,
+      revokedAt: key.revokedAt,
+    };
+  }
+
+  /**
+   * Create an API key
+   * @param {number} userId - Owner ID
+   * @param {Object} options - { name, scopes } (validated)
+   * @returns {Object} { key, apiKey } raw key (shown once) and key details
+   */
+  create(userId, { name, scopes }) {
+    const activeKeys = ApiKeyModel.findByUser(userId).filter(
+      (key) => !key.revokedAt
+    );
+    if (activeKeys.length >= this.maxKeysPerUser) {
+      throw new ValidationError("API key limit reached", [
+        `Maximum ${this.maxKeysPerUser} active API keys allowed`,
+      ]);
+    }
+
+    const key = `${this.keyPrefix}${generateRandomToken(32)}`;
+    const record = ApiKeyModel.create({
+      userId,
+      name: name.trim(),
+      keyHash: hashToken(key),
+      prefix: key.substring(0, this.keyPrefix.length + 6),
+      scopes: [...new Set(scopes)],
+    });
+
+    return { key, apiKey: this.toPublic(record) };
+  }
+
+  /**
+   * List a user's API keys (including revoked ones)
+   * @param {number} userId - Owner ID
+   * @returns {Array} Keys without hashes
+   */
+  list(userId) {
+    return ApiKeyModel.findByUser(userId).map((key) => this.toPublic(key));
+  }
+
+  /**
+   * Revoke one of a user's API keys
+   * @param {number} userId - Owner ID
+   * @param {string} keyId - Key ID
+   */
+  revoke(userId, keyId) {
+    if (!ApiKeyModel.revoke(keyId, userId)) {
+      throw new NotFoundError("API key not found");
+    }
+  }
+
+  /**
+   * Resolve a raw API key and record its use
+   * @param {string} key - Raw API key
+   * @returns {Object|null} Active key record, or null if unknown/revoked
+   */
+  verify(key) {
+    const record =
+      typeof key === "string" && key.startsWith(this.keyPrefix)
+        ? ApiKeyModel.findByHash(hashToken(key))
+        : null;
+    if (!record || record.revokedAt) {
+      return null;
+    }
+
+    const now = Date.now();
+    if (
+      !record.lastUsedAt ||
+      now - Date.parse(record.lastUsedAt) >= this.touchInterval
+    ) {
+      ApiKeyModel.touch(record.id, new Date(now).toISOString());
+    }
+
+    return record;
+  }
+
+  /**
+   * Revoke every API key of a user (password reset)
+   * @param {number} userId - User ID
+   * @returns {number} Number of keys revoked
+   */
+  revokeAllForUser(userId) {
+    return ApiKeyModel.revokeAllForUser(userId);
+  }
+
+  /**
+   * Remove every API key of a user (account deletion)
+   * @param {number} userId - User ID
+   * @returns {number} Number of keys removed
+   */
+  deleteAllForUser(userId) {
+    return ApiKeyModel.deleteAllForUser(userId);
+  }
+}
+
+// Export singleton instance
+module.exports = new ApiKeyService();
@@ -0,0 +1,49 @@
+const ArticleModel = require("../models/Article");
+const { NotFoundError } = require("../middleware/errorHandler");
+
+/**
+ * Article Service
+ * Read and favorite tracking by article ID. Only articles the API has
+ * served (news, search, headlines, feeds) are known, so their metadata
+ * is always available to the read and favorite lists.
+ */
+
+class ArticleService {
+  /**
+   * Find an article's metadata or throw
+   * @param {string} articleId - Article ID (legacy IDs are resolved)
+   * @returns {Object} Article metadata
+   */
+  getArticle(articleId) {
+    const article = ArticleModel.getArticleMetadata(articleId);
+    if (!article) {
+      throw new NotFoundError("Article not found");
+    }
+    return article;
+  }
+
+  /**
+   * Mark a known article as read
+   * @param {number} userId - User ID
+   * @param {string} articleId - Article ID
+   * @returns {Object} { articleId, markedAt }
+   */
+  markAsRead(userId, articleId) {
+    const article = this.getArticle(articleId);
+    return ArticleModel.markAsReadById(userId, article.id);
+  }
+
+  /**
+   * Mark a known article as favorite
+   * @param {number} userId - User ID
+   * @param {string} articleId - Article ID
+   * @returns {Object} { articleId, favoritedAt }
+   */
+  markAsFavorite(userId, articleId) {
+    const article = this.getArticle(articleId);
+    return ArticleModel.markAsFavoriteById(userId, article.id);
+  }
+}
+
+// Export singleton instance
+module.exports = new ArticleService();
@@ -2,6 +2,8 @@ const newsService = require("./newsService");
 const cacheService = require("./cacheService");
 const UserModel = require("../models/User");
 const ArticleModel = require("../models/Article");
+const tokenService = require("./tokenService");
+const feedService = require("./feedService");
 
 /**
  * Background Job Service
@@ -14,6 +16,8 @@ class BackgroundJobService {
       cacheUpdate: null,
       cacheCleanup: null,
       articleCleanup: null,
+      sessionCleanup: null,
+      feedPoll: null,
     };
     this.isRunning = false;
   }
@@ -32,6 +36,8 @@ class BackgroundJobService {
       cacheUpdateInterval = 5 * 60 * 1000, // 5 minutes
       cacheCleanupInterval = 10 * 60 * 1000, // 10 minutes
       articleCleanupInterval = 60 * 60 * 1000, // 1 hour
+      sessionCleanupInterval = 60 * 60 * 1000, // 1 hour
+      feedPollInterval = 15 * 60 * 1000, // 15 minutes
     } = config;
 
     console.log("Starting background jobs...");
@@ -51,6 +57,16 @@ class BackgroundJobService {
       await this.cleanupOldArticles();
     }, articleCleanupInterval);
 
+    // Periodic expired refresh token cleanup
+    this.intervals.sessionCleanup = setInterval(async () => {
+      await this.cleanupExpiredSessions();
+    }, sessionCleanupInterval);
+
+    // Periodic RSS/Atom feed polling
+    this.intervals.feedPoll = setInterval(async () => {
+      await this.pollFeeds();
+    }, feedPollInterval);
+
     this.isRunning = true;
     console.log("Background jobs started successfully");
   }
@@ -101,7 +117,7 @@ class BackgroundJobService {
       const users = UserModel.findAll();
 
       // Limit to first 10 active users to avoid overwhelming the API
-      const activeUsers = users.slice(0, 10);
+      const activeUsers = users.filter((user) => !user.disabled).slice(0, 10);
 
       for (const user of activeUsers) {
         if (user.preferences && user.preferences.length > 0) {
@@ -138,6 +154,10 @@ class BackgroundJobService {
 
       const stats = cacheService.getStats();
       console.log(`[Background Job] Cache cleanup completed. Stats:`, stats);
+      console.log(
+        "[Background Job] Upstream request stats:",
+        newsService.getRequestStats()
+      );
     } catch (error) {
       console.error("[Background Job] Error in cleanupCache:", error);
     }
@@ -161,6 +181,38 @@ class BackgroundJobService {
     }
   }
 
+  /**
+   * Cleanup expired refresh tokens
+   */
+  async cleanupExpiredSessions() {
+    try {
+      console.log("[Background Job] Cleaning up expired refresh tokens...");
+
+      const deletedCount = tokenService.cleanupExpired();
+
+      console.log(
+        `[Background Job] Deleted ${deletedCount} expired refresh tokens`
+      );
+    } catch (error) {
+      console.error("[Background Job] Error in cleanupExpiredSessions:", error);
+    }
+  }
+
+  /**
+   * Poll users' RSS/Atom feeds for new articles
+   */
+  async pollFeeds() {
+    try {
+      console.log("[Background Job] Polling RSS/Atom feeds...");
+
+      const { polled, failed } = await feedService.pollAll();
+
+      console.log(`[Background Job] Polled ${polled} feeds (${failed} failed)`);
+    } catch (error) {
+      console.error("[Background Job] Error in pollFeeds:", error);
+    }
+  }
+
   /**
    * Force update cache immediately
    */
@@ -182,8 +234,11 @@ class BackgroundJobService {
         cacheUpdate: !!this.intervals.cacheUpdate,
         cacheCleanup: !!this.intervals.cacheCleanup,
         articleCleanup: !!this.intervals.articleCleanup,
+        sessionCleanup: !!this.intervals.sessionCleanup,
+        feedPoll: !!this.intervals.feedPoll,
       },
       cacheStats: cacheService.getStats(),
+      requestStats: newsService.getRequestStats(),
     };
   }
 }
@@ -0,0 +1,262 @@
+/**
+ * Memory Cache
+ * Keeps cache entries in process memory, bounded by entry count and
+ * approximate bytes with LRU eviction; key prefixes (the part before the
+ * first ":") can have their own quotas
+ * Default cache backend, used for development and tests
+ */
+
+class MemoryCache {
+  /**
+   * @param {Object} options - { maxEntries, maxBytes, prefixQuotas }
+   *   (see config.cache)
+   */
+  constructor(options = {}) {
+    // Map iteration order doubles as recency order (oldest first)
+    this.cache = new Map();
+    this.maxEntries = options.maxEntries || Infinity;
+    this.maxBytes = options.maxBytes || Infinity;
+    this.prefixQuotas = options.prefixQuotas || {};
+    this.bytes = 0;
+    // Entry count and bytes per key prefix
+    this.prefixUsage = new Map();
+    this.evictions = { lru: 0, quota: 0 };
+  }
+
+  /**
+   * Get the prefix of a cache key
+   * @param {string} key - Cache key
+   * @returns {string} Prefix
+   */
+  getPrefix(key) {
+    const index = key.indexOf(":");
+    return index === -1 ? key : key.substring(0, index);
+  }
+
+  /**
+   * Approximate memory used by an entry
+   * @param {string} key - Cache key
+   * @param {any} value - Cached value
+   * @returns {number} Size in bytes
+   */
+  estimateSize(key, value) {
+    let serialized;
+    try {
+      serialized = JSON.stringify(value) || "";
+    } catch (error) {
+      serialized = "";
+    }
+    return Buffer.byteLength(key) + Buffer.byteLength(serialized);
+  }
+
+  /**
+   * Get an entry that is not past its hard TTL
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} { value, expiresAt, staleUntil, cachedAt }
+   */
+  async getEntry(key) {
+    const entry = this.cache.get(key);
+
+    if (!entry) {
+      return null;
+    }
+
+    // Check if past the hard TTL
+    if (Date.now() > entry.staleUntil) {
+      this.removeEntry(key);
+      return null;
+    }
+
+    // Mark as most recently used
+    this.cache.delete(key);
+    this.cache.set(key, entry);
+
+    return entry;
+  }
+
+  /**
+   * Store an entry, evicting older entries beyond the limits
+   * @param {string} key - Cache key
+   * @param {Object} entry - { value, expiresAt, staleUntil, cachedAt }
+   */
+  async setEntry(key, entry) {
+    const prefix = this.getPrefix(key);
+    const size = this.estimateSize(key, entry.value);
+
+    this.removeEntry(key);
+
+    // An entry larger than a limit would evict everything and still not fit
+    const quota = this.prefixQuotas[prefix] || {};
+    if (size > this.maxBytes || (quota.maxBytes && size > quota.maxBytes)) {
+      return;
+    }
+
+    this.cache.set(key, { ...entry, prefix, size });
+    this.trackUsage(prefix, 1, size);
+
+    this.evict(prefix);
+  }
+
+  /**
+   * Delete an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async delete(key) {
+    return this.removeEntry(key);
+  }
+
+  /**
+   * Clear all entries
+   */
+  async clear() {
+    this.cache.clear();
+    this.bytes = 0;
+    this.prefixUsage.clear();
+  }
+
+  /**
+   * Clear entries past their hard TTL
+   */
+  async clearExpired() {
+    const now = Date.now();
+    for (const [key, entry] of this.cache.entries()) {
+      if (now > entry.staleUntil) {
+        this.removeEntry(key);
+      }
+    }
+  }
+
+  /**
+   * Get all keys
+   * @returns {Promise<Array>} Cache keys
+   */
+  async keys() {
+    return Array.from(this.cache.keys());
+  }
+
+  /**
+   * Remove an entry and release its accounted size
+   * @param {string} key - Cache key
+   * @returns {boolean} True if removed
+   */
+  removeEntry(key) {
+    const entry = this.cache.get(key);
+    if (!entry) {
+      return false;
+    }
+
+    this.cache.delete(key);
+    this.trackUsage(entry.prefix, -1, -entry.size);
+    return true;
+  }
+
+  /**
+   * Update entry count and byte totals
+   * @param {string} prefix - Key prefix
+   * @param {number} entries - Entry count change
+   * @param {number} bytes - Byte change
+   */
+  trackUsage(prefix, entries, bytes) {
+    this.bytes += bytes;
+
+    const usage = this.prefixUsage.get(prefix) || { entries: 0, bytes: 0 };
+    usage.entries += entries;
+    usage.bytes += bytes;
+
+    if (usage.entries === 0) {
+      this.prefixUsage.delete(prefix);
+    } else {
+      this.prefixUsage.set(prefix, usage);
+    }
+  }
+
+  /**
+   * Evict least recently used entries until the prefix quota and the
+   * global limits are met
+   * @param {string} prefix - Prefix of the entry that was just added
+   */
+  evict(prefix) {
+    const quota = this.prefixQuotas[prefix];
+    if (quota) {
+      const overQuota = () => {
+        const usage = this.prefixUsage.get(prefix);
+        return (
+          usage &&
+          ((quota.maxEntries && usage.entries > quota.maxEntries) ||
+            (quota.maxBytes && usage.bytes > quota.maxBytes))
+        );
+      };
+
+      for (const [key, entry] of this.cache.entries()) {
+        if (!overQuota()) {
+          break;
+        }
+        if (entry.prefix === prefix) {
+          this.removeEntry(key);
+          this.evictions.quota++;
+        }
+      }
+    }
+
+    for (const key of this.cache.keys()) {
+      if (this.cache.size <= this.maxEntries && this.bytes <= this.maxBytes) {
+        break;
+      }
+      this.removeEntry(key);
+      this.evictions.lru++;
+    }
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Object} Entry counts, size and eviction counters
+   */
+  getStats() {
+    let expired = 0;
+    let stale = 0;
+    let valid = 0;
+    const now = Date.now();
+
+    for (const entry of this.cache.values()) {
+      if (now > entry.staleUntil) {
+        expired++;
+      } else if (now > entry.expiresAt) {
+        stale++;
+      } else {
+        valid++;
+      }
+    }
+
+    const prefixes = {};
+    for (const [prefix, usage] of this.prefixUsage.entries()) {
+      prefixes[prefix] = {
+        ...usage,
+        quota: this.prefixQuotas[prefix] || null,
+      };
+    }
+
+    return {
+      driver: "memory",
+      total: this.cache.size,
+      valid,
+      stale,
+      expired,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      evictions: {
+        ...this.evictions,
+        total: this.evictions.lru + this.evictions.quota,
+      },
+      prefixes,
+    };
+  }
+
+  /**
+   * Release resources (nothing to do in memory)
+   */
+  async close() {}
+}
+
+module.exports = MemoryCache;
@@ -0,0 +1,196 @@
+/**
+ * Redis Cache
+ * Stores cache entries in Redis (or any server speaking the Redis protocol)
+ * so every API instance shares one cache. Keys expire in Redis at their
+ * hard TTL; size limits are left to the server's maxmemory policy
+ * (e.g. allkeys-lru). Redis failures are logged and treated as cache misses
+ * so news keeps being served from the providers.
+ */
+
+class RedisCache {
+  /**
+   * @param {Object} options - { url, keyPrefix, client }; `client` is an
+   *   ioredis-compatible client (created from `url` when omitted)
+   */
+  constructor(options = {}) {
+    this.keyPrefix = options.keyPrefix || "";
+    this.client = options.client || this.createClient(options.url);
+    this.stats = { hits: 0, misses: 0, errors: 0 };
+  }
+
+  /**
+   * Connect to Redis with ioredis
+   * Required lazily so the memory driver doesn't need the package
+   * @param {string} url - Redis URL (redis://host:port/db)
+   * @returns {Object} ioredis client
+   */
+  createClient(url) {
+    const Redis = require("ioredis");
+    const client = new Redis(url, { maxRetriesPerRequest: 1 });
+
+    client.on("error", (error) => {
+      console.error("Redis cache error:", error.message);
+    });
+
+    return client;
+  }
+
+  /**
+   * Log a failed Redis command
+   * @param {string} operation - Command description
+   * @param {Error} error - Error from the client
+   */
+  handleError(operation, error) {
+    this.stats.errors++;
+    console.error(`Redis cache ${operation} failed:`, error.message);
+  }
+
+  /**
+   * Get an entry that is not past its hard TTL
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} { value, expiresAt, staleUntil, cachedAt }
+   */
+  async getEntry(key) {
+    let raw;
+    try {
+      raw = await this.client.get(this.keyPrefix + key);
+    } catch (error) {
+      this.handleError("get", error);
+      return null;
+    }
+
+    if (!raw) {
+      this.stats.misses++;
+      return null;
+    }
+
+    let entry;
+    try {
+      entry = JSON.parse(raw);
+    } catch (error) {
+      this.handleError("parse", error);
+      return null;
+    }
+
+    // Redis expiry has millisecond precision, but guard against clock skew
+    if (Date.now() > entry.staleUntil) {
+      this.stats.misses++;
+      return null;
+    }
+
+    this.stats.hits++;
+    return entry;
+  }
+
+  /**
+   * Store an entry until its hard TTL
+   * @param {string} key - Cache key
+   * @param {Object} entry - { value, expiresAt, staleUntil, cachedAt }
+   */
+  async setEntry(key, entry) {
+    const ttl = Math.max(1, entry.staleUntil - Date.now());
+
+    try {
+      await this.client.set(
+        this.keyPrefix + key,
+        JSON.stringify(entry),
+        "PX",
+        ttl
+      );
+    } catch (error) {
+      this.handleError("set", error);
+    }
+  }
+
+  /**
+   * Delete an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async delete(key) {
+    try {
+      return (await this.client.del(this.keyPrefix + key)) > 0;
+    } catch (error) {
+      this.handleError("delete", error);
+      return false;
+    }
+  }
+
+  /**
+   * Delete every key under this cache's prefix
+   * Uses SCAN instead of FLUSHDB so other data in the database is kept
+   */
+  async clear() {
+    try {
+      const keys = await this.scanKeys();
+      if (keys.length > 0) {
+        await this.client.del(...keys);
+      }
+    } catch (error) {
+      this.handleError("clear", error);
+    }
+  }
+
+  /**
+   * Expired entries are removed by Redis itself
+   */
+  async clearExpired() {}
+
+  /**
+   * Get all keys (without the key prefix)
+   * @returns {Promise<Array>} Cache keys
+   */
+  async keys() {
+    try {
+      const keys = await this.scanKeys();
+      return keys.map((key) => key.substring(this.keyPrefix.length));
+    } catch (error) {
+      this.handleError("keys", error);
+      return [];
+    }
+  }
+
+  /**
+   * Collect the Redis keys under this cache's prefix
+   * @returns {Promise<Array>} Prefixed Redis keys
+   */
+  async scanKeys() {
+    const keys = [];
+    let cursor = "0";
+
+    do {
+      const [next, batch] = await this.client.scan(
+        cursor,
+        "MATCH",
+        `${this.keyPrefix}*`,
+        "COUNT",
+        100
+      );
+      cursor = next;
+      keys.push(...batch);
+    } while (cursor !== "0");
+
+    return keys;
+  }
+
+  /**
+   * Get cache statistics
+   * Counters are per instance; entry counts live in Redis (INFO keyspace)
+   * @returns {Object} Hit, miss and error counters
+   */
+  getStats() {
+    return {
+      driver: "redis",
+      ...this.stats,
+    };
+  }
+
+  /**
+   * Close the Redis connection
+   */
+  async close() {
+    await this.client.quit();
+  }
+}
+
+module.exports = RedisCache;
@@ -0,0 +1,45 @@
+const MemoryCache = require("./MemoryCache");
+const RedisCache = require("./RedisCache");
+
+/**
+ * Cache backend factory
+ * Every cache implements the same asynchronous interface:
+ *   getEntry(key) -> { value, expiresAt, staleUntil, cachedAt } | null
+ *   setEntry(key, entry)
+ *   delete(key) -> boolean
+ *   clear(), clearExpired(), keys(), close()
+ * plus a synchronous getStats()
+ */
+
+const drivers = {
+  memory: (options) => new MemoryCache(options),
+  redis: (options) =>
+    new RedisCache({ url: options.redisUrl, keyPrefix: options.keyPrefix }),
+};
+
+/**
+ * Create a cache for the given driver
+ * @param {Object} options - Cache options (driver, maxEntries, maxBytes,
+ *   prefixQuotas, redisUrl, keyPrefix)
+ * @returns {Object} Cache instance
+ */
+const createCache = (options = {}) => {
+  const driver = options.driver || "memory";
+  const factory = drivers[driver];
+
+  if (!factory) {
+    throw new Error(
+      `Unknown cache driver "${driver}". Supported: ${Object.keys(drivers).join(
+        ", "
+      )}`
+    );
+  }
+
+  return factory(options);
+};
+
+module.exports = {
+  createCache,
+  MemoryCache,
+  RedisCache,
+};
@@ -1,13 +1,24 @@
+const config = require("../config/config");
+const { createCache } = require("./cache");
+
 /**
  * Cache Service
- * In-memory caching for news articles with TTL (Time To Live)
- * In production, this would be replaced with Redis or similar
+ * Caching for news articles with TTL (Time To Live) on top of a pluggable
+ * backend (in-memory by default, or Redis to share one cache between
+ * instances; see config.cache and services/cache)
+ * Entries have a soft TTL (fresh until) and a hard TTL (kept until): between
+ * the two an entry is stale and only returned by getEntry, so callers can
+ * serve it while refreshing in the background
  */
 
 class CacheService {
-  constructor() {
-    this.cache = new Map();
+  /**
+   * @param {Object} backend - Cache backend (see services/cache)
+   */
+  constructor(backend = createCache(config.cache)) {
+    this.backend = backend;
     this.ttl = 5 * 60 * 1000; // Default TTL: 5 minutes in milliseconds
+    this.hardTtl = 60 * 60 * 1000; // Default hard TTL: 1 hour in milliseconds
   }
 
   /**
@@ -18,6 +29,7 @@ class CacheService {
    */
   generateKey(prefix, params = {}) {
     const sortedParams = Object.keys(params)
+      .filter((key) => params[key] !== undefined && params[key] !== null)
       .sort()
       .map((key) => `${key}:${params[key]}`)
       .join("|");
@@ -29,13 +41,16 @@ class CacheService {
    * @param {string} key - Cache key
    * @param {any} value - Value to cache
    * @param {number} ttl - Time to live in milliseconds (optional)
+   * @param {number} hardTtl - Time the entry is kept (stale) in
+   *   milliseconds, never shorter than ttl (optional)
    */
-  async set(key, value, ttl = this.ttl) {
-    const expiresAt = Date.now() + ttl;
-    this.cache.set(key, {
+  async set(key, value, ttl = this.ttl, hardTtl = this.hardTtl) {
+    const now = Date.now();
+    await this.backend.setEntry(key, {
       value,
-      expiresAt,
-      cachedAt: new Date().toISOString(),
+      expiresAt: now + ttl,
+      staleUntil: now + Math.max(ttl, hardTtl),
+      cachedAt: new Date(now).toISOString(),
     });
   }
 
@@ -45,19 +60,33 @@ class CacheService {
    * @returns {any|null} Cached value or null if expired/not found
    */
   async get(key) {
-    const entry = this.cache.get(key);
+    const entry = await this.getEntry(key);
 
-    if (!entry) {
+    if (!entry || entry.stale) {
       return null;
     }
 
-    // Check if expired
-    if (Date.now() > entry.expiresAt) {
-      this.cache.delete(key);
+    return entry.value;
+  }
+
+  /**
+   * Get cache entry including stale entries
+   * @param {string} key - Cache key
+   * @returns {Object|null} { value, stale, cachedAt } or null if past the
+   *   hard TTL/not found
+   */
+  async getEntry(key) {
+    const entry = await this.backend.getEntry(key);
+
+    if (!entry) {
       return null;
     }
 
-    return entry.value;
+    return {
+      value: entry.value,
+      stale: Date.now() > entry.expiresAt,
+      cachedAt: entry.cachedAt,
+    };
   }
 
   /**
@@ -76,59 +105,48 @@ class CacheService {
    * @returns {boolean} True if deleted
    */
   async delete(key) {
-    return this.cache.delete(key);
+    return this.backend.delete(key);
   }
 
   /**
    * Clear all cache entries
    */
   async clear() {
-    this.cache.clear();
+    await this.backend.clear();
   }
 
   /**
-   * Clear expired entries
+   * Clear entries past their hard TTL
    */
   async clearExpired() {
-    const now = Date.now();
-    for (const [key, entry] of this.cache.entries()) {
-      if (now > entry.expiresAt) {
-        this.cache.delete(key);
-      }
-    }
+    await this.backend.clearExpired();
   }
 
   /**
    * Get cache statistics
-   * @returns {Object} Cache stats
+   * @returns {Object} Cache stats (backend specific, plus TTLs)
    */
   getStats() {
-    let expired = 0;
-    let valid = 0;
-    const now = Date.now();
-
-    for (const entry of this.cache.values()) {
-      if (now > entry.expiresAt) {
-        expired++;
-      } else {
-        valid++;
-      }
-    }
-
     return {
-      total: this.cache.size,
-      valid,
-      expired,
+      ...this.backend.getStats(),
       ttl: this.ttl,
+      hardTtl: this.hardTtl,
     };
   }
 
   /**
    * Get all cache keys
-   * @returns {Array} Array of cache keys
+   * @returns {Promise<Array>} Array of cache keys
    */
-  getKeys() {
-    return Array.from(this.cache.keys());
+  async getKeys() {
+    return this.backend.keys();
+  }
+
+  /**
+   * Close the cache backend (e.g. the Redis connection)
+   */
+  async close() {
+    await this.backend.close();
   }
 
   /**
@@ -138,6 +156,14 @@ class CacheService {
   setDefaultTTL(ttl) {
     this.ttl = ttl;
   }
+
+  /**
+   * Set default hard TTL (how long stale entries are kept)
+   * @param {number} hardTtl - Time to keep entries in milliseconds
+   */
+  setDefaultHardTTL(hardTtl) {
+    this.hardTtl = hardTtl;
+  }
 }
 
 // Export singleton instance
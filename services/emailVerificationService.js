@@ -0,0 +1,135 @@
+const config = require("../config/config");
+const UserModel = require("../models/User");
+const mailService = require("./mailService");
+const { generateRandomToken, hashToken } = require("../utils/jwt");
+
+/**
+ * Email Verification Service
+ * New accounts start unverified and receive a single-use, expiring token
+ * by email; only its SHA-256 hash is stored on the user. Accounts created
+ * before verification existed (no `emailVerified` flag) count as verified.
+ * Addresses listed in config.admin.emails get the admin role on
+ * verification. A new email address stays pending (`pendingEmail`) until
+ * its link is opened.
+ */
+
+class EmailVerificationService {
+  constructor() {
+    this.tokenTtl = config.emailVerification.tokenTtlHours * 60 * 60 * 1000;
+  }
+
+  /**
+   * Whether a user has verified their email
+   * @param {Object} user - User object
+   * @returns {boolean} True if verified
+   */
+  isVerified(user) {
+    return user.emailVerified !== false;
+  }
+
+  /**
+   * Issue a verification token and email it
+   * @param {Object} user - User object
+   * @returns {Promise<void>}
+   */
+  async sendVerification(user) {
+    // A new token replaces any earlier one
+    const token = generateRandomToken(32);
+    const expiresAt = new Date(Date.now() + this.tokenTtl).toISOString();
+    UserModel.update(user.id, {
+      emailVerified: false,
+      emailVerificationTokenHash: hashToken(token),
+      emailVerificationExpiresAt: expiresAt,
+      pendingEmail: null,
+    });
+
+    await mailService.sendEmailVerification(user, token, expiresAt);
+  }
+
+  /**
+   * Start an email change: the new address gets a verification link and
+   * only replaces the current one once it is verified; the current
+   * address is told about the request
+   * @param {Object} user - User object
+   * @param {string} newEmail - Normalized new address
+   * @returns {Promise<void>}
+   */
+  async sendEmailChange(user, newEmail) {
+    // A new token replaces any earlier one (and any earlier pending email)
+    const token = generateRandomToken(32);
+    const expiresAt = new Date(Date.now() + this.tokenTtl).toISOString();
+    UserModel.update(user.id, {
+      pendingEmail: newEmail,
+      emailVerificationTokenHash: hashToken(token),
+      emailVerificationExpiresAt: expiresAt,
+    });
+
+    await mailService.sendEmailVerification(
+      { ...user, email: newEmail },
+      token,
+      expiresAt
+    );
+    await mailService.sendEmailChangeNotice(user, newEmail);
+  }
+
+  /**
+   * Send a new verification email if the account exists and is unverified
+   * Callers should respond the same way either way to avoid revealing
+   * which emails are registered
+   * @param {string} email - Account email
+   * @returns {Promise<boolean>} True if an email was sent
+   */
+  async resend(email) {
+    const user = UserModel.findByEmail(email.toLowerCase().trim());
+    if (!user || this.isVerified(user)) {
+      return false;
+    }
+
+    await this.sendVerification(user);
+    return true;
+  }
+
+  /**
+   * Verify an email with a token
+   * A pending email change takes effect here
+   * @param {string} token - Plain verification token
+   * @returns {Object|null} Updated user, or null if the token is unknown,
+   *   used or expired, or the pending address was taken in the meantime
+   */
+  verify(token) {
+    const user = UserModel.findByEmailVerificationTokenHash(hashToken(token));
+    if (!user || Date.parse(user.emailVerificationExpiresAt) <= Date.now()) {
+      return null;
+    }
+
+    const updates = {
+      emailVerified: true,
+      emailVerifiedAt: new Date().toISOString(),
+      emailVerificationTokenHash: null,
+      emailVerificationExpiresAt: null,
+    };
+
+    if (user.pendingEmail) {
+      if (UserModel.findByEmail(user.pendingEmail)) {
+        UserModel.update(user.id, {
+          pendingEmail: null,
+          emailVerificationTokenHash: null,
+          emailVerificationExpiresAt: null,
+        });
+        return null;
+      }
+      updates.email = user.pendingEmail;
+      updates.pendingEmail = null;
+    }
+
+    // Configured admin emails only get the role once the address is proven
+    if (config.admin.emails.includes(updates.email || user.email)) {
+      updates.role = "admin";
+    }
+
+    return UserModel.update(user.id, updates);
+  }
+}
+
+// Export singleton instance
+module.exports = new EmailVerificationService();
@@ -0,0 +1,216 @@
+const axios = require("axios");
+const config = require("../config/config");
+const FeedModel = require("../models/Feed");
+const ArticleModel = require("../models/Article");
+const { parseFeed } = require("../utils/feedParser");
+const { assertPublicUrl, createPublicLookup } = require("../utils/network");
+const {
+  ValidationError,
+  ConflictError,
+  NotFoundError,
+} = require("../middleware/errorHandler");
+
+/**
+ * Feed Service
+ * Registers user RSS/Atom feeds, polls them and exposes their articles
+ */
+
+class FeedService {
+  constructor() {
+    this.maxArticlesPerFeed = 50;
+    this.maxFeedsPerUser = 50;
+  }
+
+  /**
+   * Fetch and parse a feed
+   * Private, loopback and link-local addresses are refused (also after
+   * redirects) unless the host is in config.feeds.allowedHosts
+   * @param {string} url - Feed URL
+   * @returns {Promise<Object>} Parsed feed { title, url, articles }
+   */
+  async fetchFeed(url) {
+    const { allowedHosts, maxContentLength } = config.feeds;
+    assertPublicUrl(url, allowedHosts);
+
+    const response = await axios.get(url, {
+      responseType: "text",
+      timeout: 10000, // 10 second timeout
+      maxContentLength,
+      lookup: createPublicLookup(allowedHosts),
+      beforeRedirect: (options) => {
+        assertPublicUrl(options.href, allowedHosts);
+      },
+      headers: {
+        Accept:
+          "application/rss+xml, application/atom+xml, application/xml;q=0.9, */*;q=0.8",
+      },
+    });
+    return parseFeed(response.data);
+  }
+
+  /**
+   * Store parsed articles and update the feed record
+   * @param {Object} feed - Feed record
+   * @param {Object} parsed - Parsed feed
+   * @returns {Object} Updated feed
+   */
+  storeFeedArticles(feed, parsed) {
+    const fetchedAt = new Date().toISOString();
+    const seenUrls = new Set();
+
+    // Newest fetch first, keep previously seen articles after them
+    const articles = [...parsed.articles, ...feed.articles]
+      .filter((article) => {
+        if (seenUrls.has(article.url)) return false;
+        seenUrls.add(article.url);
+        return true;
+      })
+      .slice(0, this.maxArticlesPerFeed)
+      .map((article) => ({
+        id: ArticleModel.storeArticleMetadata(article),
+        url: article.url,
+        title: article.title,
+        description: article.description,
+        content: article.content,
+        image: article.image,
+        publishedAt: article.publishedAt,
+        source: article.source,
+        fetchedAt: article.fetchedAt || fetchedAt,
+      }));
+
+    return FeedModel.update(feed.id, {
+      title: parsed.title || feed.title,
+      siteUrl: parsed.url || feed.siteUrl,
+      articles,
+      lastFetchedAt: fetchedAt,
+      lastError: null,
+    });
+  }
+
+  /**
+   * Subscribe a user to a feed URL
+   * New feeds are fetched once up front so invalid URLs are rejected
+   * @param {number} userId - User ID
+   * @param {string} url - Feed URL
+   * @returns {Promise<Object>} Subscribed feed
+   */
+  async subscribe(userId, url) {
+    if (FeedModel.getUserFeeds(userId).length >= this.maxFeedsPerUser) {
+      throw new ValidationError("Feed limit reached", [
+        `Maximum ${this.maxFeedsPerUser} feeds allowed`,
+      ]);
+    }
+
+    let feed = FeedModel.findByUrl(url);
+
+    if (feed && FeedModel.isSubscribed(userId, feed.id)) {
+      throw new ConflictError("Already subscribed to this feed");
+    }
+
+    if (!feed) {
+      let parsed;
+      try {
+        parsed = await this.fetchFeed(url);
+      } catch (error) {
+        console.error("Feed fetch error:", url, error.message);
+        throw new ValidationError("Unable to read feed", [
+          `Could not fetch a valid RSS or Atom feed from ${url}`,
+        ]);
+      }
+
+      feed = FeedModel.create({
+        url,
+        title: parsed.title,
+        siteUrl: parsed.url,
+      });
+      feed = this.storeFeedArticles(feed, parsed);
+    }
+
+    const subscribedAt = FeedModel.subscribe(userId, feed.id);
+    return { ...feed, subscribedAt };
+  }
+
+  /**
+   * Unsubscribe a user from a feed
+   * @param {number} userId - User ID
+   * @param {number} feedId - Feed ID
+   */
+  unsubscribe(userId, feedId) {
+    if (!FeedModel.unsubscribe(userId, feedId)) {
+      throw new NotFoundError("Feed subscription not found");
+    }
+  }
+
+  /**
+   * Get feeds a user is subscribed to
+   * @param {number} userId - User ID
+   * @returns {Array} Feeds
+   */
+  getUserFeeds(userId) {
+    return FeedModel.getUserFeeds(userId);
+  }
+
+  /**
+   * Poll a single feed and store new articles
+   * Errors are recorded on the feed rather than thrown
+   * @param {Object} feed - Feed record
+   * @returns {Promise<boolean>} True if the poll succeeded
+   */
+  async pollFeed(feed) {
+    try {
+      const parsed = await this.fetchFeed(feed.url);
+      this.storeFeedArticles(feed, parsed);
+      return true;
+    } catch (error) {
+      console.error("Feed poll error:", feed.url, error.message);
+      FeedModel.update(feed.id, {
+        lastFetchedAt: new Date().toISOString(),
+        lastError: "Could not fetch a valid RSS or Atom feed",
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Poll every registered feed
+   * @returns {Promise<Object>} { polled, failed }
+   */
+  async pollAll() {
+    let polled = 0;
+    let failed = 0;
+
+    for (const feed of FeedModel.findAll()) {
+      const ok = await this.pollFeed(feed);
+      if (ok) {
+        polled++;
+      } else {
+        failed++;
+      }
+    }
+
+    return { polled, failed };
+  }
+
+  /**
+   * Get latest articles from all feeds a user is subscribed to
+   * @param {number} userId - User ID
+   * @param {Object} options - { max }
+   * @returns {Array} Articles, newest first
+   */
+  getArticlesForUser(userId, { max = 20 } = {}) {
+    const seenUrls = new Set();
+
+    return FeedModel.getUserFeeds(userId)
+      .flatMap((feed) => feed.articles)
+      .filter((article) => {
+        if (seenUrls.has(article.url)) return false;
+        seenUrls.add(article.url);
+        return true;
+      })
+      .sort((a, b) => (b.publishedAt || "").localeCompare(a.publishedAt || ""))
+      .slice(0, max);
+  }
+}
+
+// Export singleton instance
+module.exports = new FeedService();
@@ -0,0 +1,288 @@
+const config = require("../config/config");
+
+// Upper bound on tracked accounts/IPs before stale records are pruned
+const MAX_TRACKED_KEYS = 10000;
+
+/**
+ * Login Attempt Service
+ * Tracks failed logins per account (email) and per IP. Repeated failures
+ * add a progressive delay before the next attempt is accepted, and too
+ * many failures lock the account (or block the IP) for a while.
+ * Unknown emails are tracked like real accounts so responses don't reveal
+ * which accounts exist.
+ */
+
+class LoginAttemptService {
+  /**
+   * @param {Object} options - See config.loginProtection
+   */
+  constructor(options = config.loginProtection) {
+    this.options = { ...options };
+    // { key: { failures, firstFailureAt, lastFailureAt, lockedUntil } }
+    this.accounts = new Map();
+    this.ips = new Map();
+    // Attempts whose password is still being compared { key: count }
+    this.pendingAccounts = new Map();
+    this.pendingIps = new Map();
+  }
+
+  /**
+   * Normalize an email to its account key
+   * @param {string} email - Email address
+   * @returns {string} Account key
+   */
+  accountKey(email) {
+    return String(email).toLowerCase().trim();
+  }
+
+  /**
+   * Get a record, dropping it once its window and lockout have passed
+   * @param {Map} records - accounts or ips
+   * @param {string} key - Record key
+   * @param {number} now - Timestamp in milliseconds
+   * @returns {Object|null} Record or null
+   */
+  getRecord(records, key, now) {
+    const record = records.get(key);
+    if (!record) {
+      return null;
+    }
+
+    if (this.isStale(record, now)) {
+      records.delete(key);
+      return null;
+    }
+
+    return record;
+  }
+
+  /**
+   * Whether a record no longer affects logins
+   * @param {Object} record - Attempt record
+   * @param {number} now - Timestamp in milliseconds
+   * @returns {boolean} True if stale
+   */
+  isStale(record, now) {
+    return (
+      now - record.firstFailureAt > this.options.windowMs &&
+      (!record.lockedUntil || now >= record.lockedUntil)
+    );
+  }
+
+  /**
+   * Delay required after a number of failures
+   * @param {number} failures - Failed attempts in the window
+   * @returns {number} Delay in milliseconds
+   */
+  getDelay(failures) {
+    const { delayAfter, baseDelayMs, maxDelayMs } = this.options;
+    if (failures < delayAfter) {
+      return 0;
+    }
+    return Math.min(maxDelayMs, baseDelayMs * 2 ** (failures - delayAfter));
+  }
+
+  /**
+   * Check whether a login attempt may proceed
+   * @param {string} email - Email address
+   * @param {string} ip - Client IP
+   * @returns {Object} { allowed } or { allowed: false, reason, retryAfter,
+   *   lockedUntil } where reason is "locked", "ip_blocked" or "throttled"
+   */
+  check(email, ip) {
+    const now = Date.now();
+    const account = this.getRecord(this.accounts, this.accountKey(email), now);
+    const client = this.getRecord(this.ips, ip, now);
+
+    if (account && account.lockedUntil && now < account.lockedUntil) {
+      return this.rejection("locked", account.lockedUntil, now);
+    }
+
+    if (client && client.lockedUntil && now < client.lockedUntil) {
+      return this.rejection("ip_blocked", client.lockedUntil, now);
+    }
+
+    if (account) {
+      const nextAttemptAt =
+        account.lastFailureAt + this.getDelay(account.failures);
+      if (now < nextAttemptAt) {
+        return this.rejection("throttled", nextAttemptAt, now);
+      }
+    }
+
+    // Attempts still in progress count as failures until they settle, so
+    // parallel requests can't all pass before the first failure is recorded
+    const { delayAfter, maxFailures, maxFailuresPerIp, baseDelayMs } =
+      this.options;
+    const pendingAccount = this.pendingAccounts.get(this.accountKey(email));
+    const pendingIp = this.pendingIps.get(ip);
+    if (
+      (pendingAccount &&
+        (account ? account.failures : 0) + pendingAccount >=
+          Math.min(delayAfter, maxFailures)) ||
+      (pendingIp &&
+        (client ? client.failures : 0) + pendingIp >= maxFailuresPerIp)
+    ) {
+      return this.rejection("throttled", now + baseDelayMs, now);
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Check a login attempt and, if allowed, mark it as in progress until
+   * `endAttempt` is called (after the password comparison)
+   * @param {string} email - Email address
+   * @param {string} ip - Client IP
+   * @returns {Object} Check result, see check()
+   */
+  beginAttempt(email, ip) {
+    const result = this.check(email, ip);
+    if (result.allowed) {
+      this.adjustPending(this.pendingAccounts, this.accountKey(email), 1);
+      this.adjustPending(this.pendingIps, ip, 1);
+    }
+    return result;
+  }
+
+  /**
+   * Mark an attempt started with `beginAttempt` as finished (record its
+   * failure in the same tick, before anything else is awaited)
+   * @param {string} email - Email address
+   * @param {string} ip - Client IP
+   */
+  endAttempt(email, ip) {
+    this.adjustPending(this.pendingAccounts, this.accountKey(email), -1);
+    this.adjustPending(this.pendingIps, ip, -1);
+  }
+
+  /**
+   * Change an in-progress attempt counter
+   * @param {Map} pending - pendingAccounts or pendingIps
+   * @param {string} key - Counter key
+   * @param {number} delta - +1 or -1
+   */
+  adjustPending(pending, key, delta) {
+    const count = (pending.get(key) || 0) + delta;
+    if (count > 0) {
+      pending.set(key, count);
+    } else {
+      pending.delete(key);
+    }
+  }
+
+  /**
+   * Build a rejected check result
+   * @param {string} reason - Rejection reason
+   * @param {number} until - Timestamp when attempts are accepted again
+   * @param {number} now - Timestamp in milliseconds
+   * @returns {Object} Check result
+   */
+  rejection(reason, until, now) {
+    return {
+      allowed: false,
+      reason,
+      retryAfter: Math.max(1, Math.ceil((until - now) / 1000)),
+      lockedUntil: new Date(until).toISOString(),
+    };
+  }
+
+  /**
+   * Record a failed login
+   * @param {string} email - Email address
+   * @param {string} ip - Client IP
+   * @returns {Object} { locked, lockedUntil } for the account
+   */
+  recordFailure(email, ip) {
+    const now = Date.now();
+
+    if (this.accounts.size + this.ips.size >= MAX_TRACKED_KEYS) {
+      this.prune(now);
+    }
+
+    const account = this.addFailure(this.accounts, this.accountKey(email), now);
+    if (account.failures >= this.options.maxFailures) {
+      account.lockedUntil = now + this.options.lockoutMs;
+    }
+
+    const client = this.addFailure(this.ips, ip, now);
+    if (client.failures >= this.options.maxFailuresPerIp) {
+      client.lockedUntil = now + this.options.lockoutMs;
+    }
+
+    return {
+      locked: !!account.lockedUntil,
+      lockedUntil: account.lockedUntil
+        ? new Date(account.lockedUntil).toISOString()
+        : null,
+    };
+  }
+
+  /**
+   * Add a failure to a record
+   * @param {Map} records - accounts or ips
+   * @param {string} key - Record key
+   * @param {number} now - Timestamp in milliseconds
+   * @returns {Object} Updated record
+   */
+  addFailure(records, key, now) {
+    const record = this.getRecord(records, key, now) || {
+      failures: 0,
+      firstFailureAt: now,
+      lastFailureAt: now,
+      lockedUntil: null,
+    };
+
+    record.failures++;
+    record.lastFailureAt = now;
+    records.set(key, record);
+
+    return record;
+  }
+
+  /**
+   * Clear an account's failures and lockout (successful login or
+   * password reset)
+   * @param {string} email - Email address
+   */
+  reset(email) {
+    this.accounts.delete(this.accountKey(email));
+  }
+
+  /**
+   * Get the lockout state of an account
+   * @param {string} email - Email address
+   * @returns {Object} { failures, lockedUntil }
+   */
+  getStatus(email) {
+    const now = Date.now();
+    const account = this.getRecord(this.accounts, this.accountKey(email), now);
+    const locked = account && account.lockedUntil && now < account.lockedUntil;
+
+    return {
+      failures: account ? account.failures : 0,
+      lockedUntil: locked ? new Date(account.lockedUntil).toISOString() : null,
+    };
+  }
+
+  /**
+   * Remove records that no longer affect logins
+   * @param {number} now - Timestamp in milliseconds
+   * @returns {number} Number of removed records
+   */
+  prune(now = Date.now()) {
+    let removed = 0;
+    for (const records of [this.accounts, this.ips]) {
+      for (const [key, record] of records.entries()) {
+        if (this.isStale(record, now)) {
+          records.delete(key);
+          removed++;
+        }
+      }
+    }
+    return removed;
+  }
+}
+
+// Export singleton instance
+module.exports = new LoginAttemptService();
@@ -0,0 +1,55 @@
+/**
+ * Memory Transport
+ * Keeps the most recent sent messages in a list instead of delivering them
+ * Default mail transport, used for development and tests
+ */
+
+class MemoryTransport {
+  /**
+   * @param {Object} options - { maxMessages }
+   */
+  constructor(options = {}) {
+    // Older messages are dropped so anonymous requests (forgot-password)
+    // can't grow the list without limit
+    this.maxMessages = options.maxMessages || 100;
+    this.messages = [];
+    this.sent = 0;
+  }
+
+  /**
+   * Record a message
+   * @param {Object} message - { from, to, subject, text, date }
+   * @returns {Promise<Object>} { id }
+   */
+  async send(message) {
+    this.messages.push(message);
+    if (this.messages.length > this.maxMessages) {
+      this.messages.shift();
+    }
+    this.sent++;
+    return { id: String(this.sent) };
+  }
+
+  /**
+   * Get the most recent message sent to an address
+   * @param {string} to - Recipient address
+   * @returns {Object|null} Message or null
+   */
+  lastMessageTo(to) {
+    for (let i = this.messages.length - 1; i >= 0; i--) {
+      if (this.messages[i].to === to) {
+        return this.messages[i];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Forget all messages
+   */
+  clear() {
+    this.messages = [];
+  }
+}
+
+module.exports = MemoryTransport;
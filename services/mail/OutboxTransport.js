@@ -0,0 +1,46 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * Outbox Transport
+ * Writes every message as an .eml file to a local directory so it can be
+ * opened with a mail client during development
+ */
+
+class OutboxTransport {
+  /**
+   * @param {Object} options - { outboxDir }
+   */
+  constructor(options = {}) {
+    this.outboxDir = path.resolve(options.outboxDir || "./outbox");
+  }
+
+  /**
+   * Write a message to the outbox
+   * @param {Object} message - { from, to, subject, text, date }
+   * @returns {Promise<Object>} { id, path }
+   */
+  async send(message) {
+    await fs.promises.mkdir(this.outboxDir, { recursive: true });
+
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+    const filePath = path.join(this.outboxDir, `${id}.eml`);
+    const headers = [
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      `Date: ${new Date(message.date).toUTCString()}`,
+      "Content-Type: text/plain; charset=utf-8",
+    ];
+
+    await fs.promises.writeFile(
+      filePath,
+      `${headers.join("\r\n")}\r\n\r\n${message.text}\r\n`
+    );
+
+    return { id, path: filePath };
+  }
+}
+
+module.exports = OutboxTransport;
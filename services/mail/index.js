@@ -0,0 +1,42 @@
+const MemoryTransport = require("./MemoryTransport");
+const OutboxTransport = require("./OutboxTransport");
+
+/**
+ * Mail transport factory
+ * Every transport implements the same asynchronous interface:
+ *   send({ from, to, subject, text, date }) -> { id }
+ * A production transport (SMTP, mail API) only needs to implement send()
+ */
+
+const transports = {
+  memory: (options) =>
+    new MemoryTransport({ maxMessages: options.memoryMaxMessages }),
+  outbox: (options) => new OutboxTransport(options),
+};
+
+/**
+ * Create a mail transport
+ * @param {Object} options - Mail options (transport, outboxDir,
+ *   memoryMaxMessages)
+ * @returns {Object} Transport instance
+ */
+const createTransport = (options = {}) => {
+  const name = options.transport || "memory";
+  const factory = transports[name];
+
+  if (!factory) {
+    throw new Error(
+      `Unknown mail transport "${name}". Supported: ${Object.keys(
+        transports
+      ).join(", ")}`
+    );
+  }
+
+  return factory(options);
+};
+
+module.exports = {
+  createTransport,
+  MemoryTransport,
+  OutboxTransport,
+};
@@ -0,0 +1,125 @@
+const config = require("../config/config");
+const { createTransport } = require("./mail");
+
+/**
+ * Mail Service
+ * Builds account emails and hands them to the configured transport
+ * (see config.mail and services/mail)
+ */
+
+class MailService {
+  /**
+   * @param {Object} transport - Mail transport (see services/mail)
+   */
+  constructor(transport = createTransport(config.mail)) {
+    this.transport = transport;
+    this.from = config.mail.from;
+    this.appUrl = config.mail.appUrl;
+    this.resetPageUrl = config.passwordReset.pageUrl;
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message - { to, subject, text }
+   * @returns {Promise<Object>} Transport result
+   */
+  async send({ to, subject, text }) {
+    return this.transport.send({
+      from: this.from,
+      to,
+      subject,
+      text,
+      date: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Send a password reset token
+   * Includes a link to the reset page when config.passwordReset.pageUrl is
+   * set; the API itself has no page, only POST /auth/reset-password
+   * @param {Object} user - User object
+   * @param {string} token - Plain reset token
+   * @param {string} expiresAt - ISO timestamp when the token expires
+   * @returns {Promise<Object>} Transport result
+   */
+  async sendPasswordReset(user, token, expiresAt) {
+    const instructions = [
+      "We received a request to reset your password.",
+      "",
+      `Send this token with your new password to POST ${this.appUrl}/api/v1/auth/reset-password: ${token}`,
+    ];
+
+    if (this.resetPageUrl) {
+      const link = new URL(this.resetPageUrl);
+      link.searchParams.set("token", token);
+      instructions.push(
+        "",
+        "Or open the link below to choose a new one:",
+        "",
+        link.href
+      );
+    }
+
+    return this.send({
+      to: user.email,
+      subject: "Reset your password",
+      text: [
+        `Hi ${user.name},`,
+        "",
+        ...instructions,
+        "",
+        `The token expires at ${expiresAt} and can be used once. If you did not ask for a reset, you can ignore this email.`,
+      ].join("\n"),
+    });
+  }
+
+  /**
+   * Send an email verification link
+   * @param {Object} user - User object
+   * @param {string} token - Plain verification token
+   * @param {string} expiresAt - ISO timestamp when the token expires
+   * @returns {Promise<Object>} Transport result
+   */
+  async sendEmailVerification(user, token, expiresAt) {
+    const link = `${this.appUrl}/api/v1/auth/verify?token=${encodeURIComponent(
+      token
+    )}`;
+
+    return this.send({
+      to: user.email,
+      subject: "Verify your email address",
+      text: [
+        `Hi ${user.name},`,
+        "",
+        "Please confirm your email address by opening the link below:",
+        "",
+        link,
+        "",
+        `The link expires at ${expiresAt}. If you did not create an account, you can ignore this email.`,
+      ].join("\n"),
+    });
+  }
+
+  /**
+   * Tell the current address that a change to another one was requested
+   * @param {Object} user - User object (with the current email)
+   * @param {string} newEmail - Requested address
+   * @returns {Promise<Object>} Transport result
+   */
+  async sendEmailChangeNotice(user, newEmail) {
+    return this.send({
+      to: user.email,
+      subject: "Your email address is being changed",
+      text: [
+        `Hi ${user.name},`,
+        "",
+        `We received a request to change the email address of your account to ${newEmail}. The change takes effect once the new address is confirmed.`,
+        "",
+        "If you did not ask for this, change your password right away.",
+      ].join("\n"),
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new MailService();
@@ -1,70 +1,375 @@
-const axios = require("axios");
-const config = require("../config/config");
 const cacheService = require("./cacheService");
+const feedService = require("./feedService");
+const { createProviders } = require("./providers");
+const {
+  normalizePreference,
+  isArticleAllowed,
+} = require("../utils/preferences");
+const { generateArticleId } = require("../utils/articleId");
 
 /**
- * News Service - Handles all interactions with GNews API with caching
+ * News Service - Fetches news through the configured providers with
+ * caching and failover (see services/providers)
  */
 
 class NewsService {
   constructor() {
-    this.baseUrl = config.gnews.baseUrl;
-    this.apiKey = config.gnews.apiKey;
+    this.providers = createProviders();
     this.cacheTTL = 5 * 60 * 1000; // 5 minutes cache
+    // Upstream page size for each preference of the personalized news
+    this.preferencePageSize = 10;
+    // Upstream requests in progress, keyed by cache key (single-flight)
+    this.inFlight = new Map();
+    this.requestStats = {
+      upstreamRequests: 0,
+      coalescedRequests: 0,
+      staleResponses: 0,
+      backgroundRefreshes: 0,
+      failedRefreshes: 0,
+    };
+  }
+
+  /**
+   * Get providers that are configured, in failover order
+   * @returns {Array<NewsProvider>} Active providers
+   */
+  getActiveProviders() {
+    return this.providers.filter((provider) => provider.isConfigured());
+  }
+
+  /**
+   * Run an operation against each active provider until one succeeds
+   * Falls back to the next provider on rate limiting (429), server
+   * errors (5xx) and network failures; other errors are returned as-is
+   * @param {Function} operation - (provider) => Promise<Object>
+   * @param {string} capability - Operation the provider must support
+   * @returns {Promise<Object>} Operation result with `provider` name
+   */
+  async fetchWithFailover(operation, capability = "search") {
+    const providers = this.getActiveProviders().filter((provider) =>
+      provider.supports(capability)
+    );
+
+    if (providers.length === 0) {
+      const err = new Error(`No news provider is configured for ${capability}`);
+      err.status = 503;
+      err.isNetworkError = true;
+      throw err;
+    }
+
+    let lastError;
+    for (const provider of providers) {
+      try {
+        const result = await operation(provider);
+        return {
+          ...result,
+          provider: provider.name,
+        };
+      } catch (error) {
+        lastError = this.handleError(error);
+        lastError.provider = provider.name;
+
+        if (!this.isRetryableError(lastError)) {
+          throw lastError;
+        }
+
+        console.error(
+          `News provider ${provider.name} failed (${lastError.status}): ${lastError.message}`
+        );
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Whether an error should trigger failover to the next provider
+   * @param {Error} error - Error formatted by handleError
+   * @returns {boolean} True if the next provider should be tried
+   */
+  isRetryableError(error) {
+    return error.status === 429 || error.status >= 500;
   }
 
   /**
    * Fetch news articles based on search query with caching
    * @param {string} query - Search query
+   * @param {Object} options - Search options (lang, country, from, to,
+   *   sortBy, in, max, page); see validateSearchOptions
+   * @param {string} cachePrefix - Cache key prefix; personalized news uses
+   *   its own so ad-hoc searches can't evict it (see config.cache)
    * @returns {Promise<Object>} News articles
    */
-  async searchNews(query) {
+  async searchNews(query, options = {}, cachePrefix = "search") {
     try {
-      // Generate cache key
-      const cacheKey = cacheService.generateKey("search", { query });
+      const searchOptions = { lang: "en", max: 10, ...options };
 
-      // Check cache first
-      const cachedData = await cacheService.get(cacheKey);
-      if (cachedData) {
-        return {
-          ...cachedData,
-          fromCache: true,
-        };
+      // Generate cache key (every option is part of the key)
+      const cacheKey = cacheService.generateKey(cachePrefix, {
+        query,
+        ...searchOptions,
+      });
+
+      return await this.fetchCached(cacheKey, "search", (provider) =>
+        provider.search(query, searchOptions)
+      );
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Search and keep only articles matching a filter, fetching further
+   * upstream pages until the page is full (e.g. hiding read articles)
+   * @param {string} query - Search query
+   * @param {Object} options - Search options; `max` is the page size
+   * @param {Object} position - { page, skip, filter, maxPages } upstream
+   *   page to start at, articles of that page already served, the filter,
+   *   and how many upstream pages to fetch at most
+   * @returns {Promise<Object>} { articles, totalArticles, provider,
+   *   fromCache, stale, next } where next is the { page, skip } to
+   *   continue from, or null when the results are exhausted
+   */
+  async searchNewsFiltered(
+    query,
+    options = {},
+    { page = 1, skip = 0, filter, maxPages = 3 } = {}
+  ) {
+    const pageSize = options.max || 10;
+    const articles = [];
+    let result = null;
+    let fromCache = true;
+    let stale = false;
+
+    const pageResult = (next) => ({
+      articles,
+      totalArticles: result.totalArticles,
+      provider: result.provider,
+      fromCache,
+      stale,
+      next,
+    });
+
+    for (let fetched = 0; fetched < maxPages; fetched++) {
+      result = await this.searchNews(query, {
+        ...options,
+        max: pageSize,
+        page,
+      });
+      fromCache = fromCache && result.fromCache === true;
+      stale = stale || result.stale === true;
+
+      const lastPage =
+        result.articles.length < pageSize ||
+        page * pageSize >= result.totalArticles;
+
+      for (let index = skip; index < result.articles.length; index++) {
+        if (!filter(result.articles[index])) {
+          continue;
+        }
+        articles.push(result.articles[index]);
+
+        if (articles.length === pageSize) {
+          if (index + 1 < result.articles.length) {
+            return pageResult({ page, skip: index + 1 });
+          }
+          return pageResult(lastPage ? null : { page: page + 1, skip: 0 });
+        }
+      }
+
+      if (lastPage) {
+        return pageResult(null);
       }
 
-      const params = {
-        q: query,
+      page++;
+      skip = 0;
+    }
+
+    // Page budget used up: return what we have and continue later
+    return pageResult({ page, skip: 0 });
+  }
+
+  /**
+   * Fetch top headlines for a category with caching
+   * @param {Object} options - Headline options (category, lang, country,
+   *   max, page); see validateHeadlinesQuery
+   * @returns {Promise<Object>} Headline articles
+   */
+  async getTopHeadlines(options = {}) {
+    try {
+      const headlineOptions = {
+        category: "general",
         lang: "en",
         max: 10,
-        apikey: this.apiKey,
+        ...options,
       };
 
-      const response = await axios.get(`${this.baseUrl}/search`, {
-        params,
-        timeout: 10000, // 10 second timeout
-      });
+      const cacheKey = cacheService.generateKey("headlines", headlineOptions);
+
+      return await this.fetchCached(cacheKey, "headlines", (provider) =>
+        provider.topHeadlines(headlineOptions)
+      );
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Serve a provider operation from cache, or fetch and cache it
+   * Stale entries (past the soft TTL) are served immediately with
+   * `stale: true` while a background request refreshes them; if that
+   * request fails the stale entry keeps being served until its hard TTL
+   * @param {string} cacheKey - Cache key of the operation
+   * @param {string} capability - Operation the provider must support
+   * @param {Function} operation - (provider) => Promise<Object>
+   * @returns {Promise<Object>} Articles with provider, fromCache and stale
+   *   flags
+   */
+  async fetchCached(cacheKey, capability, operation) {
+    // Check cache first
+    const entry = await cacheService.getEntry(cacheKey);
+    if (entry) {
+      if (entry.stale) {
+        this.requestStats.staleResponses++;
+        this.refreshInBackground(cacheKey, capability, operation);
+      }
+
+      return {
+        ...entry.value,
+        fromCache: true,
+        stale: entry.stale,
+      };
+    }
+
+    return this.requestUpstream(cacheKey, capability, operation);
+  }
+
+  /**
+   * Fetch an operation from the providers and cache the result
+   * Concurrent requests for the same key share one upstream request
+   * @param {string} cacheKey - Cache key of the operation
+   * @param {string} capability - Operation the provider must support
+   * @param {Function} operation - (provider) => Promise<Object>
+   * @returns {Promise<Object>} Fresh articles with provider name
+   */
+  async requestUpstream(cacheKey, capability, operation) {
+    // Join a request that is already on its way
+    if (this.inFlight.has(cacheKey)) {
+      this.requestStats.coalescedRequests++;
+      return this.inFlight.get(cacheKey);
+    }
+
+    const request = (async () => {
+      this.requestStats.upstreamRequests++;
+      const response = await this.fetchWithFailover(operation, capability);
 
       const result = {
         success: true,
-        totalArticles: response.data.totalArticles,
-        articles: response.data.articles,
+        totalArticles: response.totalArticles,
+        articles: response.articles,
+        provider: response.provider,
       };
 
       // Store in cache
       await cacheService.set(cacheKey, result, this.cacheTTL);
 
       return result;
-    } catch (error) {
-      throw this.handleError(error);
+    })();
+
+    this.inFlight.set(cacheKey, request);
+    try {
+      return await request;
+    } finally {
+      this.inFlight.delete(cacheKey);
+    }
+  }
+
+  /**
+   * Refresh a stale cache entry without blocking the caller
+   * Failures are logged; the stale entry stays in place
+   * @param {string} cacheKey - Cache key of the operation
+   * @param {string} capability - Operation the provider must support
+   * @param {Function} operation - (provider) => Promise<Object>
+   */
+  refreshInBackground(cacheKey, capability, operation) {
+    if (this.inFlight.has(cacheKey)) {
+      return;
     }
+
+    this.requestStats.backgroundRefreshes++;
+    this.requestUpstream(cacheKey, capability, operation).catch((error) => {
+      this.requestStats.failedRefreshes++;
+      console.error(
+        `Background refresh failed for ${cacheKey}:`,
+        this.handleError(error).message
+      );
+    });
+  }
+
+  /**
+   * Fetch articles for a single preference: top headlines for categories,
+   * a keyword search otherwise
+   * @param {string|Object} preference - Stored preference
+   * @param {number} page - Upstream page (1-based)
+   * @returns {Promise<Object>} News articles
+   */
+  fetchPreference(preference, page = 1) {
+    const { value, type } = normalizePreference(preference);
+    // The first page keeps the cache key it always had
+    const options = page > 1 ? { max: this.preferencePageSize, page } : {};
+
+    return type === "category"
+      ? this.getTopHeadlines({ category: value, ...options })
+      : this.searchNews(value, options, "personalized");
+  }
+
+  /**
+   * Fetch the first upstream pages of a preference as one result
+   * @param {string|Object} preference - Stored preference
+   * @param {number} pages - Number of pages
+   * @returns {Promise<Object>} News articles with `hasMore` set when the
+   *   provider has further pages
+   */
+  async fetchPreferencePages(preference, pages = 1) {
+    const results = await Promise.all(
+      Array.from({ length: pages }, (_, index) => {
+        const request = this.fetchPreference(preference, index + 1);
+        // A failing later page only loses its own articles
+        return index === 0
+          ? request
+          : request.catch(() => ({ articles: [], totalArticles: 0 }));
+      })
+    );
+    const last = results[results.length - 1];
+
+    return {
+      success: true,
+      articles: results.flatMap((result) => result.articles || []),
+      provider: results[0].provider,
+      fromCache: results.every((result) => result.fromCache === true),
+      stale: results.some((result) => result.stale === true),
+      hasMore:
+        (last.articles || []).length >= this.preferencePageSize &&
+        pages * this.preferencePageSize < last.totalArticles,
+    };
   }
 
   /**
    * Fetch news based on user preferences
+   * Each preference gets a share of the articles proportional to its
+   * weight; preferences that run out of articles leave their slots to the
+   * others. Articles matching a preference's exclusions, a muted keyword
+   * or a blocked source are left out.
    * @param {Array} preferences - User's news preferences
+   * @param {Object} options - { max, pages, mutedKeywords, blockedSources }
+   *   total number of articles, upstream pages per preference and the
+   *   user's global filters
    * @returns {Promise<Object>} Personalized news articles
    */
-  async getPersonalizedNews(preferences) {
+  async getPersonalizedNews(
+    preferences,
+    { max = 10, pages = 1, mutedKeywords = [], blockedSources = [] } = {}
+  ) {
     try {
       if (!preferences || preferences.length === 0) {
         return {
@@ -74,41 +379,53 @@ class NewsService {
         };
       }
 
-      // Fetch news for each preference and combine results
-      const max = 10;
-      const articlesPerPreference = Math.ceil(max / preferences.length);
+      const normalized = preferences.map(normalizePreference);
 
-      const newsPromises = preferences.map((preference) =>
-        this.searchNews(preference).catch((err) => {
-          console.error(`Error fetching news for ${preference}:`, err.message);
+      // Fetch news for each preference
+      const newsPromises = preferences.map((preference, index) =>
+        this.fetchPreferencePages(preference, pages).catch((err) => {
+          const { type, value } = normalized[index];
+          console.error(
+            `Error fetching news for ${type} ${value}:`,
+            err.message
+          );
           return { success: true, articles: [] };
         })
       );
 
       const results = await Promise.all(newsPromises);
 
-      // Combine and deduplicate articles
-      const allArticles = [];
-      const seenUrls = new Set();
-
+      const providers = new Set();
       results.forEach((result) => {
-        if (result.articles) {
-          result.articles.forEach((article) => {
-            if (!seenUrls.has(article.url)) {
-              seenUrls.add(article.url);
-              allArticles.push(article);
-            }
-          });
+        if (result.provider) {
+          providers.add(result.provider);
         }
       });
 
-      // Limit to max articles
-      const limitedArticles = allArticles.slice(0, max);
+      // Drop excluded and muted articles, then share slots by weight
+      const candidates = results.map((result, index) =>
+        (result.articles || []).filter((article) =>
+          isArticleAllowed(article, {
+            exclude: normalized[index].exclude,
+            mutedKeywords,
+            blockedSources,
+          })
+        )
+      );
+      const articles = this.allocateByWeight(
+        candidates,
+        normalized.map((preference) => preference.weight),
+        max
+      );
 
       return {
         success: true,
-        totalArticles: limitedArticles.length,
-        articles: limitedArticles,
+        totalArticles: articles.length,
+        articles,
+        providers: Array.from(providers),
+        fromCache: results.every((result) => result.fromCache === true),
+        stale: results.some((result) => result.stale === true),
+        hasMore: results.some((result) => result.hasMore === true),
       };
     } catch (error) {
       throw this.handleError(error);
@@ -116,12 +433,145 @@ class NewsService {
   }
 
   /**
-   * Handle errors from GNews API
+   * Merge article lists, giving each list slots in proportion to its
+   * weight (smooth weighted round-robin, so every prefix of the result
+   * keeps the proportions). Lists that run out leave their slots to the
+   * others; the same article (canonical URL) is only taken once.
+   * @param {Array<Array>} lists - Ordered article lists
+   * @param {Array<number>} weights - Weight of each list
+   * @param {number} max - Maximum number of articles
+   * @returns {Array} Merged articles
+   */
+  allocateByWeight(lists, weights, max) {
+    const positions = lists.map(() => 0);
+    const credits = lists.map(() => 0);
+    const seenIds = new Set();
+    const articles = [];
+
+    // Next article of a list that wasn't taken through another list
+    const takeNext = (index) => {
+      while (positions[index] < lists[index].length) {
+        const article = lists[index][positions[index]++];
+        const articleId = generateArticleId(article.url);
+        if (!seenIds.has(articleId)) {
+          seenIds.add(articleId);
+          return article;
+        }
+      }
+      return null;
+    };
+
+    while (articles.length < max) {
+      const active = lists
+        .map((list, index) => index)
+        .filter((index) => positions[index] < lists[index].length);
+      if (active.length === 0) {
+        break;
+      }
+
+      const totalWeight = active.reduce(
+        (sum, index) => sum + weights[index],
+        0
+      );
+      active.forEach((index) => {
+        credits[index] += weights[index];
+      });
+      const next = active.reduce((best, index) =>
+        credits[index] > credits[best] ? index : best
+      );
+      credits[next] -= totalWeight;
+
+      const article = takeNext(next);
+      if (article) {
+        articles.push(article);
+      }
+    }
+
+    return articles;
+  }
+
+  /**
+   * Build a user's news: personalized provider results followed by
+   * articles from their RSS/Atom feed subscriptions. The user's muted
+   * keywords and blocked sources apply to both.
+   * @param {Object} user - User object
+   * @param {Object} options - { max, pages } articles from providers and
+   *   from feeds, and upstream pages per preference
+   * @returns {Promise<Object>} { articles, totalArticles, providers,
+   *   fromCache, stale, hasMore } where hasMore is set when further
+   *   upstream pages exist
+   */
+  async getNewsForUser(user, { max, pages = 1 } = {}) {
+    const hasPreferences = user.preferences && user.preferences.length > 0;
+    const filters = {
+      mutedKeywords: user.mutedKeywords || [],
+      blockedSources: user.blockedSources || [],
+    };
+    const feedArticles = feedService
+      .getArticlesForUser(user.id, { max: max || 20 })
+      .filter((article) => isArticleAllowed(article, filters));
+
+    const newsData =
+      hasPreferences && this.isConfigured()
+        ? await this.getPersonalizedNews(user.preferences, {
+            max: max || 10,
+            pages,
+            ...filters,
+          })
+        : { articles: [], providers: [] };
+
+    // Merge feed articles after provider results, skipping duplicates
+    const seenIds = new Set(
+      newsData.articles.map((article) => generateArticleId(article.url))
+    );
+    const articles = [
+      ...newsData.articles,
+      ...feedArticles.filter(
+        (article) => !seenIds.has(generateArticleId(article.url))
+      ),
+    ];
+
+    const providers = [...(newsData.providers || [])];
+    if (feedArticles.length > 0) {
+      providers.push("feeds");
+    }
+
+    return {
+      success: true,
+      totalArticles: articles.length,
+      articles,
+      providers,
+      fromCache: newsData.fromCache || false,
+      stale: newsData.stale || false,
+      hasMore: newsData.hasMore || false,
+    };
+  }
+
+  /**
+   * Check whether news can be built for a user (providers or feeds)
+   * @param {Object} user - User object
+   * @returns {Object} { configured, hasSources } flags
+   */
+  getUserNewsAvailability(user) {
+    const hasFeeds = feedService.getUserFeeds(user.id).length > 0;
+    const hasPreferences = user.preferences && user.preferences.length > 0;
+
+    return {
+      configured: this.isConfigured() || hasFeeds,
+      hasSources: hasPreferences || hasFeeds,
+    };
+  }
+
+  /**
+   * Handle errors from news providers
    * @param {Error} error - Error object
    * @returns {Error} Formatted error
    */
   handleError(error) {
-    if (error.response) {
+    if (error.isApiError || error.isNetworkError) {
+      // Already formatted
+      return error;
+    } else if (error.response) {
       // API responded with error
       const status = error.response.status;
       const message =
@@ -147,8 +597,10 @@ class NewsService {
         case 429:
           err.message = "Rate limit exceeded for news API";
           break;
-        case 500:
-          err.message = "News API server error";
+        default:
+          if (status >= 500) {
+            err.message = "News API server error";
+          }
           break;
       }
 
@@ -170,11 +622,14 @@ class NewsService {
   }
 
   /**
-   * Validate API key
-   * @returns {boolean} Whether API key is configured
+   * Check that at least one news provider is configured
+   * @param {string} capability - Optional operation the provider must support
+   * @returns {boolean} Whether news can be fetched
    */
-  isConfigured() {
-    return !!this.apiKey && this.apiKey !== "your_gnews_api_key_here";
+  isConfigured(capability) {
+    return this.getActiveProviders().some(
+      (provider) => !capability || provider.supports(capability)
+    );
   }
 
   /**
@@ -192,6 +647,20 @@ class NewsService {
     return cacheService.getStats();
   }
 
+  /**
+   * Get upstream request statistics
+   * `coalescedRequests` counts callers that joined an in-flight request
+   * instead of calling the provider themselves; `staleResponses` counts
+   * stale cache entries served while a background refresh ran
+   * @returns {Object} Request stats
+   */
+  getRequestStats() {
+    return {
+      ...this.requestStats,
+      inFlight: this.inFlight.size,
+    };
+  }
+
   /**
    * Set cache TTL
    * @param {number} ttl - Time to live in milliseconds
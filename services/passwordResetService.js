@@ -0,0 +1,94 @@
+const config = require("../config/config");
+const UserModel = require("../models/User");
+const mailService = require("./mailService");
+const tokenService = require("./tokenService");
+const apiKeyService = require("./apiKeyService");
+const loginAttemptService = require("./loginAttemptService");
+const { hashPassword } = require("../utils/password");
+const { generateRandomToken, hashToken } = require("../utils/jwt");
+
+/**
+ * Password Reset Service
+ * Reset tokens are random, single-use and expiring; only their SHA-256
+ * hash is stored on the user. Completing a reset revokes every session
+ * and API key and clears login lockouts.
+ */
+
+class PasswordResetService {
+  constructor() {
+    this.tokenTtl = config.passwordReset.tokenTtlMinutes * 60 * 1000;
+  }
+
+  /**
+   * Email a reset token if the account exists
+   * Callers should respond the same way either way to avoid revealing
+   * which emails are registered
+   * @param {string} email - Account email
+   * @returns {Promise<boolean>} True if a reset email was sent
+   */
+  async requestReset(email) {
+    const user = UserModel.findByEmail(email.toLowerCase().trim());
+    if (!user) {
+      return false;
+    }
+
+    // A new request replaces any earlier token
+    const token = generateRandomToken(32);
+    const expiresAt = new Date(Date.now() + this.tokenTtl).toISOString();
+    UserModel.update(user.id, {
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpiresAt: expiresAt,
+    });
+
+    await mailService.sendPasswordReset(user, token, expiresAt);
+    return true;
+  }
+
+  /**
+   * Set a new password with a reset token
+   * @param {string} token - Plain reset token
+   * @param {string} password - New password
+   * @returns {Promise<Object|null>} Updated user, or null if the token is
+   *   unknown, used or expired
+   */
+  async resetPassword(token, password) {
+    const user = UserModel.findByPasswordResetTokenHash(hashToken(token));
+    if (!user) {
+      return null;
+    }
+
+    if (Date.parse(user.passwordResetExpiresAt) <= Date.now()) {
+      this.clearToken(user.id);
+      return null;
+    }
+
+    const hashedPassword = await hashPassword(password);
+    const updatedUser = UserModel.update(user.id, {
+      password: hashedPassword,
+      passwordResetTokenHash: null,
+      passwordResetExpiresAt: null,
+      passwordChangedAt: new Date().toISOString(),
+    });
+
+    // Whoever had access before the reset may have created keys too
+    tokenService.revokeAllSessions(user.id, "password_reset");
+    apiKeyService.revokeAllForUser(user.id);
+    loginAttemptService.reset(user.email);
+
+    return updatedUser;
+  }
+
+  /**
+   * Invalidate a user's reset token
+   * @param {number} userId - User ID
+   */
+  clearToken(userId) {
+    UserModel.update(userId, {
+      passwordResetTokenHash: null,
+      passwordResetExpiresAt: null,
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new PasswordResetService();
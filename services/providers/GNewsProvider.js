@@ -0,0 +1,79 @@
+const axios = require("axios");
+const NewsProvider = require("./NewsProvider");
+
+/**
+ * GNews Provider
+ * https://gnews.io/docs/v4
+ */
+
+class GNewsProvider extends NewsProvider {
+  /**
+   * @param {Object} options - { apiKey, baseUrl }
+   */
+  constructor({ apiKey, baseUrl } = {}) {
+    super("gnews");
+    this.capabilities = ["search", "headlines"];
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl;
+  }
+
+  isConfigured() {
+    return !!this.apiKey && this.apiKey !== "your_gnews_api_key_here";
+  }
+
+  async search(query, options = {}) {
+    const params = {
+      q: query,
+      lang: options.lang || "en",
+      country: options.country,
+      from: options.from,
+      to: options.to,
+      sortby: options.sortBy,
+      in: options.in ? options.in.join(",") : undefined,
+      max: options.max || 10,
+      page: options.page,
+      apikey: this.apiKey,
+    };
+
+    const response = await axios.get(`${this.baseUrl}/search`, {
+      params,
+      timeout: 10000, // 10 second timeout
+    });
+
+    return this.normalizeResponse(response.data);
+  }
+
+  async topHeadlines(options = {}) {
+    const params = {
+      category: options.category || "general",
+      lang: options.lang || "en",
+      country: options.country,
+      max: options.max || 10,
+      page: options.page,
+      apikey: this.apiKey,
+    };
+
+    const response = await axios.get(`${this.baseUrl}/top-headlines`, {
+      params,
+      timeout: 10000, // 10 second timeout
+    });
+
+    return this.normalizeResponse(response.data);
+  }
+
+  /**
+   * Normalize a GNews response body
+   * @param {Object} data - Response body
+   * @returns {Object} { totalArticles, articles }
+   */
+  normalizeResponse(data) {
+    return {
+      totalArticles: data.totalArticles,
+      articles: (data.articles || []).map((article) =>
+        this.normalizeArticle(article)
+      ),
+    };
+  }
+}
+
+module.exports = GNewsProvider;
@@ -0,0 +1,100 @@
+const axios = require("axios");
+const NewsProvider = require("./NewsProvider");
+
+/**
+ * NewsAPI Provider
+ * Works with NewsAPI.org and API-compatible services
+ * https://newsapi.org/docs/endpoints/everything
+ * (the everything endpoint has no country filter)
+ */
+
+// NewsAPI has no world/nation categories
+const CATEGORIES = {
+  world: "general",
+  nation: "general",
+};
+
+const SORT_BY = {
+  relevance: "relevancy",
+  publishedAt: "publishedAt",
+};
+
+class NewsApiProvider extends NewsProvider {
+  /**
+   * @param {Object} options - { apiKey, baseUrl }
+   */
+  constructor({ apiKey, baseUrl } = {}) {
+    super("newsapi");
+    this.capabilities = ["search", "headlines"];
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl;
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  async search(query, options = {}) {
+    const params = {
+      q: query,
+      language: options.lang || "en",
+      from: options.from,
+      to: options.to,
+      sortBy: SORT_BY[options.sortBy],
+      searchIn: options.in ? options.in.join(",") : undefined,
+      pageSize: options.max || 10,
+      page: options.page,
+    };
+
+    const response = await axios.get(`${this.baseUrl}/everything`, {
+      params,
+      headers: { "X-Api-Key": this.apiKey },
+      timeout: 10000, // 10 second timeout
+    });
+
+    return this.normalizeResponse(response.data);
+  }
+
+  async topHeadlines(options = {}) {
+    const category = options.category || "general";
+    const params = {
+      category: CATEGORIES[category] || category,
+      country: options.country,
+      language: options.country ? undefined : options.lang || "en",
+      pageSize: options.max || 10,
+      page: options.page,
+    };
+
+    const response = await axios.get(`${this.baseUrl}/top-headlines`, {
+      params,
+      headers: { "X-Api-Key": this.apiKey },
+      timeout: 10000, // 10 second timeout
+    });
+
+    return this.normalizeResponse(response.data);
+  }
+
+  /**
+   * Normalize a NewsAPI response body
+   * @param {Object} data - Response body
+   * @returns {Object} { totalArticles, articles }
+   */
+  normalizeResponse(data) {
+    return {
+      totalArticles: data.totalResults,
+      articles: (data.articles || []).map((article) =>
+        this.normalizeArticle({
+          title: article.title,
+          description: article.description,
+          content: article.content,
+          url: article.url,
+          image: article.urlToImage,
+          publishedAt: article.publishedAt,
+          source: { name: article.source && article.source.name },
+        })
+      ),
+    };
+  }
+}
+
+module.exports = NewsApiProvider;
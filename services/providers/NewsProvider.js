@@ -0,0 +1,80 @@
+/**
+ * News Provider
+ * Base class for news backends. Providers fetch from their upstream API
+ * and normalize every article to the shape the controllers expect:
+ * { title, description, content, url, image, publishedAt, source: { name, url } }
+ *
+ * Upstream HTTP errors should be thrown as-is (axios errors) so that
+ * newsService.handleError can classify them and decide on failover.
+ */
+
+class NewsProvider {
+  /**
+   * @param {string} name - Provider name reported in responses
+   */
+  constructor(name) {
+    this.name = name;
+    // Operations this provider implements ("search", "headlines")
+    this.capabilities = ["search"];
+  }
+
+  /**
+   * Whether the provider implements an operation
+   * @param {string} capability - Operation name
+   * @returns {boolean} True if supported
+   */
+  supports(capability) {
+    return this.capabilities.includes(capability);
+  }
+
+  /**
+   * Whether the provider has everything it needs to make requests
+   * @returns {boolean} True if configured
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * Search articles
+   * @param {string} query - Search query
+   * @param {Object} options - Search options (lang, country, from, to,
+   *   sortBy: "relevance"|"publishedAt", in: [fields], max, page)
+   * @returns {Promise<Object>} { totalArticles, articles }
+   */
+  async search(query, options = {}) {
+    throw new Error(`${this.name} provider does not implement search`);
+  }
+
+  /**
+   * Get top headlines
+   * @param {Object} options - Headline options (category, country, lang,
+   *   max, page)
+   * @returns {Promise<Object>} { totalArticles, articles }
+   */
+  async topHeadlines(options = {}) {
+    throw new Error(`${this.name} provider does not implement headlines`);
+  }
+
+  /**
+   * Normalize an upstream article
+   * @param {Object} article - Article fields mapped by the provider
+   * @returns {Object} Normalized article
+   */
+  normalizeArticle(article) {
+    return {
+      title: article.title || "",
+      description: article.description || "",
+      content: article.content || "",
+      url: article.url,
+      image: article.image || null,
+      publishedAt: article.publishedAt || null,
+      source: {
+        name: (article.source && article.source.name) || "",
+        url: (article.source && article.source.url) || null,
+      },
+    };
+  }
+}
+
+module.exports = NewsProvider;
@@ -0,0 +1,103 @@
+const axios = require("axios");
+const NewsProvider = require("./NewsProvider");
+const { parseFeed } = require("../../utils/feedParser");
+
+/**
+ * RSS/Atom Provider
+ * Searches a fixed list of RSS 2.0 / Atom 1.0 feeds by matching query
+ * terms against article fields (language and country are not known for
+ * feed items and are ignored)
+ */
+
+class RssProvider extends NewsProvider {
+  /**
+   * @param {Object} options - { feeds: [feedUrl] }
+   */
+  constructor({ feeds = [] } = {}) {
+    super("rss");
+    this.feeds = feeds;
+  }
+
+  isConfigured() {
+    return this.feeds.length > 0;
+  }
+
+  /**
+   * Fetch and parse a single feed
+   * @param {string} url - Feed URL
+   * @returns {Promise<Object>} Parsed feed
+   */
+  async fetchFeed(url) {
+    const response = await axios.get(url, {
+      responseType: "text",
+      timeout: 10000, // 10 second timeout
+    });
+    return parseFeed(response.data);
+  }
+
+  async search(query, options = {}) {
+    const results = await Promise.allSettled(
+      this.feeds.map((url) => this.fetchFeed(url))
+    );
+
+    const feeds = results
+      .filter((result) => result.status === "fulfilled")
+      .map((result) => result.value);
+
+    // Only fail if every feed failed
+    if (feeds.length === 0) {
+      throw results[0].reason;
+    }
+
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const fields = options.in || ["title", "description"];
+
+    const matches = feeds
+      .flatMap((feed) => feed.articles)
+      .map((article) => {
+        const text = fields
+          .map((field) => article[field] || "")
+          .join(" ")
+          .toLowerCase();
+        const occurrences = terms.map((term) => text.split(term).length - 1);
+        return {
+          article,
+          matchesAll: occurrences.every((count) => count > 0),
+          score: occurrences.reduce((sum, count) => sum + count, 0),
+        };
+      })
+      .filter(({ article, matchesAll }) => {
+        if (!matchesAll) return false;
+
+        const publishedAt = new Date(article.publishedAt || 0).getTime();
+        if (options.from && publishedAt < new Date(options.from).getTime()) {
+          return false;
+        }
+        if (options.to && publishedAt > new Date(options.to).getTime()) {
+          return false;
+        }
+        return true;
+      })
+      .sort((a, b) => {
+        if (options.sortBy === "relevance" && b.score !== a.score) {
+          return b.score - a.score;
+        }
+        return (b.article.publishedAt || "").localeCompare(
+          a.article.publishedAt || ""
+        );
+      })
+      .map(({ article }) => article);
+
+    const max = options.max || 10;
+    const offset = ((options.page || 1) - 1) * max;
+
+    return {
+      totalArticles: matches.length,
+      articles: matches
+        .slice(offset, offset + max)
+        .map((article) => this.normalizeArticle(article)),
+    };
+  }
+}
+
+module.exports = RssProvider;
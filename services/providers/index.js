@@ -0,0 +1,41 @@
+const config = require("../../config/config");
+const GNewsProvider = require("./GNewsProvider");
+const NewsApiProvider = require("./NewsApiProvider");
+const RssProvider = require("./RssProvider");
+
+/**
+ * News provider registry
+ * Maps provider names (as used in NEWS_PROVIDERS) to factories
+ */
+
+const factories = {
+  gnews: () => new GNewsProvider(config.gnews),
+  newsapi: () => new NewsApiProvider(config.newsapi),
+  rss: () => new RssProvider(config.rss),
+};
+
+/**
+ * Create providers in the configured order
+ * @param {Array<string>} names - Provider names
+ * @returns {Array<NewsProvider>} Provider instances
+ */
+const createProviders = (names = config.news.providers) => {
+  return names.map((name) => {
+    const factory = factories[name];
+    if (!factory) {
+      throw new Error(
+        `Unknown news provider "${name}". Supported: ${Object.keys(
+          factories
+        ).join(", ")}`
+      );
+    }
+    return factory();
+  });
+};
+
+module.exports = {
+  createProviders,
+  GNewsProvider,
+  NewsApiProvider,
+  RssProvider,
+};
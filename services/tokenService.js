@@ -0,0 +1,193 @@
+const crypto = require("crypto");
+const config = require("../config/config");
+const RefreshTokenModel = require("../models/RefreshToken");
+const UserModel = require("../models/User");
+const {
+  generateToken,
+  verifyToken,
+  generateRandomToken,
+  hashToken,
+} = require("../utils/jwt");
+const { AuthenticationError } = require("../middleware/errorHandler");
+
+/**
+ * Token Service
+ * Issues short-lived access tokens and rotating refresh tokens.
+ * Each login starts a token family (session); access tokens carry the
+ * family ID as `sid` so revoking the family invalidates them as well.
+ */
+
+class TokenService {
+  constructor() {
+    this.refreshTokenTtl = config.jwt.refreshTokenTtlDays * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Start a new session for a user
+   * @param {Object} user - User object
+   * @returns {Object} { token, refreshToken, expiresIn }
+   */
+  issueTokens(user) {
+    const familyId = crypto.randomUUID();
+    RefreshTokenModel.createFamily(familyId, user.id);
+    return this.issueTokensForFamily(user, familyId);
+  }
+
+  /**
+   * Issue an access/refresh token pair within an existing family
+   * @param {Object} user - User object
+   * @param {string} familyId - Token family ID
+   * @returns {Object} { token, refreshToken, expiresIn }
+   */
+  issueTokensForFamily(user, familyId) {
+    const token = generateToken({
+      userId: user.id,
+      email: user.email,
+      sid: familyId,
+      type: "access",
+    });
+
+    const refreshToken = generateRandomToken();
+    RefreshTokenModel.create({
+      tokenHash: hashToken(refreshToken),
+      userId: user.id,
+      familyId,
+      expiresAt: new Date(Date.now() + this.refreshTokenTtl).toISOString(),
+    });
+
+    return {
+      token,
+      refreshToken,
+      expiresIn: config.jwt.expiresIn,
+    };
+  }
+
+  /**
+   * Issue a short-lived token for the second login step (2FA)
+   * It only identifies the user; `authenticate` does not accept it
+   * @param {Object} user - User object
+   * @returns {Object} { challengeToken, expiresIn }
+   */
+  issueChallengeToken(user) {
+    const challengeToken = generateToken(
+      { userId: user.id, type: "2fa_challenge" },
+      { expiresIn: config.twoFactor.challengeExpiresIn }
+    );
+
+    return {
+      challengeToken,
+      expiresIn: config.twoFactor.challengeExpiresIn,
+    };
+  }
+
+  /**
+   * Resolve a 2FA challenge token
+   * @param {string} challengeToken - Challenge token
+   * @returns {number|null} User ID, or null if invalid or expired
+   */
+  verifyChallengeToken(challengeToken) {
+    try {
+      const decoded = verifyToken(challengeToken);
+      return decoded.type === "2fa_challenge" ? decoded.userId : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Rotate a refresh token
+   * Presenting a token that was already rotated is treated as theft and
+   * revokes the whole family.
+   * @param {string} refreshToken - Raw refresh token
+   * @returns {Object} { user, token, refreshToken, expiresIn }
+   */
+  rotate(refreshToken) {
+    const tokenHash = hashToken(refreshToken);
+    const record = RefreshTokenModel.findByHash(tokenHash);
+
+    if (!record) {
+      throw new AuthenticationError(
+        "Invalid refresh token. Please login again.",
+        "INVALID_REFRESH_TOKEN"
+      );
+    }
+
+    if (RefreshTokenModel.isFamilyRevoked(record.familyId)) {
+      throw new AuthenticationError(
+        "Session has been revoked. Please login again.",
+        "REFRESH_TOKEN_REVOKED"
+      );
+    }
+
+    if (record.usedAt) {
+      RefreshTokenModel.revokeFamily(record.familyId, "reuse_detected");
+      throw new AuthenticationError(
+        "Refresh token has already been used. All tokens for this session have been revoked.",
+        "REFRESH_TOKEN_REUSED"
+      );
+    }
+
+    if (Date.now() > new Date(record.expiresAt).getTime()) {
+      throw new AuthenticationError(
+        "Refresh token has expired. Please login again.",
+        "REFRESH_TOKEN_EXPIRED"
+      );
+    }
+
+    const user = UserModel.findById(record.userId);
+    if (!user) {
+      RefreshTokenModel.revokeFamily(record.familyId, "user_not_found");
+      throw new AuthenticationError(
+        "User not found. Please login again.",
+        "USER_NOT_FOUND"
+      );
+    }
+
+    RefreshTokenModel.markUsed(tokenHash);
+
+    return {
+      user,
+      ...this.issueTokensForFamily(user, record.familyId),
+    };
+  }
+
+  /**
+   * Revoke a single session
+   * @param {string} familyId - Token family ID
+   * @returns {boolean} True if revoked
+   */
+  revokeSession(familyId) {
+    return RefreshTokenModel.revokeFamily(familyId, "logout");
+  }
+
+  /**
+   * Revoke every session of a user
+   * @param {number} userId - User ID
+   * @param {string} reason - Revocation reason
+   * @param {string} exceptFamilyId - Session to keep (optional)
+   * @returns {number} Number of sessions revoked
+   */
+  revokeAllSessions(userId, reason = "logout_all", exceptFamilyId = null) {
+    return RefreshTokenModel.revokeAllForUser(userId, reason, exceptFamilyId);
+  }
+
+  /**
+   * Check if the session an access token belongs to is still active
+   * @param {string} familyId - Token family ID (`sid` claim)
+   * @returns {boolean} True if active
+   */
+  isSessionActive(familyId) {
+    return !!familyId && !RefreshTokenModel.isFamilyRevoked(familyId);
+  }
+
+  /**
+   * Remove expired refresh tokens
+   * @returns {number} Number of tokens removed
+   */
+  cleanupExpired() {
+    return RefreshTokenModel.clearExpired();
+  }
+}
+
+// Export singleton instance
+module.exports = new TokenService();
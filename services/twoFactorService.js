@@ -0,0 +1,202 @@
+const crypto = require("crypto");
+const config = require("../config/config");
+const UserModel = require("../models/User");
+const { comparePassword } = require("../utils/password");
+const { hashToken } = require("../utils/jwt");
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri,
+} = require("../utils/totp");
+const { ConflictError, NotFoundError } = require("../middleware/errorHandler");
+
+/**
+ * Two-Factor Authentication Service
+ * Optional TOTP (authenticator app) second factor. Enrollment stores a
+ * pending secret until the user confirms a code from their app; then the
+ * secret is activated and one-time recovery codes are issued (only their
+ * SHA-256 hashes are stored). Each TOTP code is accepted once.
+ */
+
+class TwoFactorService {
+  /**
+   * Whether a user has two-factor authentication enabled
+   * @param {Object} user - User object
+   * @returns {boolean} True if enabled
+   */
+  isEnabled(user) {
+    return !!user.totpEnabled;
+  }
+
+  /**
+   * Find a user or throw
+   * @param {number} userId - User ID
+   * @returns {Object} User
+   */
+  getUser(userId) {
+    const user = UserModel.findById(userId);
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+    return user;
+  }
+
+  /**
+   * Start enrollment with a new secret
+   * Starting again replaces an unconfirmed secret
+   * @param {number} userId - User ID
+   * @returns {Object} { secret, otpauthUri }
+   */
+  beginEnrollment(userId) {
+    const user = this.getUser(userId);
+    if (this.isEnabled(user)) {
+      throw new ConflictError("Two-factor authentication is already enabled");
+    }
+
+    const secret = generateSecret();
+    UserModel.update(userId, { totpPendingSecret: secret });
+
+    return {
+      secret,
+      otpauthUri: buildOtpauthUri({
+        secret,
+        account: user.email,
+        issuer: config.twoFactor.issuer,
+      }),
+    };
+  }
+
+  /**
+   * Confirm enrollment with a code from the authenticator app
+   * @param {number} userId - User ID
+   * @param {string} code - TOTP code
+   * @returns {Array|null} Recovery codes (shown once), or null if the code
+   *   is wrong or no enrollment was started
+   */
+  confirmEnrollment(userId, code) {
+    const user = this.getUser(userId);
+    if (this.isEnabled(user)) {
+      throw new ConflictError("Two-factor authentication is already enabled");
+    }
+    if (!user.totpPendingSecret) {
+      return null;
+    }
+
+    const counter = verifyCode(user.totpPendingSecret, code);
+    if (counter === null) {
+      return null;
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    UserModel.update(userId, {
+      totpEnabled: true,
+      totpSecret: user.totpPendingSecret,
+      totpPendingSecret: null,
+      totpLastCounter: counter,
+      recoveryCodeHashes: recoveryCodes.map(hashToken),
+      totpEnabledAt: new Date().toISOString(),
+    });
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Turn off two-factor authentication
+   * Requires the password and a current code (or recovery code)
+   * @param {number} userId - User ID
+   * @param {string} password - Account password
+   * @param {string} code - TOTP or recovery code
+   * @returns {Promise<boolean>} False if the password or code is wrong
+   */
+  async disable(userId, password, code) {
+    const user = this.getUser(userId);
+    if (!this.isEnabled(user)) {
+      throw new ConflictError("Two-factor authentication is not enabled");
+    }
+
+    const isMatch = await comparePassword(password, user.password);
+    if (!isMatch || !this.verify(user, code)) {
+      return false;
+    }
+
+    UserModel.update(userId, {
+      totpEnabled: false,
+      totpSecret: null,
+      totpPendingSecret: null,
+      totpLastCounter: null,
+      recoveryCodeHashes: [],
+      totpEnabledAt: null,
+    });
+    return true;
+  }
+
+  /**
+   * Check a second factor at login
+   * TOTP codes are accepted once; recovery codes are used up
+   * @param {Object} user - User object
+   * @param {string} code - TOTP or recovery code
+   * @returns {string|null} "totp" or "recovery" on success, else null
+   */
+  verify(user, code) {
+    if (!this.isEnabled(user) || typeof code !== "string") {
+      return null;
+    }
+
+    const counter = verifyCode(user.totpSecret, code);
+    if (counter !== null) {
+      // Reject a code that was already used (or an older one)
+      if (
+        typeof user.totpLastCounter === "number" &&
+        counter <= user.totpLastCounter
+      ) {
+        return null;
+      }
+      UserModel.update(user.id, { totpLastCounter: counter });
+      return "totp";
+    }
+
+    const codeHash = hashToken(this.normalizeRecoveryCode(code));
+    const hashes = user.recoveryCodeHashes || [];
+    if (hashes.includes(codeHash)) {
+      UserModel.update(user.id, {
+        recoveryCodeHashes: hashes.filter((hash) => hash !== codeHash),
+      });
+      return "recovery";
+    }
+
+    return null;
+  }
+
+  /**
+   * Number of unused recovery codes
+   * @param {Object} user - User object
+   * @returns {number} Remaining codes
+   */
+  remainingRecoveryCodes(user) {
+    return (user.recoveryCodeHashes || []).length;
+  }
+
+  /**
+   * Generate recovery codes (xxxxx-xxxxx, lowercase hex)
+   * @returns {Array} Plain recovery codes
+   */
+  generateRecoveryCodes() {
+    return Array.from({ length: config.twoFactor.recoveryCodes }, () => {
+      const hex = crypto.randomBytes(5).toString("hex");
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+  }
+
+  /**
+   * Normalize a recovery code as typed by the user
+   * @param {string} code - Recovery code
+   * @returns {string} Normalized code
+   */
+  normalizeRecoveryCode(code) {
+    const cleaned = code.trim().toLowerCase().replace(/[\s-]/g, "");
+    return `${cleaned.slice(0, 5)}-${cleaned.slice(5)}`;
+  }
+}
+
+// Export singleton instance
+module.exports = new TwoFactorService();
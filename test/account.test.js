@@ -0,0 +1,212 @@
+const tap = require("tap");
+const supertest = require("supertest");
+const app = require("../app");
+const mailService = require("../services/mailService");
+const UserModel = require("../models/User");
+const ArticleModel = require("../models/Article");
+
+const server = {
+  post: (path) => supertest(app).post(`/api/v1${path}`),
+  get: (path) => supertest(app).get(`/api/v1${path}`),
+  put: (path) => supertest(app).put(`/api/v1${path}`),
+  patch: (path) => supertest(app).patch(`/api/v1${path}`),
+  delete: (path) => supertest(app).delete(`/api/v1${path}`),
+};
+
+const credentials = {
+  name: "Diana Prince",
+  email: "diana@themyscira.com",
+  password: "Lass0oftruth",
+};
+
+const other = {
+  name: "Steve Trevor",
+  email: "steve@airforce.com",
+  password: "P1lotlight",
+};
+
+const login = async (user = credentials) => {
+  const response = await server
+    .post("/auth/login")
+    .send({ email: user.email, password: user.password });
+  return response.body.data;
+};
+
+tap.before(async () => {
+  await server.post("/auth/register").send(credentials);
+  await server.post("/auth/register").send(other);
+});
+
+tap.test("PATCH /users/profile updates the name", async (t) => {
+  const session = await login();
+  const response = await server
+    .patch("/users/profile")
+    .set("Authorization", `Bearer ${session.token}`)
+    .send({ name: "  Wonder Woman " });
+  t.equal(response.status, 200);
+  t.equal(response.body.data.user.name, "Wonder Woman");
+  t.equal(response.body.data.user.email, credentials.email);
+  t.end();
+});
+
+tap.test("PATCH /users/profile validates input", async (t) => {
+  const session = await login();
+
+  const empty = await server
+    .patch("/users/profile")
+    .set("Authorization", `Bearer ${session.token}`)
+    .send({});
+  t.equal(empty.status, 400);
+
+  const invalid = await server
+    .patch("/users/profile")
+    .set("Authorization", `Bearer ${session.token}`)
+    .send({ email: "not-an-email" });
+  t.equal(invalid.status, 400);
+
+  const taken = await server
+    .patch("/users/profile")
+    .set("Authorization", `Bearer ${session.token}`)
+    .send({ email: other.email.toUpperCase() });
+  t.equal(taken.status, 409);
+  t.end();
+});
+
+tap.test("PATCH /users/profile re-verifies a new email", async (t) => {
+  const session = await login();
+  UserModel.update(session.user.id, { emailVerified: true });
+  mailService.transport.clear();
+
+  const response = await server
+    .patch("/users/profile")
+    .set("Authorization", `Bearer ${session.token}`)
+    .send({ email: "Diana@Justice.org" });
+  t.equal(response.status, 200);
+  t.equal(response.body.data.user.email, credentials.email);
+  t.equal(response.body.data.user.pendingEmail, "diana@justice.org");
+  t.equal(response.body.data.user.emailVerified, true);
+
+  // The old address is told, and keeps working until the new one is verified
+  const notice = mailService.transport.lastMessageTo(credentials.email);
+  t.equal(notice.subject, "Your email address is being changed");
+  t.match(notice.text, "diana@justice.org");
+  t.ok(await login());
+
+  const message = mailService.transport.lastMessageTo("diana@justice.org");
+  t.equal(message.subject, "Verify your email address");
+  const token = decodeURIComponent(
+    message.text.match(/verify\?token=(\S+)/)[1]
+  );
+  const verified = await server.get(
+    `/auth/verify?token=${encodeURIComponent(token)}`
+  );
+  t.equal(verified.status, 200);
+  t.equal(verified.body.data.email, "diana@justice.org");
+
+  const user = UserModel.findById(session.user.id);
+  t.equal(user.email, "diana@justice.org");
+  t.equal(user.pendingEmail, null);
+  credentials.email = "diana@justice.org";
+  t.end();
+});
+
+tap.test("PUT /users/password rejects a wrong current password", async (t) => {
+  const session = await login();
+  const response = await server
+    .put("/users/password")
+    .set("Authorization", `Bearer ${session.token}`)
+    .send({ currentPassword: "wrongpassword", newPassword: "N3wpassword" });
+  t.equal(response.status, 400);
+  t.equal(response.body.error, "INVALID_CURRENT_PASSWORD");
+  t.end();
+});
+
+tap.test("PUT /users/password revokes other sessions", async (t) => {
+  const current = await login();
+  const otherSession = await login();
+
+  const response = await server
+    .put("/users/password")
+    .set("Authorization", `Bearer ${current.token}`)
+    .send({
+      currentPassword: credentials.password,
+      newPassword: "N3wpassword",
+    });
+  t.equal(response.status, 200);
+
+  const stillSignedIn = await server
+    .get("/users/profile")
+    .set("Authorization", `Bearer ${current.token}`);
+  t.equal(stillSignedIn.status, 200);
+
+  const signedOut = await server
+    .get("/users/profile")
+    .set("Authorization", `Bearer ${otherSession.token}`);
+  t.equal(signedOut.status, 401);
+
+  const oldPassword = await server
+    .post("/auth/login")
+    .send({ email: credentials.email, password: credentials.password });
+  t.equal(oldPassword.status, 401);
+
+  credentials.password = "N3wpassword";
+  const newPassword = await server
+    .post("/auth/login")
+    .send({ email: credentials.email, password: credentials.password });
+  t.equal(newPassword.status, 200);
+  t.end();
+});
+
+tap.test("DELETE /users/me requires the password", async (t) => {
+  const session = await login();
+
+  const missing = await server
+    .delete("/users/me")
+    .set("Authorization", `Bearer ${session.token}`);
+  t.equal(missing.status, 400);
+
+  const wrong = await server
+    .delete("/users/me")
+    .set("Authorization", `Bearer ${session.token}`)
+    .send({ password: "wrongpassword" });
+  t.equal(wrong.status, 400);
+  t.equal(wrong.body.error, "INVALID_PASSWORD");
+  t.ok(UserModel.findById(session.user.id));
+  t.end();
+});
+
+tap.test("DELETE /users/me deletes the account and its data", async (t) => {
+  const session = await login();
+  const userId = session.user.id;
+  const article = {
+    url: "https://example.com/lasso",
+    title: "Lasso of Truth",
+  };
+  ArticleModel.markAsRead(userId, article);
+  ArticleModel.markAsFavorite(userId, article);
+
+  const response = await server
+    .delete("/users/me")
+    .set("Authorization", `Bearer ${session.token}`)
+    .send({ password: credentials.password });
+  t.equal(response.status, 200);
+
+  t.equal(UserModel.findById(userId), null);
+  t.same(ArticleModel.getReadArticles(userId), []);
+  t.same(ArticleModel.getFavoriteArticles(userId), []);
+
+  const profile = await server
+    .get("/users/profile")
+    .set("Authorization", `Bearer ${session.token}`);
+  t.equal(profile.status, 401);
+
+  const relogin = await server
+    .post("/auth/login")
+    .send({ email: credentials.email, password: credentials.password });
+  t.equal(relogin.status, 401);
+  t.end();
+});
+
+tap.teardown(() => {
+  process.exit(0);
+});
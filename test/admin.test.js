@@ -0,0 +1,193 @@
+const tap = require("tap");
+const supertest = require("supertest");
+const app = require("../app");
+const config = require("../config/config");
+const cacheService = require("../services/cacheService");
+const mailService = require("../services/mailService");
+
+const server = {
+  post: (path) => supertest(app).post(`/api/v1${path}`),
+  get: (path) => supertest(app).get(`/api/v1${path}`),
+  delete: (path) => supertest(app).delete(`/api/v1${path}`),
+};
+
+const admin = {
+  name: "Amanda Waller",
+  email: "waller@argus.gov",
+  password: "Task4orceX",
+};
+
+const user = {
+  name: "Harley Quinn",
+  email: "harley@belle-reve.com",
+  password: "Puddin123",
+};
+
+const login = async (credentials) => {
+  const response = await server
+    .post("/auth/login")
+    .send({ email: credentials.email, password: credentials.password });
+  return response;
+};
+
+let adminToken = "";
+let userToken = "";
+let userId = null;
+
+/**
+ * Verify an account with the token from its last email
+ */
+const verifyEmail = async (email) => {
+  const message = mailService.transport.lastMessageTo(email);
+  const token = message.text.match(/verify\?token=(\S+)/)[1];
+  await server.get(`/auth/verify?token=${token}`);
+};
+
+tap.before(async () => {
+  config.admin.emails.push(admin.email);
+  await server.post("/auth/register").send(admin);
+  await verifyEmail(admin.email);
+  await server.post("/auth/register").send(user);
+
+  adminToken = (await login(admin)).body.data.token;
+  const session = (await login(user)).body.data;
+  userToken = session.token;
+  userId = session.user.id;
+});
+
+tap.test("configured admin emails get the admin role", async (t) => {
+  const adminProfile = await server
+    .get("/users/profile")
+    .set("Authorization", `Bearer ${adminToken}`);
+  t.equal(adminProfile.body.data.user.role, "admin");
+
+  const userProfile = await server
+    .get("/users/profile")
+    .set("Authorization", `Bearer ${userToken}`);
+  t.equal(userProfile.body.data.user.role, "user");
+  t.end();
+});
+
+tap.test("admin routes reject regular users", async (t) => {
+  const anonymous = await server.get("/admin/users");
+  t.equal(anonymous.status, 401);
+
+  const forbidden = await server
+    .get("/admin/users")
+    .set("Authorization", `Bearer ${userToken}`);
+  t.equal(forbidden.status, 403);
+  t.equal(forbidden.body.success, false);
+  t.end();
+});
+
+tap.test("GET /admin/users lists users without secrets", async (t) => {
+  const response = await server
+    .get("/admin/users?limit=1")
+    .set("Authorization", `Bearer ${adminToken}`);
+  t.equal(response.status, 200);
+  t.equal(response.body.data.totalUsers, 2);
+  t.equal(response.body.data.users.length, 1);
+  t.notOk(response.body.data.users[0].password);
+  t.ok(response.body.data.nextCursor);
+
+  const next = await server
+    .get(`/admin/users?limit=1&cursor=${response.body.data.nextCursor}`)
+    .set("Authorization", `Bearer ${adminToken}`);
+  t.equal(next.body.data.users[0].email, user.email);
+  t.equal(next.body.data.nextCursor, null);
+  t.end();
+});
+
+tap.test("POST /admin/users/:id/disable blocks the account", async (t) => {
+  const response = await server
+    .post(`/admin/users/${userId}/disable`)
+    .set("Authorization", `Bearer ${adminToken}`);
+  t.equal(response.status, 200);
+  t.equal(response.body.data.user.disabled, true);
+
+  const profile = await server
+    .get("/users/profile")
+    .set("Authorization", `Bearer ${userToken}`);
+  t.equal(profile.status, 401);
+
+  const relogin = await login(user);
+  t.equal(relogin.status, 403);
+  t.equal(relogin.body.error, "ACCOUNT_DISABLED");
+
+  const enabled = await server
+    .post(`/admin/users/${userId}/enable`)
+    .set("Authorization", `Bearer ${adminToken}`);
+  t.equal(enabled.status, 200);
+  t.equal(enabled.body.data.user.disabled, false);
+  t.equal((await login(user)).status, 200);
+  t.end();
+});
+
+tap.test("admins cannot disable themselves or unknown users", async (t) => {
+  const adminId = (await login(admin)).body.data.user.id;
+  const self = await server
+    .post(`/admin/users/${adminId}/disable`)
+    .set("Authorization", `Bearer ${adminToken}`);
+  t.equal(self.status, 400);
+
+  const unknown = await server
+    .post("/admin/users/9999/disable")
+    .set("Authorization", `Bearer ${adminToken}`);
+  t.equal(unknown.status, 404);
+  t.end();
+});
+
+tap.test("admin job status and cache controls", async (t) => {
+  const status = await server
+    .get("/admin/jobs")
+    .set("Authorization", `Bearer ${adminToken}`);
+  t.equal(status.status, 200);
+  t.hasOwnProp(status.body.data, "jobs");
+  t.hasOwnProp(status.body.data, "cacheStats");
+
+  const refreshed = await server
+    .post("/admin/cache/refresh")
+    .set("Authorization", `Bearer ${adminToken}`);
+  t.equal(refreshed.status, 200);
+
+  await cacheService.set("search:q:admin", { articles: [] });
+  const cleared = await server
+    .delete("/admin/cache")
+    .set("Authorization", `Bearer ${adminToken}`);
+  t.equal(cleared.status, 200);
+  t.equal(await cacheService.get("search:q:admin"), null);
+  t.end();
+});
+
+tap.test("admin emails get no role until they are verified", async (t) => {
+  const impostor = {
+    name: "Rick Flag",
+    email: "flag@argus.gov",
+    password: "Sk1ndivers",
+  };
+  config.admin.emails.push(impostor.email);
+  config.emailVerification.required = true;
+  t.teardown(() => {
+    config.emailVerification.required = false;
+  });
+
+  const registered = await server.post("/auth/register").send(impostor);
+  t.equal(registered.body.data.user.role, "user");
+
+  const session = (await login(impostor)).body.data;
+  const forbidden = await server
+    .get("/admin/users")
+    .set("Authorization", `Bearer ${session.token}`);
+  t.equal(forbidden.status, 403);
+
+  await verifyEmail(impostor.email);
+  const allowed = await server
+    .get("/admin/users")
+    .set("Authorization", `Bearer ${session.token}`);
+  t.equal(allowed.status, 200);
+  t.end();
+});
+
+tap.teardown(() => {
+  process.exit(0);
+});
@@ -0,0 +1,144 @@
+const tap = require("tap");
+const supertest = require("supertest");
+const app = require("../app");
+const ApiKeyModel = require("../models/ApiKey");
+
+const server = {
+  post: (path) => supertest(app).post(`/api/v1${path}`),
+  get: (path) => supertest(app).get(`/api/v1${path}`),
+  delete: (path) => supertest(app).delete(`/api/v1${path}`),
+};
+
+const credentials = {
+  name: "Lucius Fox",
+  email: "lucius@wayne-enterprises.com",
+  password: "Appl1edSci",
+};
+
+let token = "";
+
+const createKey = async (name, scopes) => {
+  const response = await server
+    .post("/users/api-keys")
+    .set("Authorization", `Bearer ${token}`)
+    .send({ name, scopes });
+  return response;
+};
+
+tap.before(async () => {
+  await server.post("/auth/register").send(credentials);
+  const login = await server.post("/auth/login").send(credentials);
+  token = login.body.data.token;
+});
+
+tap.test("POST /users/api-keys returns the key once", async (t) => {
+  const response = await createKey("Dashboard", ["news:read"]);
+  t.equal(response.status, 201);
+  t.match(response.body.data.key, /^nak_/);
+  t.equal(response.body.data.apiKey.name, "Dashboard");
+  t.same(response.body.data.apiKey.scopes, ["news:read"]);
+  t.notOk(response.body.data.apiKey.keyHash);
+
+  // Only the hash is stored
+  const stored = ApiKeyModel.keys.get(response.body.data.apiKey.id);
+  t.not(stored.keyHash, response.body.data.key);
+
+  const list = await server
+    .get("/users/api-keys")
+    .set("Authorization", `Bearer ${token}`);
+  t.equal(list.status, 200);
+  t.equal(list.body.data.apiKeys.length, 1);
+  t.notOk(list.body.data.apiKeys[0].key);
+  t.end();
+});
+
+tap.test("POST /users/api-keys validates name and scopes", async (t) => {
+  t.equal((await createKey("", ["news:read"])).status, 400);
+  t.equal((await createKey("Cron", [])).status, 400);
+  t.equal((await createKey("Cron", ["admin"])).status, 400);
+  t.end();
+});
+
+tap.test("X-API-Key authenticates within its scopes", async (t) => {
+  const created = await createKey("Reader", ["news:read"]);
+  const key = created.body.data.key;
+
+  const stats = await server.get("/news/stats").set("X-API-Key", key);
+  t.equal(stats.status, 200);
+
+  const favorite = await server
+    .post("/news/some-article/favorite")
+    .set("X-API-Key", key);
+  t.equal(favorite.status, 403);
+
+  const list = await server
+    .get("/users/api-keys")
+    .set("Authorization", `Bearer ${token}`);
+  const used = list.body.data.apiKeys.find(
+    (apiKey) => apiKey.id === created.body.data.apiKey.id
+  );
+  t.ok(used.lastUsedAt);
+  t.end();
+});
+
+tap.test("API keys cannot manage the account", async (t) => {
+  const created = await createKey("Everything", [
+    "news:read",
+    "articles:write",
+  ]);
+  const key = created.body.data.key;
+
+  const profile = await server.get("/users/profile").set("X-API-Key", key);
+  t.equal(profile.status, 403);
+
+  const newKey = await server
+    .post("/users/api-keys")
+    .set("X-API-Key", key)
+    .send({ name: "Escalated", scopes: ["news:read"] });
+  t.equal(newKey.status, 403);
+  t.end();
+});
+
+tap.test("API keys cannot sign the user out", async (t) => {
+  const created = await createKey("Reader", ["news:read"]);
+  const key = created.body.data.key;
+
+  const logout = await server.post("/auth/logout").set("X-API-Key", key);
+  t.equal(logout.status, 403);
+  const logoutAll = await server.post("/auth/logout-all").set("X-API-Key", key);
+  t.equal(logoutAll.status, 403);
+
+  // The session is still valid
+  const profile = await server
+    .get("/users/profile")
+    .set("Authorization", `Bearer ${token}`);
+  t.equal(profile.status, 200);
+  t.end();
+});
+
+tap.test("unknown and revoked keys are rejected", async (t) => {
+  const unknown = await server.get("/news/stats").set("X-API-Key", "nak_nope");
+  t.equal(unknown.status, 401);
+  t.equal(unknown.body.error, "INVALID_API_KEY");
+
+  const created = await createKey("Temporary", ["news:read"]);
+  const revoked = await server
+    .delete(`/users/api-keys/${created.body.data.apiKey.id}`)
+    .set("Authorization", `Bearer ${token}`);
+  t.equal(revoked.status, 200);
+
+  const afterRevoke = await server
+    .get("/news/stats")
+    .set("X-API-Key", created.body.data.key);
+  t.equal(afterRevoke.status, 401);
+
+  const again = await server
+    .delete(`/users/api-keys/${created.body.data.apiKey.id}`)
+    .set("Authorization", `Bearer ${token}`);
+  t.equal(again.status, 404);
+  t.end();
+});
+
+tap.teardown(() => {
+  process.exit(0);
+});
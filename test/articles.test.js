@@ -0,0 +1,379 @@
+const tap = require("tap");
+const supertest = require("supertest");
+const { store } = require("../models/storage");
+const { canonicalizeUrl, generateArticleId } = require("../utils/articleId");
+
+// Snapshot written before article IDs hashed the canonical URL
+const legacyUrl =
+  "https://example.com/world/2025/10/25/long-story-about-a-thing";
+const legacyId = Buffer.from(legacyUrl).toString("base64").substring(0, 32);
+store.save("articles", {
+  readArticles: [[99, [[legacyId, "2025-10-25T10:00:00.000Z"]]]],
+  favoriteArticles: [
+    [
+      99,
+      [
+        [
+          legacyId,
+          {
+            id: legacyId,
+            url: legacyUrl,
+            title: "Long story",
+            favoritedAt: "2025-10-25T11:00:00.000Z",
+          },
+        ],
+      ],
+    ],
+  ],
+  articleMetadata: [
+    [legacyId, { id: legacyId, url: legacyUrl, title: "Long story" }],
+  ],
+});
+
+// Loaded after the snapshot so the model migrates it
+const app = require("../app");
+const ArticleModel = require("../models/Article");
+const newsService = require("../services/newsService");
+const cacheService = require("../services/cacheService");
+const NewsProvider = require("../services/providers/NewsProvider");
+
+const server = {
+  post: (path) => supertest(app).post(`/api/v1${path}`),
+  get: (path) => supertest(app).get(`/api/v1${path}`),
+  put: (path) => supertest(app).put(`/api/v1${path}`),
+};
+
+const credentials = {
+  name: "Barry Allen",
+  email: "barry@ccpd.gov",
+  password: "Sp33dforce",
+};
+
+class StubProvider extends NewsProvider {
+  constructor(articles) {
+    super("stub");
+    this.articles = articles;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async search(query, { max = 10, page = 1 } = {}) {
+    return {
+      totalArticles: this.articles.length,
+      articles: this.articles.slice((page - 1) * max, page * max),
+    };
+  }
+}
+
+const article = (url, title) => ({
+  title,
+  description: "",
+  content: "",
+  url,
+  image: null,
+  publishedAt: "2025-10-25T10:00:00.000Z",
+  source: { name: "Example", url: "https://example.com" },
+});
+
+let token = null;
+let session = null;
+
+tap.before(async () => {
+  await cacheService.clear();
+  await server.post("/auth/register").send(credentials);
+  const response = await server
+    .post("/auth/login")
+    .send({ email: credentials.email, password: credentials.password });
+  session = response.body.data;
+  token = session.token;
+});
+
+tap.test("canonical URLs ignore tracking and formatting noise", async (t) => {
+  t.equal(
+    canonicalizeUrl(
+      "HTTPS://News.Example.COM:443/story/?utm_source=x&id=3#top"
+    ),
+    "https://news.example.com/story?id=3"
+  );
+  t.equal(
+    generateArticleId("https://example.com/story/?utm_campaign=daily"),
+    generateArticleId("https://EXAMPLE.com/story")
+  );
+  t.not(
+    generateArticleId("https://example.com/story?id=3"),
+    generateArticleId("https://example.com/story?id=4")
+  );
+  t.end();
+});
+
+tap.test("long URLs sharing a prefix get different IDs", async (t) => {
+  const base = "https://example.com/world/2025/10/25/";
+  t.not(
+    generateArticleId(`${base}first-long-story`),
+    generateArticleId(`${base}second-long-story`)
+  );
+  t.match(generateArticleId(`${base}first-long-story`), /^[0-9a-f]{64}$/);
+  t.end();
+});
+
+tap.test("legacy IDs are migrated on load", async (t) => {
+  const articleId = generateArticleId(legacyUrl);
+  t.equal(ArticleModel.getArticleMetadata(articleId).id, articleId);
+  t.ok(ArticleModel.isRead(99, articleId));
+  t.equal(
+    ArticleModel.getReadArticles(99)[0].readAt,
+    "2025-10-25T10:00:00.000Z"
+  );
+  t.equal(ArticleModel.getFavoriteArticles(99)[0].id, articleId);
+
+  // Old IDs keep resolving to the migrated article
+  t.equal(ArticleModel.resolveArticleId(legacyId), articleId);
+  t.ok(ArticleModel.isFavorite(99, legacyId));
+  t.equal(store.load("articles").idVersion, 2);
+  t.end();
+});
+
+tap.test("POST /news/:id/favorite accepts a legacy ID", async (t) => {
+  const response = await server
+    .post(`/news/${legacyId}/favorite`)
+    .set("Authorization", `Bearer ${token}`);
+  t.equal(response.status, 200);
+  t.equal(response.body.data.articleId, generateArticleId(legacyUrl));
+  t.end();
+});
+
+tap.test("GET /news/search returns article IDs", async (t) => {
+  newsService.providers = [
+    new StubProvider([
+      article("https://example.com/flash?utm_source=feed", "Flash spotted"),
+      article("https://example.com/flash", "Flash spotted (again)"),
+      article("https://example.com/reverse-flash", "Reverse-Flash returns"),
+    ]),
+  ];
+
+  const response = await server
+    .get("/news/search?q=flash")
+    .set("Authorization", `Bearer ${token}`);
+  t.equal(response.status, 200);
+  const [first] = response.body.data.articles;
+  t.equal(first.id, generateArticleId("https://example.com/flash"));
+
+  const read = await server
+    .post(`/news/${first.id}/read`)
+    .set("Authorization", `Bearer ${token}`);
+  t.equal(read.status, 200);
+  t.equal(read.body.data.articleId, first.id);
+  t.end();
+});
+
+tap.test("GET /news returns each story once", async (t) => {
+  await server
+    .put("/users/preferences")
+    .set("Authorization", `Bearer ${token}`)
+    .send({ preferences: ["flash"] });
+  const response = await server
+    .get("/news")
+    .set("Authorization", `Bearer ${token}`);
+  t.equal(response.status, 200);
+  t.same(
+    response.body.data.articles.map((item) => item.id),
+    [
+      generateArticleId("https://example.com/flash"),
+      generateArticleId("https://example.com/reverse-flash"),
+    ]
+  );
+  t.end();
+});
+
+tap.test("POST /news/:id/read and /favorite reject unknown IDs", async (t) => {
+  const unknownId = generateArticleId("https://example.com/never-served");
+
+  const read = await server
+    .post(`/news/${unknownId}/read`)
+    .set("Authorization", `Bearer ${token}`);
+  t.equal(read.status, 404);
+
+  const favorite = await server
+    .post(`/news/${unknownId}/favorite`)
+    .set("Authorization", `Bearer ${token}`);
+  t.equal(favorite.status, 404);
+  t.notOk(ArticleModel.getArticleMetadata(unknownId));
+  t.end();
+});
+
+tap.test("Served articles show up in full in read and favorites", async (t) => {
+  const articleId = generateArticleId("https://example.com/reverse-flash");
+  const favorite = await server
+    .post(`/news/${articleId}/favorite`)
+    .set("Authorization", `Bearer ${token}`);
+  t.equal(favorite.status, 200);
+
+  const favorites = await server
+    .get("/news/favorites")
+    .set("Authorization", `Bearer ${token}`);
+  const saved = favorites.body.data.articles.find(
+    (item) => item.id === articleId
+  );
+  t.equal(saved.title, "Reverse-Flash returns");
+  t.equal(saved.url, "https://example.com/reverse-flash");
+
+  const read = await server
+    .get("/news/read")
+    .set("Authorization", `Bearer ${token}`);
+  t.same(
+    read.body.data.articles.map((item) => item.title),
+    ["Flash spotted"]
+  );
+  t.end();
+});
+
+tap.test("clearOldMetadata keeps tracked articles", async (t) => {
+  ArticleModel.storeArticleMetadata({
+    url: "https://example.com/untracked",
+    title: "Nobody read this",
+  });
+
+  t.equal(ArticleModel.clearOldMetadata(-1), 1);
+  t.ok(ArticleModel.getArticleMetadata(generateArticleId(legacyUrl)));
+  t.equal(
+    ArticleModel.getReadArticles(session.user.id)[0].title,
+    "Flash spotted"
+  );
+  t.end();
+});
+
+tap.test("News responses flag read and favorite articles", async (t) => {
+  const response = await server
+    .get("/news/search?q=flash")
+    .set("Authorization", `Bearer ${token}`);
+  t.same(
+    response.body.data.articles.map((item) => [
+      item.title,
+      item.isRead,
+      item.isFavorite,
+    ]),
+    [
+      ["Flash spotted", true, false],
+      ["Flash spotted (again)", true, false],
+      ["Reverse-Flash returns", false, true],
+    ]
+  );
+  t.end();
+});
+
+tap.test("GET /news/search?hideRead=true backfills the page", async (t) => {
+  const urls = Array.from(
+    { length: 7 },
+    (_, index) => `https://example.com/speedster-${index + 1}`
+  );
+  newsService.providers = [
+    new StubProvider(
+      urls.map((url, index) => article(url, `Speedster ${index + 1}`))
+    ),
+  ];
+  // Read the first three results (served first so their IDs are known)
+  await server
+    .get("/news/search?q=speedster&limit=3")
+    .set("Authorization", `Bearer ${token}`);
+  for (const url of urls.slice(0, 3)) {
+    await server
+      .post(`/news/${generateArticleId(url)}/read`)
+      .set("Authorization", `Bearer ${token}`);
+  }
+
+  const first = await server
+    .get("/news/search?q=speedster&limit=3&hideRead=true")
+    .set("Authorization", `Bearer ${token}`);
+  t.equal(first.status, 200);
+  t.same(
+    first.body.data.articles.map((item) => item.title),
+    ["Speedster 4", "Speedster 5", "Speedster 6"]
+  );
+  t.ok(first.body.data.articles.every((item) => !item.isRead));
+  t.ok(first.body.data.nextCursor);
+
+  const second = await server
+    .get(
+      `/news/search?q=speedster&limit=3&hideRead=true&cursor=${first.body.data.nextCursor}`
+    )
+    .set("Authorization", `Bearer ${token}`);
+  t.same(
+    second.body.data.articles.map((item) => item.title),
+    ["Speedster 7"]
+  );
+  t.equal(second.body.data.nextCursor, null);
+
+  const invalid = await server
+    .get("/news/search?q=speedster&hideRead=yes")
+    .set("Authorization", `Bearer ${token}`);
+  t.equal(invalid.status, 400);
+  t.end();
+});
+
+tap.test("GET /news?hideRead=true drops read articles", async (t) => {
+  newsService.providers = [
+    new StubProvider([
+      article("https://example.com/flash", "Flash spotted"),
+      article("https://example.com/reverse-flash", "Reverse-Flash returns"),
+    ]),
+  ];
+  await cacheService.clear();
+
+  const response = await server
+    .get("/news?hideRead=true")
+    .set("Authorization", `Bearer ${token}`);
+  t.equal(response.status, 200);
+  t.same(
+    response.body.data.articles.map((item) => item.title),
+    ["Reverse-Flash returns"]
+  );
+  t.equal(response.body.data.totalArticles, 1);
+  t.end();
+});
+
+tap.test("GET /news?hideRead=true refills from later upstream pages", async (t) => {
+  const stories = Array.from({ length: 25 }, (_, index) =>
+    article(`https://example.com/flash-${index + 1}`, `Flash ${index + 1}`)
+  );
+  newsService.providers = [new StubProvider(stories)];
+  await cacheService.clear();
+
+  // More than one upstream page (10 articles) has been read
+  ArticleModel.storeArticlesMetadata(stories);
+  for (const story of stories.slice(0, 12)) {
+    await server
+      .post(`/news/${generateArticleId(story.url)}/read`)
+      .set("Authorization", `Bearer ${token}`);
+  }
+
+  const first = await server
+    .get("/news?hideRead=true&limit=5")
+    .set("Authorization", `Bearer ${token}`);
+  t.equal(first.status, 200);
+  t.same(
+    first.body.data.articles.map((item) => item.title),
+    ["Flash 13", "Flash 14", "Flash 15", "Flash 16", "Flash 17"]
+  );
+  t.ok(first.body.data.nextCursor);
+
+  // Reading served articles doesn't shift the next page
+  await server
+    .post(`/news/${first.body.data.articles[0].id}/read`)
+    .set("Authorization", `Bearer ${token}`);
+
+  const second = await server
+    .get(`/news?hideRead=true&limit=5&cursor=${first.body.data.nextCursor}`)
+    .set("Authorization", `Bearer ${token}`);
+  t.same(
+    second.body.data.articles.map((item) => item.title),
+    ["Flash 18", "Flash 19", "Flash 20", "Flash 21", "Flash 22"]
+  );
+  t.ok(second.body.data.nextCursor);
+  t.end();
+});
+
+tap.teardown(() => {
+  process.exit(0);
+});
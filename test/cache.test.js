@@ -0,0 +1,186 @@
+const tap = require("tap");
+const cacheService = require("../services/cacheService");
+const { MemoryCache, RedisCache } = require("../services/cache");
+
+const CacheService = cacheService.constructor;
+
+/**
+ * Cache service over a fresh memory backend
+ * @param {Object} options - MemoryCache options
+ */
+const createService = (options) => new CacheService(new MemoryCache(options));
+
+/**
+ * In-process stand-in for an ioredis client: GET, SET with PX, DEL and
+ * SCAN with MATCH over a Map, with millisecond expiry
+ */
+class FakeRedis {
+  constructor() {
+    this.data = new Map();
+    this.failing = false;
+  }
+
+  check() {
+    if (this.failing) {
+      throw new Error("Connection is closed.");
+    }
+  }
+
+  live(key) {
+    const item = this.data.get(key);
+    if (item && item.expiresAt !== null && Date.now() >= item.expiresAt) {
+      this.data.delete(key);
+      return null;
+    }
+    return item || null;
+  }
+
+  async get(key) {
+    this.check();
+    const item = this.live(key);
+    return item ? item.value : null;
+  }
+
+  async set(key, value, mode, ttl) {
+    this.check();
+    this.data.set(key, {
+      value: String(value),
+      expiresAt: mode === "PX" ? Date.now() + ttl : null,
+    });
+    return "OK";
+  }
+
+  async del(...keys) {
+    this.check();
+    return keys.filter((key) => this.live(key) && this.data.delete(key)).length;
+  }
+
+  async scan(cursor, match, pattern) {
+    this.check();
+    const prefix = pattern.replace(/\*$/, "");
+    const keys = Array.from(this.data.keys()).filter(
+      (key) => key.startsWith(prefix) && this.live(key)
+    );
+    return ["0", keys];
+  }
+
+  async quit() {
+    return "OK";
+  }
+}
+
+tap.test("cache evicts least recently used entries", async (t) => {
+  const cache = createService({
+    maxEntries: 2,
+    maxBytes: 1024 * 1024,
+  });
+
+  await cache.set("news:a", { id: "a" });
+  await cache.set("news:b", { id: "b" });
+  await cache.get("news:a");
+  await cache.set("news:c", { id: "c" });
+
+  t.same((await cache.getKeys()).sort(), ["news:a", "news:c"]);
+  t.equal(cache.getStats().evictions.lru, 1);
+  t.end();
+});
+
+tap.test("cache evicts by approximate size", async (t) => {
+  const cache = createService({
+    maxEntries: 100,
+    maxBytes: 200,
+  });
+
+  await cache.set("news:a", { text: "x".repeat(120) });
+  await cache.set("news:b", { text: "x".repeat(120) });
+  t.same(await cache.getKeys(), ["news:b"]);
+
+  // Entries larger than the limit are not cached at all
+  await cache.set("news:c", { text: "x".repeat(500) });
+  t.equal(await cache.get("news:c"), null);
+  t.ok(cache.getStats().bytes <= 200);
+  t.end();
+});
+
+tap.test("prefix quotas only evict their own prefix", async (t) => {
+  const cache = createService({
+    maxEntries: 10,
+    maxBytes: 1024 * 1024,
+    prefixQuotas: { search: { maxEntries: 2 } },
+  });
+
+  await cache.set("personalized:query:technology", { id: 1 });
+  for (const query of ["a", "b", "c", "d"]) {
+    await cache.set(`search:query:${query}`, { query });
+  }
+
+  const stats = cache.getStats();
+  t.equal(stats.prefixes.search.entries, 2);
+  t.equal(stats.prefixes.personalized.entries, 1);
+  t.equal(stats.evictions.quota, 2);
+  t.same(await cache.get("personalized:query:technology"), { id: 1 });
+  t.end();
+});
+
+tap.test("redis cache round-trips entries through the client", async (t) => {
+  const client = new FakeRedis();
+  const cache = new CacheService(
+    new RedisCache({ client, keyPrefix: "test:" })
+  );
+
+  await cache.set("search:query:ai", { articles: [1, 2] });
+  t.same(await cache.get("search:query:ai"), { articles: [1, 2] });
+  t.ok(await cache.has("search:query:ai"));
+  t.ok(client.data.has("test:search:query:ai"));
+  t.same(await cache.getKeys(), ["search:query:ai"]);
+
+  t.equal(await cache.delete("search:query:ai"), true);
+  t.equal(await cache.get("search:query:ai"), null);
+  t.end();
+});
+
+tap.test("redis cache keeps stale entries until the hard TTL", async (t) => {
+  const client = new FakeRedis();
+  const cache = new CacheService(new RedisCache({ client }));
+
+  await cache.set("headlines:category:sports", { id: 1 }, 1, 60 * 1000);
+  await new Promise((resolve) => setTimeout(resolve, 5));
+
+  t.equal(await cache.get("headlines:category:sports"), null);
+  const entry = await cache.getEntry("headlines:category:sports");
+  t.equal(entry.stale, true);
+  t.same(entry.value, { id: 1 });
+
+  await cache.set("headlines:category:health", { id: 2 }, 1, 1);
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  t.equal(await cache.getEntry("headlines:category:health"), null);
+  t.end();
+});
+
+tap.test("redis cache clear only removes its own keys", async (t) => {
+  const client = new FakeRedis();
+  await client.set("other-app:key", "kept");
+  const cache = new CacheService(
+    new RedisCache({ client, keyPrefix: "news:" })
+  );
+
+  await cache.set("search:query:a", { id: "a" });
+  await cache.set("search:query:b", { id: "b" });
+  await cache.clear();
+
+  t.same(await cache.getKeys(), []);
+  t.equal(await client.get("other-app:key"), "kept");
+  t.end();
+});
+
+tap.test("redis failures are treated as cache misses", async (t) => {
+  const client = new FakeRedis();
+  const backend = new RedisCache({ client });
+  const cache = new CacheService(backend);
+  client.failing = true;
+
+  await cache.set("search:query:down", { id: 1 });
+  t.equal(await cache.get("search:query:down"), null);
+  t.equal(backend.getStats().errors, 2);
+  t.end();
+});
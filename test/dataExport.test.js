@@ -0,0 +1,178 @@
+const tap = require("tap");
+const supertest = require("supertest");
+const app = require("../app");
+const feedService = require("../services/feedService");
+const ArticleModel = require("../models/Article");
+
+const server = {
+  post: (path) => supertest(app).post(`/api/v1${path}`),
+  get: (path) => supertest(app).get(`/api/v1${path}`),
+};
+
+const original = {
+  name: "Bruce Wayne",
+  email: "bruce@wayne.com",
+  password: "B4tcave!",
+  preferences: ["gotham", { value: "business", type: "category" }],
+};
+
+const fresh = {
+  name: "Matches Malone",
+  email: "matches@gotham.com",
+  password: "Und3rcover",
+};
+
+const login = async (user) => {
+  const response = await server
+    .post("/auth/login")
+    .send({ email: user.email, password: user.password });
+  return response.body.data;
+};
+
+// Feeds are fetched on subscribe; answer locally, "gone" feeds fail
+const fetchFeed = feedService.fetchFeed;
+feedService.fetchFeed = async (url) => {
+  if (url.includes("gone")) {
+    throw new Error("Request failed with status code 404");
+  }
+  return {
+    title: "Gotham Gazette",
+    url: "https://gazette.example",
+    articles: [],
+  };
+};
+
+let exported = null;
+
+tap.before(async () => {
+  await server.post("/auth/register").send(original);
+  await server.post("/auth/register").send(fresh);
+});
+
+tap.teardown(() => {
+  feedService.fetchFeed = fetchFeed;
+});
+
+tap.test("GET /users/me/export downloads the user's data", async (t) => {
+  const session = await login(original);
+  const userId = session.user.id;
+  ArticleModel.markAsRead(userId, {
+    url: "https://example.com/joker-escapes",
+    title: "Joker escapes Arkham",
+  });
+  ArticleModel.markAsFavorite(userId, {
+    url: "https://example.com/wayne-gala",
+    title: "Wayne Foundation gala",
+  });
+  await server
+    .post("/users/feeds")
+    .set("Authorization", `Bearer ${session.token}`)
+    .send({ url: "https://gazette.example/rss.xml" });
+
+  const response = await server
+    .get("/users/me/export")
+    .set("Authorization", `Bearer ${session.token}`);
+  t.equal(response.status, 200);
+  t.match(response.headers["content-disposition"], /^attachment; filename=/);
+
+  exported = response.body;
+  t.equal(exported.format, "news-aggregator-export");
+  t.equal(exported.version, 1);
+  t.equal(exported.profile.email, original.email);
+  t.notOk(exported.profile.password);
+  t.same(exported.preferences, original.preferences);
+  t.equal(exported.readHistory.length, 1);
+  t.ok(exported.readHistory[0].readAt);
+  t.equal(exported.favorites.length, 1);
+  t.ok(exported.favorites[0].favoritedAt);
+  t.same(
+    exported.feeds.map((feed) => feed.url),
+    ["https://gazette.example/rss.xml"]
+  );
+  t.notMatch(JSON.stringify(exported), /\$2[aby]\$/);
+  t.end();
+});
+
+tap.test("POST /users/me/import validates the archive", async (t) => {
+  const session = await login(fresh);
+
+  const wrongFormat = await server
+    .post("/users/me/import")
+    .set("Authorization", `Bearer ${session.token}`)
+    .send({ format: "something-else", version: 1 });
+  t.equal(wrongFormat.status, 400);
+
+  const badEntry = await server
+    .post("/users/me/import")
+    .set("Authorization", `Bearer ${session.token}`)
+    .send({ ...exported, readHistory: [{ url: "https://example.com" }] });
+  t.equal(badEntry.status, 400);
+
+  const tooManyFeeds = await server
+    .post("/users/me/import")
+    .set("Authorization", `Bearer ${session.token}`)
+    .send({
+      ...exported,
+      feeds: Array.from(
+        { length: feedService.maxFeedsPerUser + 1 },
+        (_, i) => ({
+          url: `https://gazette.example/${i}.xml`,
+        })
+      ),
+    });
+  t.equal(tooManyFeeds.status, 400);
+  t.same(tooManyFeeds.body.errors, [
+    `Maximum ${feedService.maxFeedsPerUser} feeds allowed`,
+  ]);
+  t.end();
+});
+
+tap.test("POST /users/me/import restores into a fresh account", async (t) => {
+  const session = await login(fresh);
+  const archive = {
+    ...exported,
+    feeds: [...exported.feeds, { url: "https://gone.example/rss.xml" }],
+  };
+
+  const response = await server
+    .post("/users/me/import")
+    .set("Authorization", `Bearer ${session.token}`)
+    .send(archive);
+  t.equal(response.status, 200);
+  t.equal(response.body.data.imported.readHistory, 1);
+  t.equal(response.body.data.imported.favorites, 1);
+  t.equal(response.body.data.imported.feeds, 1);
+  t.same(response.body.data.imported.skippedFeeds, [
+    {
+      url: "https://gone.example/rss.xml",
+      reason: "Could not fetch a valid RSS or Atom feed",
+    },
+  ]);
+
+  const restored = await server
+    .get("/users/me/export")
+    .set("Authorization", `Bearer ${session.token}`);
+  t.equal(restored.body.profile.email, fresh.email);
+  t.equal(restored.body.profile.name, original.name);
+  t.same(restored.body.preferences, exported.preferences);
+  t.same(
+    restored.body.readHistory.map((article) => [article.url, article.readAt]),
+    exported.readHistory.map((article) => [article.url, article.readAt])
+  );
+  t.same(
+    restored.body.favorites.map((article) => article.favoritedAt),
+    exported.favorites.map((article) => article.favoritedAt)
+  );
+  t.equal(restored.body.feeds.length, 1);
+  t.end();
+});
+
+tap.test("POST /users/me/import refuses accounts with data", async (t) => {
+  const session = await login(fresh);
+  const response = await server
+    .post("/users/me/import")
+    .set("Authorization", `Bearer ${session.token}`)
+    .send(exported);
+  t.equal(response.status, 409);
+  t.end();
+});
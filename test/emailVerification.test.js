@@ -0,0 +1,165 @@
+const tap = require("tap");
+const supertest = require("supertest");
+const app = require("../app");
+const config = require("../config/config");
+const mailService = require("../services/mailService");
+const UserModel = require("../models/User");
+
+const server = {
+  post: (path) => supertest(app).post(`/api/v1${path}`),
+  get: (path) => supertest(app).get(`/api/v1${path}`),
+  delete: (path) => supertest(app).delete(`/api/v1${path}`),
+};
+
+const credentials = {
+  name: "Barry Allen",
+  email: "barry@starlabs.com",
+  password: "Sp33dforce",
+};
+
+/**
+ * Read the verification token from the last email to the user
+ */
+const lastVerificationToken = () => {
+  const message = mailService.transport.lastMessageTo(credentials.email);
+  return decodeURIComponent(message.text.match(/verify\?token=(\S+)/)[1]);
+};
+
+tap.test("POST /auth/register sends a verification email", async (t) => {
+  const response = await server.post("/auth/register").send(credentials);
+  t.equal(response.status, 201);
+  t.equal(response.body.data.user.emailVerified, false);
+
+  const message = mailService.transport.lastMessageTo(credentials.email);
+  t.equal(message.subject, "Verify your email address");
+  t.end();
+});
+
+tap.test("unverified users are rejected when required", async (t) => {
+  const login = await server.post("/auth/login").send(credentials);
+  t.equal(login.status, 200);
+  t.equal(login.body.data.user.emailVerified, false);
+  const token = login.body.data.token;
+
+  // Off by default
+  const allowed = await server
+    .get("/news/stats")
+    .set("Authorization", `Bearer ${token}`);
+  t.equal(allowed.status, 200);
+
+  config.emailVerification.required = true;
+  t.teardown(() => {
+    config.emailVerification.required = false;
+  });
+
+  const rejected = await server
+    .get("/news/stats")
+    .set("Authorization", `Bearer ${token}`);
+  t.equal(rejected.status, 403);
+  t.equal(rejected.body.error, "EMAIL_NOT_VERIFIED");
+
+  // Account routes stay available
+  const profile = await server
+    .get("/users/profile")
+    .set("Authorization", `Bearer ${token}`);
+  t.equal(profile.status, 200);
+  t.end();
+});
+
+tap.test("unverified users can't use feeds when required", async (t) => {
+  const login = await server.post("/auth/login").send(credentials);
+  const token = login.body.data.token;
+
+  // Token created before verification became mandatory
+  const created = await server
+    .post("/users/feed-token")
+    .set("Authorization", `Bearer ${token}`);
+  t.equal(created.status, 201);
+  const feedToken = created.body.data.token;
+
+  config.emailVerification.required = true;
+  t.teardown(() => {
+    config.emailVerification.required = false;
+  });
+
+  const requests = [
+    server.get(`/feeds/${feedToken}/favorites.rss`),
+    server.get("/users/feeds").set("Authorization", `Bearer ${token}`),
+    server
+      .post("/users/feeds")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ url: "https://example.com/rss.xml" }),
+    server.post("/users/feed-token").set("Authorization", `Bearer ${token}`),
+  ];
+  for (const request of requests) {
+    const response = await request;
+    t.equal(response.status, 403);
+    t.equal(response.body.error, "EMAIL_NOT_VERIFIED");
+  }
+
+  // Revoking stays possible
+  const revoked = await server
+    .delete("/users/feed-token")
+    .set("Authorization", `Bearer ${token}`);
+  t.equal(revoked.status, 200);
+  t.end();
+});
+
+tap.test("POST /auth/resend-verification replaces the token", async (t) => {
+  const first = lastVerificationToken();
+  const response = await server
+    .post("/auth/resend-verification")
+    .send({ email: credentials.email });
+  t.equal(response.status, 200);
+
+  const second = lastVerificationToken();
+  t.not(first, second);
+
+  const stale = await server.get(
+    `/auth/verify?token=${encodeURIComponent(first)}`
+  );
+  t.equal(stale.status, 400);
+  t.equal(stale.body.error, "INVALID_VERIFICATION_TOKEN");
+  t.end();
+});
+
+tap.test("GET /auth/verify activates the account", async (t) => {
+  const token = lastVerificationToken();
+  const response = await server.get(
+    `/auth/verify?token=${encodeURIComponent(token)}`
+  );
+  t.equal(response.status, 200);
+  t.equal(UserModel.findByEmail(credentials.email).emailVerified, true);
+
+  config.emailVerification.required = true;
+  t.teardown(() => {
+    config.emailVerification.required = false;
+  });
+  const login = await server.post("/auth/login").send(credentials);
+  const stats = await server
+    .get("/news/stats")
+    .set("Authorization", `Bearer ${login.body.data.token}`);
+  t.equal(stats.status, 200);
+
+  // Tokens are single use and verified accounts get no new email
+  const reused = await server.get(
+    `/auth/verify?token=${encodeURIComponent(token)}`
+  );
+  t.equal(reused.status, 400);
+
+  const before = mailService.transport.messages.length;
+  await server
+    .post("/auth/resend-verification")
+    .send({ email: credentials.email });
+  t.equal(mailService.transport.messages.length, before);
+  t.end();
+});
+
+tap.test("accounts without the flag count as verified", async (t) => {
+  const user = UserModel.findByEmail(credentials.email);
+  UserModel.update(user.id, { emailVerified: undefined });
+
+  const login = await server.post("/auth/login").send(credentials);
+  t.equal(login.body.data.user.emailVerified, true);
+  t.end();
+});
@@ -0,0 +1,299 @@
+const tap = require("tap");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const supertest = require("supertest");
+const app = require("../app");
+const config = require("../config/config");
+const feedService = require("../services/feedService");
+const ArticleModel = require("../models/Article");
+const { parseFeed } = require("../utils/feedParser");
+
+const fixture = (name) =>
+  fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8");
+
+// Local stand-in for remote feed hosts
+const feeds = {
+  "/rss.xml": fixture("rss.xml"),
+  "/atom.xml": fixture("atom.xml"),
+};
+const feedServer = http.createServer((req, res) => {
+  if (req.url === "/metadata.xml") {
+    res.writeHead(302, { Location: "http://169.254.169.254/latest/" });
+    return res.end();
+  }
+  if (!feeds[req.url]) {
+    res.writeHead(404);
+    return res.end("Not found");
+  }
+  res.writeHead(200, { "Content-Type": "application/xml" });
+  res.end(feeds[req.url]);
+});
+
+let baseUrl = "";
+let token = "";
+
+// The local feed server listens on loopback, which is refused otherwise
+config.feeds.allowedHosts.push("127.0.0.1");
+
+tap.before(async () => {
+  await new Promise((resolve) => feedServer.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${feedServer.address().port}`;
+
+  const user = {
+    name: "Lois Lane",
+    email: "lois@dailyplanet.com",
+    password: "Sup3rman!",
+  };
+  await supertest(app).post("/api/v1/auth/register").send(user);
+  const login = await supertest(app)
+    .post("/api/v1/auth/login")
+    .send({ email: user.email, password: user.password });
+  token = login.body.data.token;
+});
+
+tap.teardown(() => {
+  feedServer.close();
+});
+
+tap.test("parseFeed reads RSS 2.0", async (t) => {
+  const feed = parseFeed(fixture("rss.xml"));
+  t.equal(feed.title, "Daily Planet");
+  t.equal(feed.articles.length, 2);
+  t.same(feed.articles[0], {
+    title: "Heat wave hits Metropolis",
+    description: "Temperatures soar & records fall.",
+    content: "Temperatures soar across the city.",
+    url: "https://dailyplanet.example.com/heat-wave",
+    image: "https://dailyplanet.example.com/heat.jpg",
+    publishedAt: "2025-10-25T10:00:00.000Z",
+    source: { name: "Daily Planet", url: "https://dailyplanet.example.com" },
+  });
+  t.equal(feed.articles[1].image, "https://dailyplanet.example.com/bridge.jpg");
+  t.end();
+});
+
+tap.test("parseFeed reads Atom 1.0", async (t) => {
+  const feed = parseFeed(fixture("atom.xml"));
+  t.equal(feed.title, "Gotham Gazette");
+  t.equal(feed.url, "https://gazette.example.org/");
+  t.equal(feed.articles[0].url, "https://gazette.example.org/transit");
+  t.equal(feed.articles[0].description, "New subway lines by 2030.");
+  t.equal(feed.articles[0].publishedAt, "2025-10-25T12:00:00.000Z");
+  t.equal(feed.articles[1].content, "The east wing is open again.");
+  t.equal(feed.articles[1].publishedAt, "2025-10-23T09:00:00.000Z");
+  t.end();
+});
+
+tap.test("parseFeed rejects other documents", async (t) => {
+  t.throws(() => parseFeed("<html><body>nope</body></html>"), /Unsupported/);
+  t.end();
+});
+
+tap.test("POST /users/feeds subscribes to a feed", async (t) => {
+  const response = await supertest(app)
+    .post("/api/v1/users/feeds")
+    .set("Authorization", `Bearer ${token}`)
+    .send({ url: `${baseUrl}/rss.xml` });
+  t.equal(response.status, 201);
+  t.equal(response.body.data.feed.title, "Daily Planet");
+  t.equal(response.body.data.feed.articleCount, 2);
+  t.end();
+});
+
+tap.test("POST /users/feeds rejects duplicate and unreadable feeds", async (t) => {
+  const duplicate = await supertest(app)
+    .post("/api/v1/users/feeds")
+    .set("Authorization", `Bearer ${token}`)
+    .send({ url: `${baseUrl}/rss.xml` });
+  t.equal(duplicate.status, 409);
+
+  const missing = await supertest(app)
+    .post("/api/v1/users/feeds")
+    .set("Authorization", `Bearer ${token}`)
+    .send({ url: `${baseUrl}/missing.xml` });
+  t.equal(missing.status, 400);
+  t.end();
+});
+
+tap.test(
+  "POST /users/feeds refuses private and loopback addresses",
+  async (t) => {
+    const urls = [
+      "http://169.254.169.254/latest/meta-data/",
+      "http://[::1]/rss.xml",
+      "http://localhost/rss.xml",
+      `${baseUrl}/metadata.xml`,
+    ];
+
+    for (const url of urls) {
+      const res = await supertest(app)
+        .post("/api/v1/users/feeds")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ url });
+      t.equal(res.status, 400, url);
+      t.same(res.body.errors, [
+        `Could not fetch a valid RSS or Atom feed from ${url}`,
+      ]);
+    }
+    t.end();
+  }
+);
+
+tap.test("fetchFeed rejects documents over the size limit", async (t) => {
+  const { maxContentLength } = config.feeds;
+  config.feeds.maxContentLength = 100;
+  t.teardown(() => {
+    config.feeds.maxContentLength = maxContentLength;
+  });
+
+  await t.rejects(feedService.fetchFeed(`${baseUrl}/rss.xml`), {
+    message: /maxContentLength/,
+  });
+  t.end();
+});
+
+tap.test("GET /news merges feed articles", async (t) => {
+  await supertest(app)
+    .post("/api/v1/users/feeds")
+    .set("Authorization", `Bearer ${token}`)
+    .send({ url: `${baseUrl}/atom.xml` });
+
+  const response = await supertest(app)
+    .get("/api/v1/news")
+    .set("Authorization", `Bearer ${token}`);
+  t.equal(response.status, 200);
+  t.equal(response.body.data.totalArticles, 4);
+  t.same(
+    response.body.data.articles.map((article) => article.title),
+    [
+      "Mayor announces transit plan",
+      "Heat wave hits Metropolis",
+      "City council approves new bridge",
+      "Museum reopens after renovation",
+    ]
+  );
+  t.end();
+});
+
+tap.test("pollAll picks up new feed items", async (t) => {
+  feeds["/rss.xml"] = fixture("rss.xml").replace(
+    "<item>",
+    `<item>
+      <title>Breaking: Superman spotted</title>
+      <link>https://dailyplanet.example.com/superman</link>
+      <pubDate>Sun, 26 Oct 2025 07:00:00 GMT</pubDate>
+    </item>
+    <item>`
+  );
+
+  const result = await feedService.pollAll();
+  t.same(result, { polled: 2, failed: 0 });
+
+  const response = await supertest(app)
+    .get("/api/v1/news")
+    .set("Authorization", `Bearer ${token}`);
+  t.equal(response.body.data.articles[0].title, "Breaking: Superman spotted");
+  t.end();
+});
+
+tap.test("GET /feeds/:token/news.rss and news.atom", async (t) => {
+  const created = await supertest(app)
+    .post("/api/v1/users/feed-token")
+    .set("Authorization", `Bearer ${token}`);
+  t.equal(created.status, 201);
+  const feedToken = created.body.data.token;
+  t.match(created.body.data.feeds.news.rss, `/feeds/${feedToken}/news.rss`);
+
+  const rss = await supertest(app).get(`/api/v1/feeds/${feedToken}/news.rss`);
+  t.equal(rss.status, 200);
+  t.match(rss.headers["content-type"], "application/rss+xml");
+  const parsedRss = parseFeed(rss.text);
+  t.equal(parsedRss.title, "Lois Lane's News");
+  t.equal(parsedRss.articles.length, 5);
+
+  const atom = await supertest(app).get(
+    `/api/v1/feeds/${feedToken}/news.atom`
+  );
+  t.equal(atom.status, 200);
+  t.match(atom.headers["content-type"], "application/atom+xml");
+  t.equal(parseFeed(atom.text).articles[0].title, "Breaking: Superman spotted");
+  t.end();
+});
+
+tap.test("Atom feed ids don't contain the feed token", async (t) => {
+  const ids = [];
+  for (let i = 0; i < 2; i++) {
+    const created = await supertest(app)
+      .post("/api/v1/users/feed-token")
+      .set("Authorization", `Bearer ${token}`);
+    const feedToken = created.body.data.token;
+
+    const atom = await supertest(app).get(
+      `/api/v1/feeds/${feedToken}/favorites.atom`
+    );
+    t.equal(atom.status, 200);
+    const id = atom.text.match(/^  <id>(.*)<\/id>$/m)[1];
+    t.match(atom.text, "<author><name>News Aggregator</name></author>");
+    t.notMatch(id, feedToken);
+    ids.push(id);
+  }
+
+  // Rotating the token keeps the feed identity
+  t.equal(ids[0], ids[1]);
+  t.match(
+    ids[0],
+    /^tag:127\.0\.0\.1,\d{4}-\d{2}-\d{2}:users\/\d+\/favorites$/
+  );
+  t.end();
+});
+
+tap.test("GET /feeds/:token/favorites.rss exports favorites", async (t) => {
+  const created = await supertest(app)
+    .post("/api/v1/users/feed-token")
+    .set("Authorization", `Bearer ${token}`);
+  const feedToken = created.body.data.token;
+
+  const articleId = ArticleModel.generateArticleId(
+    "https://gazette.example.org/transit"
+  );
+  await supertest(app)
+    .post(`/api/v1/news/${articleId}/favorite`)
+    .set("Authorization", `Bearer ${token}`);
+
+  const response = await supertest(app).get(
+    `/api/v1/feeds/${feedToken}/favorites.rss`
+  );
+  t.equal(response.status, 200);
+  const feed = parseFeed(response.text);
+  t.same(
+    feed.articles.map((article) => article.url),
+    ["https://gazette.example.org/transit"]
+  );
+  t.end();
+});
+
+tap.test("Rotated and revoked feed tokens are rejected", async (t) => {
+  const first = await supertest(app)
+    .post("/api/v1/users/feed-token")
+    .set("Authorization", `Bearer ${token}`);
+  const second = await supertest(app)
+    .post("/api/v1/users/feed-token")
+    .set("Authorization", `Bearer ${token}`);
+
+  const rotated = await supertest(app).get(
+    `/api/v1/feeds/${first.body.data.token}/news.rss`
+  );
+  t.equal(rotated.status, 401);
+
+  const revoke = await supertest(app)
+    .delete("/api/v1/users/feed-token")
+    .set("Authorization", `Bearer ${token}`);
+  t.equal(revoke.status, 200);
+
+  const revoked = await supertest(app).get(
+    `/api/v1/feeds/${second.body.data.token}/news.rss`
+  );
+  t.equal(revoked.status, 401);
+  t.end();
+});
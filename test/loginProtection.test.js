@@ -0,0 +1,162 @@
+const tap = require("tap");
+const supertest = require("supertest");
+const app = require("../app");
+const loginAttemptService = require("../services/loginAttemptService");
+
+const LoginAttemptService = loginAttemptService.constructor;
+
+const options = {
+  windowMs: 60 * 1000,
+  delayAfter: 2,
+  baseDelayMs: 20,
+  maxDelayMs: 100,
+  maxFailures: 4,
+  lockoutMs: 60 * 1000,
+  maxFailuresPerIp: 10,
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+tap.test("delays grow with consecutive failures", async (t) => {
+  const service = new LoginAttemptService(options);
+
+  service.recordFailure("a@example.com", "10.0.0.1");
+  t.equal(service.check("a@example.com", "10.0.0.1").allowed, true);
+
+  service.recordFailure("a@example.com", "10.0.0.1");
+  const throttled = service.check("a@example.com", "10.0.0.1");
+  t.equal(throttled.allowed, false);
+  t.equal(throttled.reason, "throttled");
+  t.equal(service.getDelay(2), 20);
+  t.equal(service.getDelay(3), 40);
+  t.equal(service.getDelay(10), 100);
+
+  await wait(25);
+  t.equal(service.check("a@example.com", "10.0.0.1").allowed, true);
+  t.end();
+});
+
+tap.test("locks the account after too many failures", async (t) => {
+  const service = new LoginAttemptService(options);
+
+  let result;
+  for (let i = 0; i < options.maxFailures; i++) {
+    result = service.recordFailure("B@example.com ", "10.0.0.2");
+  }
+  t.equal(result.locked, true);
+
+  const check = service.check("b@example.com", "10.0.0.3");
+  t.equal(check.reason, "locked");
+  t.ok(check.lockedUntil);
+
+  service.reset("b@example.com");
+  t.equal(service.check("b@example.com", "10.0.0.3").allowed, true);
+  t.end();
+});
+
+tap.test("blocks an IP failing across many accounts", async (t) => {
+  const service = new LoginAttemptService(options);
+
+  for (let i = 0; i < options.maxFailuresPerIp; i++) {
+    service.recordFailure(`user${i}@example.com`, "10.0.0.4");
+  }
+
+  t.equal(service.check("new@example.com", "10.0.0.4").reason, "ip_blocked");
+  t.equal(service.check("new@example.com", "10.0.0.5").allowed, true);
+  t.end();
+});
+
+tap.test("POST /auth/login locks the account", async (t) => {
+  Object.assign(loginAttemptService.options, options);
+  const credentials = {
+    name: "Bruce Wayne",
+    email: "bruce@wayne.com",
+    password: "B@tcave123",
+  };
+  await supertest(app).post("/api/v1/auth/register").send(credentials);
+
+  const attempt = (password) =>
+    supertest(app)
+      .post("/api/v1/auth/login")
+      .send({ email: credentials.email, password });
+
+  t.equal((await attempt("wrong-1")).status, 401);
+  t.equal((await attempt("wrong-2")).status, 401);
+
+  const throttled = await attempt("wrong-3");
+  t.equal(throttled.status, 429);
+  t.equal(throttled.body.error, "LOGIN_THROTTLED");
+  t.ok(throttled.headers["retry-after"]);
+
+  await wait(25);
+  t.equal((await attempt("wrong-3")).status, 401);
+  await wait(45);
+  const locked = await attempt("wrong-4");
+  t.equal(locked.status, 423);
+  t.equal(locked.body.error, "ACCOUNT_LOCKED");
+  t.ok(Date.parse(locked.body.lockedUntil) > Date.now());
+
+  // Even the right password is rejected while locked
+  const blocked = await attempt(credentials.password);
+  t.equal(blocked.status, 423);
+
+  loginAttemptService.reset(credentials.email);
+  t.equal((await attempt(credentials.password)).status, 200);
+  t.equal(loginAttemptService.getStatus(credentials.email).failures, 0);
+  t.end();
+});
+
+tap.test("POST /auth/login success clears failures", async (t) => {
+  const credentials = {
+    name: "Diana Prince",
+    email: "diana@themyscira.com",
+    password: "L@sso123",
+  };
+  await supertest(app).post("/api/v1/auth/register").send(credentials);
+
+  await supertest(app)
+    .post("/api/v1/auth/login")
+    .send({ email: credentials.email, password: "wrong" });
+  t.equal(loginAttemptService.getStatus(credentials.email).failures, 1);
+
+  const response = await supertest(app)
+    .post("/api/v1/auth/login")
+    .send({ email: credentials.email, password: credentials.password });
+  t.equal(response.status, 200);
+  t.equal(loginAttemptService.getStatus(credentials.email).failures, 0);
+  t.end();
+});
+
+tap.test("parallel POST /auth/login attempts are throttled", async (t) => {
+  const credentials = {
+    name: "Clark Kent",
+    email: "clark@dailyplanet.com",
+    password: "Kr7pton!",
+  };
+  await supertest(app).post("/api/v1/auth/register").send(credentials);
+
+  const responses = await Promise.all(
+    Array.from({ length: 20 }, (_, i) =>
+      supertest(app)
+        .post("/api/v1/auth/login")
+        .send({ email: credentials.email, password: `wrong-${i}` })
+    )
+  );
+  const statuses = responses.map((response) => response.status);
+
+  // Only attempts below the delay threshold get their password compared
+  t.equal(
+    statuses.filter((status) => status === 401).length,
+    options.delayAfter
+  );
+  t.equal(
+    statuses.filter((status) => status === 429).length,
+    20 - options.delayAfter
+  );
+  t.equal(
+    loginAttemptService.getStatus(credentials.email).failures,
+    options.delayAfter
+  );
+  t.equal(loginAttemptService.pendingAccounts.size, 0);
+  t.end();
+});
@@ -0,0 +1,352 @@
+const tap = require("tap");
+const newsService = require("../services/newsService");
+const cacheService = require("../services/cacheService");
+const NewsProvider = require("../services/providers/NewsProvider");
+
+/**
+ * Provider stand-in that either fails with an HTTP status or returns articles
+ */
+class StubProvider extends NewsProvider {
+  constructor(name, { status, articles = [] } = {}) {
+    super(name);
+    this.status = status;
+    this.articles = articles;
+    this.calls = 0;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async search(query, options) {
+    this.calls++;
+    this.lastOptions = options;
+    if (this.status) {
+      const error = new Error(`HTTP ${this.status}`);
+      error.response = { status: this.status, data: {} };
+      throw error;
+    }
+    return { totalArticles: this.articles.length, articles: this.articles };
+  }
+}
+
+/**
+ * Provider stand-in that also serves top headlines
+ */
+class HeadlinesStubProvider extends StubProvider {
+  constructor(name, options) {
+    super(name, options);
+    this.capabilities = ["search", "headlines"];
+    this.headlineCalls = [];
+  }
+
+  async topHeadlines(options) {
+    this.headlineCalls.push(options);
+    return { totalArticles: this.articles.length, articles: this.articles };
+  }
+}
+
+const article = {
+  title: "Fallback story",
+  description: "Served by the secondary provider",
+  content: "",
+  url: "https://example.com/fallback",
+  image: null,
+  publishedAt: "2025-10-25T10:00:00.000Z",
+  source: { name: "Example", url: "https://example.com" },
+};
+
+tap.beforeEach(async () => {
+  await cacheService.clear();
+});
+
+tap.test("searchNews falls back on rate limiting", async (t) => {
+  const primary = new StubProvider("primary", { status: 429 });
+  const secondary = new StubProvider("secondary", { articles: [article] });
+  newsService.providers = [primary, secondary];
+
+  const result = await newsService.searchNews("fallback");
+  t.equal(result.provider, "secondary");
+  t.same(result.articles, [article]);
+  t.equal(primary.calls, 1);
+  t.end();
+});
+
+tap.test("searchNews falls back on server errors", async (t) => {
+  newsService.providers = [
+    new StubProvider("primary", { status: 503 }),
+    new StubProvider("secondary", { articles: [article] }),
+  ];
+
+  const result = await newsService.searchNews("outage");
+  t.equal(result.provider, "secondary");
+  t.end();
+});
+
+tap.test("searchNews does not fall back on client errors", async (t) => {
+  const secondary = new StubProvider("secondary", { articles: [article] });
+  newsService.providers = [
+    new StubProvider("primary", { status: 401 }),
+    secondary,
+  ];
+
+  await t.rejects(newsService.searchNews("bad key"), {
+    status: 401,
+    isApiError: true,
+    provider: "primary",
+  });
+  t.equal(secondary.calls, 0);
+  t.end();
+});
+
+tap.test("searchNews reports the last error when all providers fail", async (t) => {
+  newsService.providers = [
+    new StubProvider("primary", { status: 429 }),
+    new StubProvider("secondary", { status: 500 }),
+  ];
+
+  await t.rejects(newsService.searchNews("everything down"), {
+    status: 500,
+    provider: "secondary",
+  });
+  t.end();
+});
+
+tap.test("searchNews caches each option combination separately", async (t) => {
+  const provider = new StubProvider("primary", { articles: [article] });
+  newsService.providers = [provider];
+
+  await newsService.searchNews("elections", { lang: "en", sortBy: "relevance" });
+  await newsService.searchNews("elections", { lang: "en", sortBy: "relevance" });
+  t.equal(provider.calls, 1);
+
+  await newsService.searchNews("elections", { lang: "fr", sortBy: "relevance" });
+  await newsService.searchNews("elections", {
+    lang: "en",
+    sortBy: "relevance",
+    in: ["title"],
+  });
+  t.equal(provider.calls, 3);
+  t.same(provider.lastOptions, {
+    lang: "en",
+    max: 10,
+    sortBy: "relevance",
+    in: ["title"],
+  });
+  t.end();
+});
+
+tap.test("getTopHeadlines skips providers without headlines", async (t) => {
+  const searchOnly = new StubProvider("rss", { articles: [article] });
+  const headlines = new HeadlinesStubProvider("gnews", {
+    articles: [article],
+  });
+  newsService.providers = [searchOnly, headlines];
+
+  const result = await newsService.getTopHeadlines({ category: "sports" });
+  t.equal(result.provider, "gnews");
+  t.equal(headlines.headlineCalls[0].category, "sports");
+
+  const cached = await newsService.getTopHeadlines({ category: "sports" });
+  t.equal(cached.fromCache, true);
+  t.equal(headlines.headlineCalls.length, 1);
+  t.end();
+});
+
+tap.test("category preferences are served from headlines", async (t) => {
+  const provider = new HeadlinesStubProvider("gnews", { articles: [article] });
+  newsService.providers = [provider];
+
+  await newsService.getPersonalizedNews([
+    "elections",
+    { value: "technology", type: "category" },
+  ]);
+  t.equal(provider.calls, 1);
+  t.equal(provider.lastOptions.max, 10);
+  t.same(
+    provider.headlineCalls.map((options) => options.category),
+    ["technology"]
+  );
+  t.end();
+});
+
+tap.test("concurrent cache misses share one upstream request", async (t) => {
+  const provider = new StubProvider("primary", { articles: [article] });
+  newsService.providers = [provider];
+  const before = newsService.getRequestStats();
+
+  const results = await Promise.all([
+    newsService.searchNews("technology"),
+    newsService.searchNews("technology"),
+    newsService.searchNews("technology"),
+  ]);
+
+  t.equal(provider.calls, 1);
+  results.forEach((result) => t.same(result.articles, [article]));
+
+  const after = newsService.getRequestStats();
+  t.equal(after.upstreamRequests - before.upstreamRequests, 1);
+  t.equal(after.coalescedRequests - before.coalescedRequests, 2);
+  t.equal(after.inFlight, 0);
+  t.end();
+});
+
+tap.test("coalesced callers share upstream failures", async (t) => {
+  const provider = new StubProvider("primary", { status: 401 });
+  newsService.providers = [provider];
+
+  const results = await Promise.allSettled([
+    newsService.searchNews("bad key"),
+    newsService.searchNews("bad key"),
+  ]);
+
+  t.equal(provider.calls, 1);
+  results.forEach((result) => {
+    t.equal(result.status, "rejected");
+    t.equal(result.reason.status, 401);
+  });
+  t.equal(newsService.getRequestStats().inFlight, 0);
+  t.end();
+});
+
+tap.test(
+  "stale entries are served while refreshing in the background",
+  async (t) => {
+    const provider = new StubProvider("primary", { articles: [article] });
+    newsService.providers = [provider];
+    newsService.setCacheTTL(1);
+    t.teardown(() => newsService.setCacheTTL(5 * 60 * 1000));
+
+    await newsService.searchNews("science");
+    await new Promise((resolve) => setTimeout(resolve, 5));
+
+    const stale = await newsService.searchNews("science");
+    t.equal(stale.stale, true);
+    t.equal(stale.fromCache, true);
+    t.same(stale.articles, [article]);
+
+    // The background refresh replaces the entry
+    await new Promise((resolve) => setImmediate(resolve));
+    t.equal(provider.calls, 2);
+    t.end();
+  }
+);
+
+tap.test("stale entries survive upstream failures", async (t) => {
+  const provider = new StubProvider("primary", { articles: [article] });
+  newsService.providers = [provider];
+  newsService.setCacheTTL(1);
+  t.teardown(() => newsService.setCacheTTL(5 * 60 * 1000));
+
+  await newsService.searchNews("outage");
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  provider.status = 503;
+
+  const first = await newsService.searchNews("outage");
+  await new Promise((resolve) => setImmediate(resolve));
+  const second = await newsService.searchNews("outage");
+
+  t.equal(first.stale, true);
+  t.equal(second.stale, true);
+  t.same(second.articles, [article]);
+  t.ok(newsService.getRequestStats().failedRefreshes >= 1);
+  t.end();
+});
+
+tap.test("entries past the hard TTL are not served", async (t) => {
+  await cacheService.set("hard:ttl", { value: 1 }, 1, 1);
+  await new Promise((resolve) => setTimeout(resolve, 5));
+
+  t.equal(await cacheService.getEntry("hard:ttl"), null);
+  t.end();
+});
+
+/**
+ * Provider stand-in answering each query with its own articles
+ */
+class QueryStubProvider extends StubProvider {
+  constructor(name, articlesByQuery) {
+    super(name);
+    this.articlesByQuery = articlesByQuery;
+  }
+
+  async search(query) {
+    const articles = this.articlesByQuery[query] || [];
+    return { totalArticles: articles.length, articles };
+  }
+}
+
+const story = (topic, index, extra = {}) => ({
+  ...article,
+  title: `${topic} story ${index}`,
+  url: `https://example.com/${topic}/${index}`,
+  ...extra,
+});
+
+tap.test("allocateByWeight shares slots by weight", async (t) => {
+  const space = Array.from({ length: 10 }, (_, i) => story("space", i));
+  const chess = Array.from({ length: 10 }, (_, i) => story("chess", i));
+
+  const articles = newsService.allocateByWeight([space, chess], [3, 1], 8);
+  t.equal(articles.length, 8);
+  t.equal(articles.filter((item) => item.url.includes("space")).length, 6);
+  // Interleaved, so the first page keeps the proportions too
+  t.equal(
+    articles.slice(0, 4).filter((item) => item.url.includes("chess")).length,
+    1
+  );
+
+  // Lists that run out leave their slots to the others
+  const short = newsService.allocateByWeight(
+    [space.slice(0, 1), chess],
+    [3, 1],
+    8
+  );
+  t.equal(short.length, 8);
+  t.equal(short.filter((item) => item.url.includes("chess")).length, 7);
+
+  // Shared articles are only taken once
+  const shared = newsService.allocateByWeight([space, space], [1, 1], 20);
+  t.equal(shared.length, 10);
+  t.end();
+});
+
+tap.test("getPersonalizedNews applies weights and filters", async (t) => {
+  newsService.providers = [
+    new QueryStubProvider("primary", {
+      space: [
+        story("space", 1),
+        story("space", 2, { title: "Crypto rocket launch" }),
+        story("space", 3),
+        story("space", 4, { url: "https://tabloid.example/space/4" }),
+        story("space", 5),
+        story("space", 6),
+      ],
+      chess: [
+        story("chess", 1),
+        story("chess", 2, { description: "Betting odds for the final" }),
+        story("chess", 3),
+      ],
+    }),
+  ];
+
+  const result = await newsService.getPersonalizedNews(
+    [
+      { value: "space", type: "keyword", weight: 2 },
+      { value: "chess", type: "keyword", exclude: ["betting odds"] },
+    ],
+    { max: 6, mutedKeywords: ["crypto"], blockedSources: ["tabloid.example"] }
+  );
+  t.same(
+    result.articles.map((item) => item.title),
+    [
+      "space story 1",
+      "chess story 1",
+      "space story 3",
+      "space story 5",
+      "chess story 3",
+      "space story 6",
+    ]
+  );
+  t.end();
+});
@@ -0,0 +1,179 @@
+const tap = require("tap");
+const supertest = require("supertest");
+const app = require("../app");
+const mailService = require("../services/mailService");
+const { MemoryTransport } = require("../services/mail");
+const UserModel = require("../models/User");
+
+const server = {
+  post: (path) => supertest(app).post(`/api/v1${path}`),
+  get: (path) => supertest(app).get(`/api/v1${path}`),
+};
+
+const credentials = {
+  name: "Peter Parker",
+  email: "peter@dailybugle.com",
+  password: "Sp1derman",
+};
+
+/**
+ * Request a reset and read the token from the last email
+ */
+const requestResetToken = async () => {
+  await server.post("/auth/forgot-password").send({ email: credentials.email });
+  const message = mailService.transport.lastMessageTo(credentials.email);
+  return message.text.match(/reset-password: (\S+)/)[1];
+};
+
+tap.before(async () => {
+  await server.post("/auth/register").send(credentials);
+});
+
+tap.test("POST /auth/forgot-password does not reveal accounts", async (t) => {
+  mailService.transport.clear();
+
+  const unknown = await server
+    .post("/auth/forgot-password")
+    .send({ email: "nobody@example.com" });
+  const known = await server
+    .post("/auth/forgot-password")
+    .send({ email: credentials.email });
+
+  t.equal(unknown.status, 200);
+  t.equal(known.status, 200);
+  t.equal(unknown.body.message, known.body.message);
+  t.equal(mailService.transport.messages.length, 1);
+  t.equal(mailService.transport.messages[0].to, credentials.email);
+  t.end();
+});
+
+tap.test("Reset emails link to the configured reset page", async (t) => {
+  const token = await requestResetToken();
+  const plain = mailService.transport.lastMessageTo(credentials.email);
+  t.match(plain.text, "POST http://");
+  t.notMatch(plain.text, "?token=");
+
+  mailService.resetPageUrl = "https://app.example.com/reset?lang=en";
+  t.teardown(() => {
+    mailService.resetPageUrl = null;
+  });
+
+  const linked = await requestResetToken();
+  t.not(linked, token);
+  const message = mailService.transport.lastMessageTo(credentials.email);
+  t.match(
+    message.text,
+    `https://app.example.com/reset?lang=en&token=${encodeURIComponent(linked)}`
+  );
+  t.end();
+});
+
+tap.test("The memory transport only keeps recent messages", async (t) => {
+  const transport = new MemoryTransport({ maxMessages: 2 });
+  for (const to of ["a@example.com", "b@example.com", "c@example.com"]) {
+    await transport.send({ to, subject: "Hi", text: "Hello" });
+  }
+
+  t.same(
+    transport.messages.map((message) => message.to),
+    ["b@example.com", "c@example.com"]
+  );
+  t.equal(transport.lastMessageTo("a@example.com"), null);
+  t.end();
+});
+
+tap.test("POST /auth/forgot-password validates the email", async (t) => {
+  const response = await server
+    .post("/auth/forgot-password")
+    .send({ email: "not-an-email" });
+  t.equal(response.status, 400);
+  t.end();
+});
+
+tap.test("POST /auth/reset-password revokes sessions", async (t) => {
+  const login = await server.post("/auth/login").send(credentials);
+  const session = login.body.data;
+  const created = await server
+    .post("/users/api-keys")
+    .set("Authorization", `Bearer ${session.token}`)
+    .send({ name: "Backdoor", scopes: ["news:read"] });
+  t.equal(created.status, 201);
+
+  const token = await requestResetToken();
+  t.notOk(
+    JSON.stringify(UserModel.findByEmail(credentials.email)).includes(token)
+  );
+
+  const reset = await server
+    .post("/auth/reset-password")
+    .send({ token, password: "N3wPassword" });
+  t.equal(reset.status, 200);
+
+  const profile = await server
+    .get("/users/profile")
+    .set("Authorization", `Bearer ${session.token}`);
+  t.equal(profile.status, 401);
+  t.equal(profile.body.error, "TOKEN_REVOKED");
+
+  const refresh = await server
+    .post("/auth/refresh")
+    .send({ refreshToken: session.refreshToken });
+  t.equal(refresh.status, 401);
+
+  const apiKey = await server
+    .get("/news/stats")
+    .set("X-API-Key", created.body.data.key);
+  t.equal(apiKey.status, 401);
+  t.equal(apiKey.body.error, "INVALID_API_KEY");
+
+  const oldPassword = await server.post("/auth/login").send(credentials);
+  t.equal(oldPassword.status, 401);
+
+  const newPassword = await server
+    .post("/auth/login")
+    .send({ email: credentials.email, password: "N3wPassword" });
+  t.equal(newPassword.status, 200);
+
+  // Tokens are single use
+  const reused = await server
+    .post("/auth/reset-password")
+    .send({ token, password: "An0therPassword" });
+  t.equal(reused.status, 400);
+  t.equal(reused.body.error, "INVALID_RESET_TOKEN");
+  t.end();
+});
+
+tap.test("POST /auth/reset-password rejects expired tokens", async (t) => {
+  const token = await requestResetToken();
+  const user = UserModel.findByEmail(credentials.email);
+  UserModel.update(user.id, {
+    passwordResetExpiresAt: new Date(Date.now() - 1000).toISOString(),
+  });
+
+  const response = await server
+    .post("/auth/reset-password")
+    .send({ token, password: "Exp1redToken" });
+  t.equal(response.status, 400);
+  t.equal(response.body.error, "INVALID_RESET_TOKEN");
+  t.end();
+});
+
+tap.test("outbox transport writes .eml files", async (t) => {
+  const { OutboxTransport } = require("../services/mail");
+  const outboxDir = t.testdir();
+  const transport = new OutboxTransport({ outboxDir });
+
+  const result = await transport.send({
+    from: "News Aggregator <no-reply@localhost>",
+    to: credentials.email,
+    subject: "Reset your password",
+    text: "Hello",
+    date: new Date().toISOString(),
+  });
+
+  const contents = require("fs").readFileSync(result.path, "utf8");
+  t.match(contents, /^From: News Aggregator/);
+  t.match(contents, /Subject: Reset your password/);
+  t.match(contents, /\r\n\r\nHello/);
+  t.end();
+});
@@ -0,0 +1,75 @@
+const tap = require("tap");
+const express = require("express");
+const supertest = require("supertest");
+const { createRateLimiter } = require("../middleware/rateLimit");
+const { errorHandler } = require("../middleware/errorHandler");
+
+/**
+ * Minimal app with one rate limited route
+ * @param {Object} options - Limiter options
+ * @param {Function} identify - Optional middleware setting req.user
+ */
+const createApp = (options, identify = (req, res, next) => next()) => {
+  const app = express();
+  app.get("/limited", identify, createRateLimiter(options), (req, res) =>
+    res.json({ success: true })
+  );
+  app.use(errorHandler);
+  return app;
+};
+
+tap.test("allows bursts up to the limit, then rejects", async (t) => {
+  const app = createApp({ limit: 2, windowMs: 60 * 1000, keyBy: "ip" });
+
+  const first = await supertest(app).get("/limited");
+  t.equal(first.status, 200);
+  t.equal(first.headers["ratelimit-limit"], "2");
+  t.equal(first.headers["ratelimit-remaining"], "1");
+  t.equal(first.headers["ratelimit-policy"], "2;w=60");
+
+  await supertest(app).get("/limited");
+  const rejected = await supertest(app).get("/limited");
+  t.equal(rejected.status, 429);
+  t.equal(rejected.headers["ratelimit-remaining"], "0");
+  t.equal(rejected.headers["retry-after"], "30");
+  t.same(rejected.body, {
+    success: false,
+    message: "Too many requests. Please retry in 30 seconds.",
+    error: "RATE_LIMIT_EXCEEDED",
+  });
+  t.end();
+});
+
+tap.test("refills tokens over the window", async (t) => {
+  const app = createApp({ limit: 1, windowMs: 20, keyBy: "ip" });
+
+  t.equal((await supertest(app).get("/limited")).status, 200);
+  t.equal((await supertest(app).get("/limited")).status, 429);
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  t.equal((await supertest(app).get("/limited")).status, 200);
+  t.end();
+});
+
+tap.test("keys authenticated requests by user", async (t) => {
+  const identify = (req, res, next) => {
+    req.user = { id: Number(req.query.user) };
+    next();
+  };
+  const app = createApp({ limit: 1, windowMs: 60 * 1000 }, identify);
+
+  t.equal((await supertest(app).get("/limited?user=1")).status, 200);
+  t.equal((await supertest(app).get("/limited?user=1")).status, 429);
+  t.equal((await supertest(app).get("/limited?user=2")).status, 200);
+  t.end();
+});
+
+tap.test("API routes report rate limit headers", async (t) => {
+  const app = require("../app");
+  const response = await supertest(app)
+    .post("/api/v1/auth/login")
+    .send({ email: "nobody@example.com", password: "wrong" });
+
+  t.ok(response.headers["ratelimit-limit"]);
+  t.ok(response.headers["ratelimit-remaining"]);
+  t.end();
+});
@@ -1,6 +1,7 @@
 const tap = require("tap");
 const supertest = require("supertest");
 const app = require("../app");
+const ArticleModel = require("../models/Article");
 
 // Helper to prepend /api/v1 to all paths
 const server = {
@@ -110,6 +111,182 @@ tap.test("GET /news without token", async (t) => {
   t.end();
 });
 
+// Article tests
+
+tap.test("GET /news/favorites pages with limit and cursor", async (t) => {
+  const articleIds = ArticleModel.storeArticlesMetadata(
+    ["a", "b", "c"].map((name) => ({
+      url: `https://example.com/article-${name}`,
+      title: `Article ${name.toUpperCase()}`,
+    }))
+  );
+  for (const id of articleIds) {
+    await server
+      .post(`/news/${id}/favorite`)
+      .set("Authorization", `Bearer ${token}`);
+  }
+
+  const first = await server
+    .get("/news/favorites?limit=2")
+    .set("Authorization", `Bearer ${token}`);
+  t.equal(first.status, 200);
+  t.equal(first.body.data.totalFavorites, 3);
+  t.equal(first.body.data.articles.length, 2);
+  t.ok(first.body.data.nextCursor);
+
+  const second = await server
+    .get(`/news/favorites?limit=2&cursor=${first.body.data.nextCursor}`)
+    .set("Authorization", `Bearer ${token}`);
+  t.equal(second.status, 200);
+  t.equal(second.body.data.articles.length, 1);
+  t.equal(second.body.data.nextCursor, null);
+
+  const ids = [...first.body.data.articles, ...second.body.data.articles].map(
+    (article) => article.id
+  );
+  t.same(ids.sort(), [...articleIds].sort());
+  t.end();
+});
+
+tap.test("GET /news/favorites with invalid cursor", async (t) => {
+  const response = await server
+    .get("/news/favorites?cursor=not-a-cursor")
+    .set("Authorization", `Bearer ${token}`);
+  t.equal(response.status, 400);
+  t.end();
+});
+
+tap.test("PUT /users/preferences with category preferences", async (t) => {
+  const response = await server
+    .put("/users/preferences")
+    .set("Authorization", `Bearer ${token}`)
+    .send({
+      preferences: [
+        "movies",
+        { value: "Technology", type: "category" },
+        { value: "technology", type: "category" },
+      ],
+    });
+  t.equal(response.status, 200);
+  t.same(response.body.data.preferences, [
+    "movies",
+    { value: "technology", type: "category" },
+  ]);
+  t.end();
+});
+
+tap.test("PUT /users/preferences with unknown category", async (t) => {
+  const response = await server
+    .put("/users/preferences")
+    .set("Authorization", `Bearer ${token}`)
+    .send({ preferences: [{ value: "gossip", type: "category" }] });
+  t.equal(response.status, 400);
+  t.end();
+});
+
+tap.test("PUT /users/preferences with weights and mutes", async (t) => {
+  const response = await server
+    .put("/users/preferences")
+    .set("Authorization", `Bearer ${token}`)
+    .send({
+      preferences: [
+        {
+          value: "Movies",
+          type: "keyword",
+          weight: 3,
+          exclude: [" Spoilers "],
+        },
+        { value: "comics", type: "keyword", weight: 1 },
+      ],
+      mutedKeywords: ["Celebrity", "celebrity"],
+      blockedSources: ["tabloid.example"],
+    });
+  t.equal(response.status, 200);
+  t.same(response.body.data.preferences, [
+    { value: "movies", type: "keyword", weight: 3, exclude: ["spoilers"] },
+    "comics",
+  ]);
+  t.same(response.body.data.mutedKeywords, ["celebrity"]);
+
+  // Mutes are kept when only preferences are sent
+  const kept = await server
+    .put("/users/preferences")
+    .set("Authorization", `Bearer ${token}`)
+    .send({ preferences: ["movies"] });
+  t.same(kept.body.data.blockedSources, ["tabloid.example"]);
+
+  const invalid = await server
+    .put("/users/preferences")
+    .set("Authorization", `Bearer ${token}`)
+    .send({
+      preferences: [{ value: "movies", weight: 11 }],
+      mutedKeywords: "celebrity",
+    });
+  t.equal(invalid.status, 400);
+  t.equal(invalid.body.errors.length, 2);
+  t.end();
+});
+
+// Session tests
+
+const loginSession = async () => {
+  const response = await server.post("/auth/login").send({
+    email: mockUser.email,
+    password: mockUser.password,
+  });
+  return response.body.data;
+};
+
+tap.test("POST /auth/refresh rotates the refresh token", async (t) => {
+  const session = await loginSession();
+  const response = await server
+    .post("/auth/refresh")
+    .send({ refreshToken: session.refreshToken });
+  t.equal(response.status, 200);
+  t.hasOwnProp(response.body.data, "token");
+  t.not(response.body.data.refreshToken, session.refreshToken);
+  t.end();
+});
+
+tap.test("POST /auth/refresh reuse revokes the token family", async (t) => {
+  const session = await loginSession();
+  const rotated = await server
+    .post("/auth/refresh")
+    .send({ refreshToken: session.refreshToken });
+
+  const reused = await server
+    .post("/auth/refresh")
+    .send({ refreshToken: session.refreshToken });
+  t.equal(reused.status, 401);
+  t.equal(reused.body.error, "REFRESH_TOKEN_REUSED");
+
+  const afterReuse = await server
+    .post("/auth/refresh")
+    .send({ refreshToken: rotated.body.data.refreshToken });
+  t.equal(afterReuse.status, 401);
+
+  const profile = await server
+    .get("/users/profile")
+    .set("Authorization", `Bearer ${rotated.body.data.token}`);
+  t.equal(profile.status, 401);
+  t.end();
+});
+
+tap.test("POST /auth/logout revokes the access token", async (t) => {
+  const session = await loginSession();
+  const response = await server
+    .post("/auth/logout")
+    .set("Authorization", `Bearer ${session.token}`);
+  t.equal(response.status, 200);
+
+  const profile = await server
+    .get("/users/profile")
+    .set("Authorization", `Bearer ${session.token}`);
+  t.equal(profile.status, 401);
+  t.equal(profile.body.error, "TOKEN_REVOKED");
+  t.end();
+});
+
 tap.teardown(() => {
   process.exit(0);
 });
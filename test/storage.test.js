@@ -0,0 +1,35 @@
+const tap = require("tap");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createStore, JsonFileStore } = require("../models/storage");
+
+tap.test("createStore defaults to the memory store", async (t) => {
+  const store = createStore();
+  t.equal(store.load("users"), null);
+  store.save("users", { users: [], currentId: 1 });
+  t.same(store.load("users"), { users: [], currentId: 1 });
+  t.end();
+});
+
+tap.test("createStore rejects unknown drivers", async (t) => {
+  t.throws(() => createStore({ driver: "nope" }), /Unknown storage driver/);
+  t.end();
+});
+
+tap.test("JsonFileStore persists snapshots across instances", async (t) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "news-store-"));
+  t.teardown(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+  const first = new JsonFileStore({ dataDir });
+  first.save("users", { users: [{ id: 1, email: "a@b.com" }], currentId: 2 });
+  first.flush();
+
+  const second = new JsonFileStore({ dataDir });
+  t.same(second.load("users"), {
+    users: [{ id: 1, email: "a@b.com" }],
+    currentId: 2,
+  });
+  t.equal(second.load("articles"), null);
+  t.end();
+});
@@ -0,0 +1,171 @@
+const tap = require("tap");
+const supertest = require("supertest");
+const app = require("../app");
+const loginAttemptService = require("../services/loginAttemptService");
+const { generateCode, getCounter } = require("../utils/totp");
+
+const server = {
+  post: (path) => supertest(app).post(`/api/v1${path}`),
+  get: (path) => supertest(app).get(`/api/v1${path}`),
+  delete: (path) => supertest(app).delete(`/api/v1${path}`),
+};
+
+const credentials = {
+  name: "Oliver Queen",
+  email: "oliver@queen.com",
+  password: "Gr33nArrow",
+};
+
+const login = () =>
+  server
+    .post("/auth/login")
+    .send({ email: credentials.email, password: credentials.password });
+
+let token = null;
+let secret = null;
+let counter = null;
+let recoveryCodes = [];
+
+tap.before(async () => {
+  await server.post("/auth/register").send(credentials);
+  const response = await login();
+  token = response.body.data.token;
+});
+
+tap.test("POST /users/2fa/setup returns a secret and URI", async (t) => {
+  const response = await server
+    .post("/users/2fa/setup")
+    .set("Authorization", `Bearer ${token}`);
+  t.equal(response.status, 200);
+  t.match(response.body.data.secret, /^[A-Z2-7]+$/);
+  t.match(response.body.data.otpauthUri, /^otpauth:\/\/totp\//);
+  t.match(response.body.data.otpauthUri, `secret=${response.body.data.secret}`);
+  secret = response.body.data.secret;
+  t.end();
+});
+
+tap.test("POST /users/2fa/confirm enables 2FA", async (t) => {
+  const wrong = await server
+    .post("/users/2fa/confirm")
+    .set("Authorization", `Bearer ${token}`)
+    .send({ code: "12345" });
+  t.equal(wrong.status, 400);
+  t.equal(wrong.body.error, "INVALID_2FA_CODE");
+
+  counter = getCounter();
+  const response = await server
+    .post("/users/2fa/confirm")
+    .set("Authorization", `Bearer ${token}`)
+    .send({ code: generateCode(secret, counter) });
+  t.equal(response.status, 200);
+  t.equal(response.body.data.recoveryCodes.length, 10);
+  recoveryCodes = response.body.data.recoveryCodes;
+
+  const again = await server
+    .post("/users/2fa/setup")
+    .set("Authorization", `Bearer ${token}`);
+  t.equal(again.status, 409);
+  t.end();
+});
+
+tap.test("POST /auth/login requires a second factor", async (t) => {
+  const response = await login();
+  t.equal(response.status, 200);
+  t.equal(response.body.data.twoFactorRequired, true);
+  t.notOk(response.body.data.token);
+  const { challengeToken } = response.body.data;
+
+  // The challenge is not an access token
+  const profile = await server
+    .get("/users/profile")
+    .set("Authorization", `Bearer ${challengeToken}`);
+  t.equal(profile.status, 401);
+
+  const replayed = await server
+    .post("/auth/login/2fa")
+    .send({ challengeToken, code: generateCode(secret, counter) });
+  t.equal(replayed.status, 401);
+  t.equal(replayed.body.error, "INVALID_2FA_CODE");
+
+  const completed = await server
+    .post("/auth/login/2fa")
+    .send({ challengeToken, code: generateCode(secret, counter + 1) });
+  t.equal(completed.status, 200);
+  t.ok(completed.body.data.token);
+  t.ok(completed.body.data.refreshToken);
+  t.end();
+});
+
+tap.test("POST /auth/login/2fa rejects an invalid challenge", async (t) => {
+  const response = await server
+    .post("/auth/login/2fa")
+    .send({ challengeToken: token, code: "123456" });
+  t.equal(response.status, 401);
+  t.equal(response.body.error, "INVALID_CHALLENGE");
+  t.end();
+});
+
+tap.test("Recovery codes work once", async (t) => {
+  const first = await login();
+  const used = await server.post("/auth/login/2fa").send({
+    challengeToken: first.body.data.challengeToken,
+    code: recoveryCodes[0].toUpperCase(),
+  });
+  t.equal(used.status, 200);
+
+  const second = await login();
+  const reused = await server.post("/auth/login/2fa").send({
+    challengeToken: second.body.data.challengeToken,
+    code: recoveryCodes[0],
+  });
+  t.equal(reused.status, 401);
+
+  const status = await server
+    .get("/users/2fa")
+    .set("Authorization", `Bearer ${token}`);
+  t.equal(status.body.data.enabled, true);
+  t.equal(status.body.data.recoveryCodesRemaining, 9);
+  t.end();
+});
+
+tap.test("A correct password does not clear 2FA failures", async (t) => {
+  const before = loginAttemptService.getStatus(credentials.email).failures;
+
+  const first = await login();
+  const wrong = await server.post("/auth/login/2fa").send({
+    challengeToken: first.body.data.challengeToken,
+    code: "not-a-code",
+  });
+  t.equal(wrong.status, 401);
+
+  const second = await login();
+  t.equal(second.body.data.twoFactorRequired, true);
+  t.equal(
+    loginAttemptService.getStatus(credentials.email).failures,
+    before + 1
+  );
+  t.end();
+});
+
+tap.test("DELETE /users/2fa turns 2FA off", async (t) => {
+  const wrong = await server
+    .delete("/users/2fa")
+    .set("Authorization", `Bearer ${token}`)
+    .send({ password: "wrongpassword", code: recoveryCodes[1] });
+  t.equal(wrong.status, 400);
+
+  const response = await server
+    .delete("/users/2fa")
+    .set("Authorization", `Bearer ${token}`)
+    .send({ password: credentials.password, code: recoveryCodes[1] });
+  t.equal(response.status, 200);
+
+  const plain = await login();
+  t.equal(plain.status, 200);
+  t.ok(plain.body.data.token);
+  t.end();
+});
+
+tap.teardown(() => {
+  process.exit(0);
+});
@@ -0,0 +1,58 @@
+const crypto = require("crypto");
+
+/**
+ * Article ID utilities
+ * Article IDs are the SHA-256 hash of the canonical article URL, so the
+ * same story gets the same ID no matter which tracking parameters or
+ * fragment the link carried.
+ */
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAM = /^utm_/i;
+
+/**
+ * Canonicalize an article URL
+ * Lowercases scheme and host, drops default ports, fragments and utm_*
+ * parameters, and removes a trailing slash from the path (except "/")
+ * @param {string} url - Article URL
+ * @returns {string} Canonical URL (the trimmed input if it can't be parsed)
+ */
+const canonicalizeUrl = (url) => {
+  const trimmed = String(url || "").trim();
+
+  let parsed;
+  try {
+    parsed = new URL(trimmed);
+  } catch (error) {
+    return trimmed;
+  }
+
+  parsed.hash = "";
+  for (const key of Array.from(parsed.searchParams.keys())) {
+    if (TRACKING_PARAM.test(key)) {
+      parsed.searchParams.delete(key);
+    }
+  }
+  if (parsed.pathname.length > 1 && parsed.pathname.endsWith("/")) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, "") || "/";
+  }
+
+  // URL already lowercases the scheme and host and drops default ports
+  const query = parsed.searchParams.toString();
+  return `${parsed.protocol}//${parsed.host}${parsed.pathname}${
+    query ? `?${query}` : ""
+  }`;
+};
+
+/**
+ * Generate the ID of an article from its URL
+ * @param {string} url - Article URL
+ * @returns {string} 64 character hex ID
+ */
+const generateArticleId = (url) =>
+  crypto.createHash("sha256").update(canonicalizeUrl(url)).digest("hex");
+
+module.exports = {
+  canonicalizeUrl,
+  generateArticleId,
+};
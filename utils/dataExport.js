@@ -0,0 +1,24 @@
+/**
+ * Personal data export format
+ * Archives produced by GET /users/me/export and accepted by
+ * POST /users/me/import carry a format name and version so older archives
+ * can still be recognized if the layout changes.
+ */
+
+const EXPORT_FORMAT = "news-aggregator-export";
+const EXPORT_VERSION = 1;
+
+/**
+ * File name offered for download
+ * @param {Object} user - User object
+ * @param {Date} date - Export date
+ * @returns {string} File name
+ */
+const exportFilename = (user, date = new Date()) =>
+  `${EXPORT_FORMAT}-${user.id}-${date.toISOString().slice(0, 10)}.json`;
+
+module.exports = {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  exportFilename,
+};
@@ -0,0 +1,144 @@
+/**
+ * Feed building utilities
+ * Renders articles as RSS 2.0 or Atom 1.0 documents for feed readers
+ */
+
+/**
+ * Escape text for XML content and attributes
+ * @param {any} value - Value to escape
+ * @returns {string} Escaped string
+ */
+const escapeXml = (value) => {
+  if (value === undefined || value === null) return "";
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+};
+
+/**
+ * Convert a date to RFC 822 format (RSS)
+ * @param {string} value - Date string
+ * @returns {string} RFC 822 date
+ */
+const toRfc822 = (value) => {
+  const date = value ? new Date(value) : new Date();
+  return (isNaN(date.getTime()) ? new Date() : date).toUTCString();
+};
+
+/**
+ * Convert a date to ISO 8601 format (Atom)
+ * @param {string} value - Date string
+ * @returns {string} ISO date
+ */
+const toIso = (value) => {
+  const date = value ? new Date(value) : new Date();
+  return (isNaN(date.getTime()) ? new Date() : date).toISOString();
+};
+
+/**
+ * Build an RSS 2.0 document
+ * @param {Object} feed - { title, description, link, selfUrl, articles }
+ * @returns {string} RSS XML
+ */
+const buildRss = ({ title, description, link, selfUrl, articles }) => {
+  const items = articles
+    .map((article) => {
+      const source = article.source || {};
+      return [
+        "    <item>",
+        `      <title>${escapeXml(article.title)}</title>`,
+        `      <link>${escapeXml(article.url)}</link>`,
+        `      <guid isPermaLink="true">${escapeXml(article.url)}</guid>`,
+        `      <description>${escapeXml(article.description)}</description>`,
+        `      <pubDate>${toRfc822(article.publishedAt)}</pubDate>`,
+        source.name
+          ? `      <source url="${escapeXml(source.url || article.url)}">${escapeXml(source.name)}</source>`
+          : null,
+        article.image
+          ? `      <enclosure url="${escapeXml(article.image)}" type="image/jpeg" length="0"/>`
+          : null,
+        "    </item>",
+      ]
+        .filter((line) => line !== null)
+        .join("\n");
+    })
+    .join("\n");
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    "  <channel>",
+    `    <title>${escapeXml(title)}</title>`,
+    `    <link>${escapeXml(link)}</link>`,
+    `    <description>${escapeXml(description)}</description>`,
+    `    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    `    <lastBuildDate>${toRfc822()}</lastBuildDate>`,
+    items,
+    "  </channel>",
+    "</rss>",
+    "",
+  ].join("\n");
+};
+
+/**
+ * Build an Atom 1.0 document
+ * @param {Object} feed - { id, title, description, link, selfUrl, author,
+ *   articles } `id` must stay the same when the self URL changes (it
+ *   carries the secret feed token, which can be rotated). `author` is
+ *   required by Atom because entries without a source have none.
+ * @returns {string} Atom XML
+ */
+const buildAtom = ({
+  id,
+  title,
+  description,
+  link,
+  selfUrl,
+  author = "News Aggregator",
+  articles,
+}) => {
+  const entries = articles
+    .map((article) => {
+      const source = article.source || {};
+      return [
+        "  <entry>",
+        `    <title>${escapeXml(article.title)}</title>`,
+        `    <link rel="alternate" href="${escapeXml(article.url)}"/>`,
+        `    <id>${escapeXml(article.url)}</id>`,
+        `    <updated>${toIso(article.publishedAt)}</updated>`,
+        `    <published>${toIso(article.publishedAt)}</published>`,
+        `    <summary>${escapeXml(article.description)}</summary>`,
+        source.name
+          ? `    <author><name>${escapeXml(source.name)}</name></author>`
+          : null,
+        "  </entry>",
+      ]
+        .filter((line) => line !== null)
+        .join("\n");
+    })
+    .join("\n");
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXml(title)}</title>`,
+    `  <subtitle>${escapeXml(description)}</subtitle>`,
+    `  <link rel="alternate" href="${escapeXml(link)}"/>`,
+    `  <link rel="self" href="${escapeXml(selfUrl)}"/>`,
+    `  <id>${escapeXml(id)}</id>`,
+    `  <author><name>${escapeXml(author)}</name></author>`,
+    `  <updated>${toIso()}</updated>`,
+    entries,
+    "</feed>",
+    "",
+  ].join("\n");
+};
+
+module.exports = {
+  escapeXml,
+  buildRss,
+  buildAtom,
+};
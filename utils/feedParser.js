@@ -0,0 +1,200 @@
+const { XMLParser } = require("fast-xml-parser");
+
+/**
+ * Feed parsing utilities
+ * Parses RSS 2.0 and Atom 1.0 documents into the article shape used
+ * throughout the API: { title, description, content, url, image,
+ * publishedAt, source: { name, url } }
+ */
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "@_",
+  htmlEntities: true,
+  isArray: (name) => ["item", "entry", "link", "media:content"].includes(name),
+});
+
+/**
+ * Get text content of a parsed node (handles attributes and CDATA)
+ * @param {any} node - Parsed XML node
+ * @returns {string} Text content or empty string
+ */
+const textOf = (node) => {
+  if (node === undefined || node === null) return "";
+  if (typeof node === "object") return textOf(node["#text"]);
+  return String(node).trim();
+};
+
+const HTML_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+};
+
+/**
+ * Decode HTML entities left in (CDATA) markup
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+const decodeEntities = (text) => {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+      const code =
+        entity[1].toLowerCase() === "x"
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+      return code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return HTML_ENTITIES[entity.toLowerCase()] || match;
+  });
+};
+
+/**
+ * Strip HTML tags and collapse whitespace
+ * @param {string} html - HTML string
+ * @returns {string} Plain text
+ */
+const stripHtml = (html) => {
+  return decodeEntities(html.replace(/<[^>]*>/g, " "))
+    .replace(/\s+/g, " ")
+    .trim();
+};
+
+/**
+ * Convert a feed date to an ISO string
+ * @param {string} value - RFC 822 or ISO 8601 date
+ * @returns {string|null} ISO date or null if missing/invalid
+ */
+const toIsoDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Pick the alternate link of an Atom entry or feed
+ * @param {Array} links - Parsed <link> elements
+ * @returns {string} Link href or empty string
+ */
+const atomLink = (links = []) => {
+  const alternate =
+    links.find((link) => !link["@_rel"] || link["@_rel"] === "alternate") ||
+    links[0];
+  return alternate ? alternate["@_href"] || textOf(alternate) : "";
+};
+
+/**
+ * Find an image URL in an RSS item (enclosure or media extensions)
+ * @param {Object} item - Parsed RSS item
+ * @returns {string|null} Image URL or null
+ */
+const rssImage = (item) => {
+  const enclosure = item.enclosure;
+  if (
+    enclosure &&
+    enclosure["@_url"] &&
+    (!enclosure["@_type"] || enclosure["@_type"].startsWith("image/"))
+  ) {
+    return enclosure["@_url"];
+  }
+
+  const media = (item["media:content"] || []).find(
+    (content) => content["@_url"]
+  );
+  if (media) return media["@_url"];
+
+  if (item["media:thumbnail"] && item["media:thumbnail"]["@_url"]) {
+    return item["media:thumbnail"]["@_url"];
+  }
+
+  return null;
+};
+
+/**
+ * Parse an RSS 2.0 channel
+ * @param {Object} channel - Parsed <channel> element
+ * @returns {Object} Parsed feed
+ */
+const parseRss = (channel) => {
+  const source = {
+    name: textOf(channel.title),
+    url: textOf((channel.link || [])[0]) || null,
+  };
+
+  const articles = (channel.item || []).map((item) => {
+    const content = textOf(item["content:encoded"]) || textOf(item.description);
+    return {
+      title: stripHtml(textOf(item.title)),
+      description: stripHtml(textOf(item.description)),
+      content: stripHtml(content),
+      url: textOf((item.link || [])[0]) || textOf(item.guid),
+      image: rssImage(item),
+      publishedAt: toIsoDate(textOf(item.pubDate) || textOf(item["dc:date"])),
+      source,
+    };
+  });
+
+  return { title: source.name, url: source.url, articles };
+};
+
+/**
+ * Parse an Atom 1.0 feed
+ * @param {Object} feed - Parsed <feed> element
+ * @returns {Object} Parsed feed
+ */
+const parseAtom = (feed) => {
+  const source = {
+    name: textOf(feed.title),
+    url: atomLink(feed.link) || null,
+  };
+
+  const articles = (feed.entry || []).map((entry) => {
+    const summary = stripHtml(textOf(entry.summary));
+    const content = stripHtml(textOf(entry.content));
+    return {
+      title: stripHtml(textOf(entry.title)),
+      description: summary || content,
+      content: content || summary,
+      url: atomLink(entry.link),
+      image: null,
+      publishedAt: toIsoDate(textOf(entry.published) || textOf(entry.updated)),
+      source,
+    };
+  });
+
+  return { title: source.name, url: source.url, articles };
+};
+
+/**
+ * Parse an RSS 2.0 or Atom 1.0 document
+ * @param {string} xml - Feed document
+ * @returns {Object} { title, url, articles }
+ */
+const parseFeed = (xml) => {
+  let document;
+  try {
+    document = parser.parse(xml);
+  } catch (error) {
+    throw new Error(`Invalid feed document: ${error.message}`);
+  }
+
+  let result;
+  if (document.rss && document.rss.channel) {
+    result = parseRss(document.rss.channel);
+  } else if (document.feed) {
+    result = parseAtom(document.feed);
+  } else {
+    throw new Error("Unsupported feed format. Expected RSS 2.0 or Atom 1.0");
+  }
+
+  // Items without a link cannot be tracked as articles
+  result.articles = result.articles.filter((article) => article.url);
+  return result;
+};
+
+module.exports = {
+  parseFeed,
+};
@@ -1,15 +1,17 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
 const config = require("../config/config");
 
 /**
  * Generate a JWT token
  * @param {Object} payload - Data to encode in token
+ * @param {Object} options - Optional overrides (e.g. expiresIn)
  * @returns {string} JWT token
  */
-const generateToken = (payload) => {
+const generateToken = (payload, options = {}) => {
   try {
     const token = jwt.sign(payload, config.jwt.secret, {
-      expiresIn: config.jwt.expiresIn,
+      expiresIn: options.expiresIn || config.jwt.expiresIn,
     });
     return token;
   } catch (error) {
@@ -37,7 +39,27 @@ const verifyToken = (token) => {
   }
 };
 
+/**
+ * Generate a cryptographically random opaque token
+ * @param {number} bytes - Number of random bytes
+ * @returns {string} URL-safe token
+ */
+const generateRandomToken = (bytes = 48) => {
+  return crypto.randomBytes(bytes).toString("base64url");
+};
+
+/**
+ * Hash an opaque token for storage
+ * @param {string} token - Raw token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
 module.exports = {
   generateToken,
   verifyToken,
+  generateRandomToken,
+  hashToken,
 };
@@ -0,0 +1,102 @@
+const dns = require("dns");
+const net = require("net");
+
+/**
+ * Network utilities
+ * Keeps server-side requests to user supplied URLs (feeds) away from
+ * loopback, private and link-local addresses, such as cloud metadata
+ * endpoints on 169.254.169.254.
+ */
+
+const blockedRanges = new net.BlockList();
+[
+  ["0.0.0.0", 8], // "this" network
+  ["10.0.0.0", 8], // private
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8], // loopback
+  ["169.254.0.0", 16], // link-local
+  ["172.16.0.0", 12], // private
+  ["192.0.0.0", 24], // IETF protocol assignments
+  ["192.168.0.0", 16], // private
+  ["198.18.0.0", 15], // benchmarking
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4], // reserved and broadcast
+].forEach(([prefix, bits]) => blockedRanges.addSubnet(prefix, bits, "ipv4"));
+[
+  ["::", 128], // unspecified
+  ["::1", 128], // loopback
+  ["::ffff:0:0", 96], // IPv4-mapped
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8], // multicast
+].forEach(([prefix, bits]) => blockedRanges.addSubnet(prefix, bits, "ipv6"));
+
+/**
+ * Check whether an IP address is loopback, private, link-local or otherwise
+ * not publicly routable
+ * @param {string} address - IP address
+ * @returns {boolean} True if requests to the address must be refused
+ */
+const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return blockedRanges.check(address, family === 6 ? "ipv6" : "ipv4");
+};
+
+/**
+ * Check whether a host name is on the allow-list
+ * @param {string} hostname - Host name (IPv6 literals may be bracketed)
+ * @param {Array<string>} allowedHosts - Lowercase host names
+ * @returns {boolean} True if the host may resolve to any address
+ */
+const isAllowedHost = (hostname, allowedHosts = []) =>
+  allowedHosts.includes(
+    String(hostname)
+      .toLowerCase()
+      .replace(/^\[|\]$/g, "")
+  );
+
+/**
+ * Reject URLs whose host is a blocked IP literal
+ * Host names are checked when they are resolved, see createPublicLookup
+ * @param {string} url - URL about to be requested
+ * @param {Array<string>} allowedHosts - Hosts exempt from the check
+ * @throws {Error} If the URL points at a blocked address
+ */
+const assertPublicUrl = (url, allowedHosts = []) => {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  if (!isAllowedHost(hostname, allowedHosts) && isBlockedAddress(hostname)) {
+    throw new Error(`Refusing to connect to private address ${hostname}`);
+  }
+};
+
+/**
+ * Create a DNS lookup function that refuses host names resolving to
+ * blocked addresses (usable as the axios / http `lookup` option)
+ * @param {Array<string>} allowedHosts - Hosts exempt from the check
+ * @returns {Function} Async lookup returning [{ address, family }]
+ */
+const createPublicLookup =
+  (allowedHosts = []) =>
+  async (hostname, options = {}) => {
+    const addresses = await dns.promises.lookup(hostname, {
+      ...options,
+      all: true,
+    });
+
+    if (
+      !isAllowedHost(hostname, allowedHosts) &&
+      addresses.some(({ address }) => isBlockedAddress(address))
+    ) {
+      throw new Error(`Refusing to connect to private address for ${hostname}`);
+    }
+
+    return addresses;
+  };
+
+module.exports = {
+  isBlockedAddress,
+  isAllowedHost,
+  assertPublicUrl,
+  createPublicLookup,
+};
@@ -0,0 +1,144 @@
+/**
+ * Cursor pagination utilities
+ * Cursors are opaque base64url-encoded JSON objects. List endpoints accept
+ * `limit` and `cursor` query parameters and return `nextCursor` (null on
+ * the last page).
+ */
+
+const MAX_LIMIT = 100;
+
+/**
+ * Encode a cursor
+ * @param {Object} position - Position data
+ * @returns {string} Opaque cursor
+ */
+const encodeCursor = (position) => {
+  return Buffer.from(JSON.stringify(position)).toString("base64url");
+};
+
+/**
+ * Decode a cursor
+ * @param {string} cursor - Opaque cursor
+ * @returns {Object|null} Position data or null if malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    return position && typeof position === "object" ? position : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Validate and parse pagination query parameters
+ * @param {Object} query - Request query parameters
+ * @param {Object} options - { defaultLimit, type }
+ *   type is the cursor kind the endpoint expects ("offset", "page", "key")
+ * @returns {Object} Validation result {isValid, errors, limit, cursor}
+ */
+const validatePagination = (query = {}, { defaultLimit = 10, type } = {}) => {
+  const errors = [];
+  let limit = defaultLimit;
+  let cursor = null;
+
+  if (query.limit !== undefined) {
+    const parsed = Number(query.limit);
+    if (!Number.isInteger(parsed) || parsed < 1 || parsed > MAX_LIMIT) {
+      errors.push(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+    } else {
+      limit = parsed;
+    }
+  }
+
+  if (query.cursor !== undefined) {
+    cursor =
+      typeof query.cursor === "string" ? decodeCursor(query.cursor) : null;
+    if (!cursor || cursor.type !== type) {
+      errors.push("cursor is invalid");
+      cursor = null;
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    limit,
+    cursor,
+  };
+};
+
+/**
+ * Paginate an ordered list by position
+ * With a filter, offsets still count every item of the list, so the
+ * cursor doesn't move when items stop matching between requests
+ * @param {Array} items - Ordered items
+ * @param {Object} pagination - { limit, cursor }
+ * @param {Object} options - { filter, ...position } items to keep, and
+ *   extra data to carry in the cursor
+ * @returns {Object} { items, nextCursor }
+ */
+const paginateByOffset = (
+  items,
+  { limit, cursor },
+  { filter = () => true, ...position } = {}
+) => {
+  const offset = cursor ? Math.max(0, parseInt(cursor.offset) || 0) : 0;
+  const page = [];
+  let nextOffset = offset;
+  while (nextOffset < items.length && page.length < limit) {
+    if (filter(items[nextOffset])) {
+      page.push(items[nextOffset]);
+    }
+    nextOffset++;
+  }
+
+  return {
+    items: page,
+    nextCursor: items.slice(nextOffset).some(filter)
+      ? encodeCursor({ ...position, type: "offset", offset: nextOffset })
+      : null,
+  };
+};
+
+/**
+ * Paginate by a timestamp field, newest first, using the item ID as a
+ * tie-breaker. Unlike offsets, key cursors stay stable when items are
+ * added or removed between requests.
+ * @param {Array} items - Items with `id` and the sort field
+ * @param {Object} pagination - { limit, cursor }
+ * @param {string} field - Timestamp field to sort by
+ * @returns {Object} { items, nextCursor }
+ */
+const paginateByKey = (items, { limit, cursor }, field) => {
+  const compare = (a, b) =>
+    (b[field] || "").localeCompare(a[field] || "") ||
+    String(b.id).localeCompare(String(a.id));
+
+  const sorted = [...items].sort(compare);
+  const remaining = cursor
+    ? sorted.filter(
+        (item) => compare({ [field]: cursor.key, id: cursor.id }, item) < 0
+      )
+    : sorted;
+
+  const page = remaining.slice(0, limit);
+  const last = page[page.length - 1];
+
+  return {
+    items: page,
+    nextCursor:
+      remaining.length > limit
+        ? encodeCursor({ type: "key", key: last[field] || "", id: last.id })
+        : null,
+  };
+};
+
+module.exports = {
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  validatePagination,
+  paginateByOffset,
+  paginateByKey,
+};
@@ -0,0 +1,187 @@
+/**
+ * Preference utilities
+ * Preferences are stored as either a plain string (keyword search) or an
+ * object { value, type, weight, exclude } where type is "keyword" or
+ * "category". Category preferences are served from top headlines instead
+ * of a keyword search. `weight` sets the preference's share of the
+ * personalized news and `exclude` lists keywords whose articles are
+ * dropped from it. Users can also mute keywords and block sources for all
+ * of their news.
+ */
+
+// Categories supported by the headlines endpoint
+const NEWS_CATEGORIES = [
+  "general",
+  "world",
+  "nation",
+  "business",
+  "technology",
+  "entertainment",
+  "sports",
+  "science",
+  "health",
+];
+
+const PREFERENCE_TYPES = ["keyword", "category"];
+
+// Preference weights (share of the personalized news)
+const DEFAULT_WEIGHT = 1;
+const MAX_WEIGHT = 10;
+
+/**
+ * Normalize a keyword list: trimmed, lowercased, without empty entries
+ * or duplicates
+ * @param {Array} keywords - Keywords (missing means none)
+ * @returns {Array<string>} Normalized keywords
+ */
+const normalizeKeywords = (keywords) =>
+  Array.from(
+    new Set(
+      (keywords || [])
+        .map((keyword) => String(keyword).trim().toLowerCase())
+        .filter((keyword) => keyword.length > 0)
+    )
+  );
+
+/**
+ * Normalize a stored or submitted preference to object form
+ * @param {string|Object} preference - Preference
+ * @returns {Object} { value, type, weight, exclude }
+ */
+const normalizePreference = (preference) => {
+  if (typeof preference === "string") {
+    return {
+      value: preference.trim().toLowerCase(),
+      type: "keyword",
+      weight: DEFAULT_WEIGHT,
+      exclude: [],
+    };
+  }
+
+  return {
+    value: String(preference.value).trim().toLowerCase(),
+    type: preference.type || "keyword",
+    weight: Number.isInteger(preference.weight)
+      ? preference.weight
+      : DEFAULT_WEIGHT,
+    exclude: normalizeKeywords(preference.exclude),
+  };
+};
+
+/**
+ * Convert a normalized preference back to its storage form
+ * Plain keywords with default settings are kept as strings for backwards
+ * compatibility; default weight and empty exclusions are left out
+ * @param {Object} preference - Normalized preference
+ * @returns {string|Object} Preference for storage
+ */
+const serializePreference = (preference) => {
+  const hasWeight = preference.weight !== DEFAULT_WEIGHT;
+  const hasExclusions = preference.exclude.length > 0;
+
+  if (preference.type === "keyword" && !hasWeight && !hasExclusions) {
+    return preference.value;
+  }
+  return {
+    value: preference.value,
+    type: preference.type,
+    ...(hasWeight && { weight: preference.weight }),
+    ...(hasExclusions && { exclude: preference.exclude }),
+  };
+};
+
+/**
+ * Unique key of a preference (used for de-duplication)
+ * @param {Object} preference - Normalized preference
+ * @returns {string} Key
+ */
+const preferenceKey = (preference) => `${preference.type}:${preference.value}`;
+
+/**
+ * Normalize submitted preferences for storage
+ * Trims and lowercases values, drops empty ones and removes duplicates
+ * (the same value may be both a keyword and a category)
+ * @param {Array} preferences - Validated preferences
+ * @returns {Array} Preferences in storage form
+ */
+const normalizePreferences = (preferences) => {
+  const seen = new Set();
+  return preferences
+    .map(normalizePreference)
+    .filter((pref) => pref.value.length > 0)
+    .filter((pref) => {
+      const key = preferenceKey(pref);
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    })
+    .map(serializePreference);
+};
+
+/**
+ * Whether an article mentions a keyword (whole words, title and
+ * description)
+ * @param {Object} article - Normalized article
+ * @param {string} keyword - Normalized keyword
+ * @returns {boolean} True if mentioned
+ */
+const mentionsKeyword = (article, keyword) => {
+  const text = `${article.title || ""} ${article.description || ""}`;
+  const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`(^|\\W)${escaped}(\\W|$)`, "i").test(text);
+};
+
+/**
+ * Whether an article comes from a source, matched by source name or by
+ * domain (subdomains included)
+ * @param {Object} article - Normalized article
+ * @param {string} source - Normalized source name or domain
+ * @returns {boolean} True if it comes from the source
+ */
+const isFromSource = (article, source) => {
+  if (article.source && (article.source.name || "").toLowerCase() === source) {
+    return true;
+  }
+
+  const domain = source.replace(/^www\./, "");
+  return [article.url, article.source && article.source.url].some((url) => {
+    try {
+      const hostname = new URL(url).hostname.replace(/^www\./, "");
+      return hostname === domain || hostname.endsWith(`.${domain}`);
+    } catch (error) {
+      return false;
+    }
+  });
+};
+
+/**
+ * Whether an article passes a user's exclusions, mutes and blocked sources
+ * @param {Object} article - Normalized article
+ * @param {Object} filters - { exclude, mutedKeywords, blockedSources },
+ *   normalized keyword lists
+ * @returns {boolean} True if the article may be shown
+ */
+const isArticleAllowed = (
+  article,
+  { exclude = [], mutedKeywords = [], blockedSources = [] } = {}
+) =>
+  ![...exclude, ...mutedKeywords].some((keyword) =>
+    mentionsKeyword(article, keyword)
+  ) && !blockedSources.some((source) => isFromSource(article, source));
+
+module.exports = {
+  NEWS_CATEGORIES,
+  PREFERENCE_TYPES,
+  DEFAULT_WEIGHT,
+  MAX_WEIGHT,
+  normalizeKeywords,
+  normalizePreference,
+  normalizePreferences,
+  serializePreference,
+  preferenceKey,
+  mentionsKeyword,
+  isFromSource,
+  isArticleAllowed,
+};
@@ -0,0 +1,14 @@
+/**
+ * API key scopes
+ * JWT sessions can do everything; API keys only what their scopes allow.
+ */
+
+const API_KEY_SCOPES = {
+  "news:read":
+    "Read news, search, headlines, read history, favorites and statistics",
+  "articles:write": "Mark articles as read and manage favorites",
+};
+
+module.exports = {
+  API_KEY_SCOPES,
+};
@@ -0,0 +1,153 @@
+const crypto = require("crypto");
+
+/**
+ * TOTP utilities (RFC 6238, HMAC-SHA1, as used by authenticator apps)
+ * Secrets are exchanged as base32 strings.
+ */
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const DEFAULT_STEP = 30; // Seconds per code
+const DEFAULT_DIGITS = 6;
+
+/**
+ * Encode bytes as base32 (RFC 4648, no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string (case-insensitive, spaces and padding ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random TOTP secret
+ * @param {number} bytes - Secret length in bytes (20 = 160 bits)
+ * @returns {string} Base32 secret
+ */
+const generateSecret = (bytes = 20) => base32Encode(crypto.randomBytes(bytes));
+
+/**
+ * Time step counter for a point in time
+ * @param {number} time - Timestamp in milliseconds
+ * @param {number} step - Seconds per code
+ * @returns {number} Counter
+ */
+const getCounter = (time = Date.now(), step = DEFAULT_STEP) =>
+  Math.floor(time / 1000 / step);
+
+/**
+ * Generate the code for a counter (HOTP, RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Counter
+ * @param {number} digits - Code length
+ * @returns {string} Zero-padded code
+ */
+const generateCode = (secret, counter, digits = DEFAULT_DIGITS) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(message)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** digits).padStart(digits, "0");
+};
+
+/**
+ * Verify a code, allowing for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - { time, window } window is the number of
+ *   steps accepted before and after the current one
+ * @returns {number|null} Matching counter (to reject replays), or null
+ */
+const verifyCode = (secret, code, { time = Date.now(), window = 1 } = {}) => {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (normalized.length !== DEFAULT_DIGITS || !/^\d+$/.test(normalized)) {
+    return null;
+  }
+
+  const current = getCounter(time);
+  for (let counter = current - window; counter <= current + window; counter++) {
+    const expected = generateCode(secret, counter);
+    if (
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))
+    ) {
+      return counter;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI authenticator apps import (usually as a QR code)
+ * @param {Object} options - { secret, account, issuer }
+ * @returns {string} otpauth URI
+ */
+const buildOtpauthUri = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DEFAULT_DIGITS),
+    period: String(DEFAULT_STEP),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getCounter,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+};
@@ -1,3 +1,11 @@
+const {
+  NEWS_CATEGORIES,
+  PREFERENCE_TYPES,
+  MAX_WEIGHT,
+} = require("./preferences");
+const { EXPORT_FORMAT, EXPORT_VERSION } = require("./dataExport");
+const { API_KEY_SCOPES } = require("./scopes");
+
 /**
  * Validation utility functions
  */
@@ -47,6 +55,34 @@ const isValidName = (name) => {
   return trimmed.length >= 2 && trimmed.length <= 100;
 };
 
+/**
+ * Validate a list of keywords (preference exclusions, mutes, blocked
+ * sources)
+ * @param {*} keywords - Submitted list
+ * @param {string} label - Name used in error messages
+ * @param {number} maxEntries - Maximum number of entries
+ * @returns {Array<string>} Errors
+ */
+const validateKeywordList = (keywords, label, maxEntries) => {
+  if (!Array.isArray(keywords)) {
+    return [`${label} must be an array`];
+  }
+  if (keywords.length > maxEntries) {
+    return [`${label} allows at most ${maxEntries} entries`];
+  }
+  if (
+    keywords.some(
+      (keyword) =>
+        typeof keyword !== "string" ||
+        keyword.trim() === "" ||
+        keyword.length > 100
+    )
+  ) {
+    return [`${label} must contain non-empty strings of up to 100 characters`];
+  }
+  return [];
+};
+
 /**
  * Validate preferences array
  * @param {Array} preferences - Preferences to validate
@@ -69,10 +105,54 @@ const validatePreferences = (preferences) => {
     errors.push("Maximum 50 preferences allowed");
   }
 
-  // Validate each preference
+  // Validate each preference (string keyword or { value, type } object)
   preferences.forEach((pref, index) => {
-    if (typeof pref !== "string") {
-      errors.push(`Preference at index ${index} must be a string`);
+    if (pref && typeof pref === "object" && !Array.isArray(pref)) {
+      if (!PREFERENCE_TYPES.includes(pref.type || "keyword")) {
+        errors.push(
+          `Preference at index ${index} must have type ${PREFERENCE_TYPES.join(
+            " or "
+          )}`
+        );
+        return;
+      }
+      if (typeof pref.value !== "string" || pref.value.trim() === "") {
+        errors.push(`Preference at index ${index} must have a value`);
+      } else if (pref.value.length > 100) {
+        errors.push(
+          `Preference at index ${index} exceeds maximum length of 100 characters`
+        );
+      } else if (
+        pref.type === "category" &&
+        !NEWS_CATEGORIES.includes(pref.value.trim().toLowerCase())
+      ) {
+        errors.push(
+          `Preference at index ${index} must be one of the categories: ${NEWS_CATEGORIES.join(
+            ", "
+          )}`
+        );
+      }
+      if (
+        pref.weight !== undefined &&
+        (!Number.isInteger(pref.weight) ||
+          pref.weight < 1 ||
+          pref.weight > MAX_WEIGHT)
+      ) {
+        errors.push(
+          `Preference at index ${index} must have a weight between 1 and ${MAX_WEIGHT}`
+        );
+      }
+      if (pref.exclude !== undefined) {
+        errors.push(
+          ...validateKeywordList(
+            pref.exclude,
+            `Exclusions of preference at index ${index}`,
+            20
+          )
+        );
+      }
+    } else if (typeof pref !== "string") {
+      errors.push(`Preference at index ${index} must be a string or object`);
     } else if (pref.trim() === "") {
       errors.push(`Preference at index ${index} cannot be empty`);
     } else if (pref.length > 100) {
@@ -88,6 +168,27 @@ const validatePreferences = (preferences) => {
   };
 };
 
+/**
+ * Validate muted keywords and blocked sources (both optional)
+ * @param {Object} data - { mutedKeywords, blockedSources }
+ * @returns {Object} Validation result {isValid, errors}
+ */
+const validateNewsFilters = ({ mutedKeywords, blockedSources } = {}) => {
+  const errors = [];
+
+  if (mutedKeywords !== undefined) {
+    errors.push(...validateKeywordList(mutedKeywords, "mutedKeywords", 100));
+  }
+  if (blockedSources !== undefined) {
+    errors.push(...validateKeywordList(blockedSources, "blockedSources", 100));
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+};
+
 /**
  * Validate search query
  * @param {string} query - Search query
@@ -112,6 +213,199 @@ const validateSearchQuery = (query) => {
   };
 };
 
+const SEARCH_SORT_OPTIONS = ["relevance", "publishedAt"];
+const SEARCH_FIELDS = ["title", "description", "content"];
+
+/**
+ * Parse a date search parameter (YYYY-MM-DD or ISO 8601)
+ * @param {string} value - Date string
+ * @returns {string|null} ISO date without milliseconds, or null if invalid
+ */
+const parseSearchDate = (value) => {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}/.test(value)) {
+    return null;
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    return null;
+  }
+  return date.toISOString().replace(/\.\d{3}Z$/, "Z");
+};
+
+/**
+ * Validate advanced search options
+ * Accepts lang, country, from, to, sortBy, in and max query parameters
+ * @param {Object} query - Request query parameters
+ * @returns {Object} Validation result {isValid, errors, options}
+ */
+const validateSearchOptions = (query = {}) => {
+  const errors = [];
+  const options = {};
+
+  if (query.lang !== undefined) {
+    if (typeof query.lang !== "string" || !/^[a-z]{2}$/i.test(query.lang)) {
+      errors.push("lang must be a 2-letter language code");
+    } else {
+      options.lang = query.lang.toLowerCase();
+    }
+  }
+
+  if (query.country !== undefined) {
+    if (
+      typeof query.country !== "string" ||
+      !/^[a-z]{2}$/i.test(query.country)
+    ) {
+      errors.push("country must be a 2-letter country code");
+    } else {
+      options.country = query.country.toLowerCase();
+    }
+  }
+
+  ["from", "to"].forEach((field) => {
+    if (query[field] !== undefined) {
+      const date = parseSearchDate(query[field]);
+      if (!date) {
+        errors.push(`${field} must be a date (YYYY-MM-DD or ISO 8601)`);
+      } else {
+        options[field] = date;
+      }
+    }
+  });
+
+  if (options.from && options.to && options.from > options.to) {
+    errors.push("from must be before to");
+  }
+
+  if (query.sortBy !== undefined) {
+    if (!SEARCH_SORT_OPTIONS.includes(query.sortBy)) {
+      errors.push(`sortBy must be one of: ${SEARCH_SORT_OPTIONS.join(", ")}`);
+    } else {
+      options.sortBy = query.sortBy;
+    }
+  }
+
+  if (query.in !== undefined) {
+    const fields = (Array.isArray(query.in) ? query.in : [query.in])
+      .flatMap((value) => String(value).split(","))
+      .map((value) => value.trim())
+      .filter(Boolean);
+    const invalid = fields.filter((field) => !SEARCH_FIELDS.includes(field));
+
+    if (fields.length === 0 || invalid.length > 0) {
+      errors.push(
+        `in must be a comma-separated list of: ${SEARCH_FIELDS.join(", ")}`
+      );
+    } else {
+      // Keep a stable order so equivalent requests share a cache entry
+      options.in = SEARCH_FIELDS.filter((field) => fields.includes(field));
+    }
+  }
+
+  if (query.max !== undefined) {
+    const max = Number(query.max);
+    if (!Number.isInteger(max) || max < 1 || max > 100) {
+      errors.push("max must be an integer between 1 and 100");
+    } else {
+      options.max = max;
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    options,
+  };
+};
+
+/**
+ * Validate top headlines query parameters
+ * Accepts category, country, lang and max
+ * @param {Object} query - Request query parameters
+ * @returns {Object} Validation result {isValid, errors, options}
+ */
+const validateHeadlinesQuery = (query = {}) => {
+  const errors = [];
+  const options = { category: "general" };
+
+  if (query.category !== undefined) {
+    const category =
+      typeof query.category === "string" ? query.category.toLowerCase() : "";
+    if (!NEWS_CATEGORIES.includes(category)) {
+      errors.push(`category must be one of: ${NEWS_CATEGORIES.join(", ")}`);
+    } else {
+      options.category = category;
+    }
+  }
+
+  // Reuse search validation for the shared parameters
+  const shared = validateSearchOptions({
+    lang: query.lang,
+    country: query.country,
+    max: query.max,
+  });
+  errors.push(...shared.errors);
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    options: { ...options, ...shared.options },
+  };
+};
+
+/**
+ * Validate the hideRead query parameter of news listings
+ * @param {Object} query - Request query parameters
+ * @returns {Object} Validation result {isValid, errors, hideRead}
+ */
+const validateReadFilter = (query = {}) => {
+  const errors = [];
+  let hideRead = false;
+
+  if (query.hideRead !== undefined) {
+    if (query.hideRead === "true" || query.hideRead === "false") {
+      hideRead = query.hideRead === "true";
+    } else {
+      errors.push("hideRead must be true or false");
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    hideRead,
+  };
+};
+
+/**
+ * Validate feed URL
+ * @param {string} url - RSS/Atom feed URL
+ * @returns {Object} Validation result {isValid, errors}
+ */
+const validateFeedUrl = (url) => {
+  const errors = [];
+
+  if (!url || typeof url !== "string" || !url.trim()) {
+    errors.push("Feed URL is required");
+  } else if (url.length > 2048) {
+    errors.push("Feed URL exceeds maximum length of 2048 characters");
+  } else {
+    let parsed;
+    try {
+      parsed = new URL(url.trim());
+    } catch (error) {
+      errors.push("Feed URL must be a valid URL");
+    }
+    if (parsed && !["http:", "https:"].includes(parsed.protocol)) {
+      errors.push("Feed URL must use http or https");
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+};
+
 /**
  * Validate registration input
  * @param {Object} data - Registration data
@@ -155,6 +449,237 @@ const validateRegistration = (data) => {
   };
 };
 
+/**
+ * Validate an email-only request (forgot password, resend verification)
+ * @param {Object} data - { email }
+ * @returns {Object} Validation result {isValid, errors}
+ */
+const validateEmailInput = (data) => {
+  const errors = [];
+
+  if (!data.email || typeof data.email !== "string" || !data.email.trim()) {
+    errors.push("Email is required");
+  } else if (!isValidEmail(data.email)) {
+    errors.push("Invalid email format");
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+};
+
+/**
+ * Validate password reset input
+ * @param {Object} data - { token, password }
+ * @returns {Object} Validation result {isValid, errors}
+ */
+const validatePasswordReset = (data) => {
+  const errors = [];
+
+  if (!data.token || typeof data.token !== "string") {
+    errors.push("Reset token is required");
+  }
+
+  if (!data.password) {
+    errors.push("Password is required");
+  } else if (!isValidPassword(data.password)) {
+    errors.push("Password must be at least 6 characters long");
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+};
+
+/**
+ * Validate profile update input
+ * At least one of name or email is required
+ * @param {Object} data - { name, email }
+ * @returns {Object} Validation result {isValid, errors}
+ */
+const validateProfileUpdate = (data) => {
+  const errors = [];
+
+  if (data.name === undefined && data.email === undefined) {
+    errors.push("Provide a name or email to update");
+  }
+
+  if (data.name !== undefined && !isValidName(data.name)) {
+    errors.push("Name must be between 2 and 100 characters");
+  }
+
+  if (data.email !== undefined && !isValidEmail(data.email)) {
+    errors.push("Invalid email format");
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+};
+
+/**
+ * Validate password change input
+ * @param {Object} data - { currentPassword, newPassword }
+ * @returns {Object} Validation result {isValid, errors}
+ */
+const validatePasswordChange = (data) => {
+  const errors = [];
+
+  if (!data.currentPassword || typeof data.currentPassword !== "string") {
+    errors.push("Current password is required");
+  }
+
+  if (!data.newPassword) {
+    errors.push("New password is required");
+  } else if (!isValidPassword(data.newPassword)) {
+    errors.push("New password must be at least 6 characters long");
+  } else if (data.newPassword === data.currentPassword) {
+    errors.push("New password must be different from the current password");
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+};
+
+/**
+ * Validate API key creation input
+ * @param {Object} data - { name, scopes }
+ * @returns {Object} Validation result {isValid, errors}
+ */
+const validateApiKeyInput = (data) => {
+  const errors = [];
+  const validScopes = Object.keys(API_KEY_SCOPES);
+
+  if (!data.name || typeof data.name !== "string" || !data.name.trim()) {
+    errors.push("Name is required");
+  } else if (data.name.trim().length > 100) {
+    errors.push("Name exceeds maximum length of 100 characters");
+  }
+
+  if (!Array.isArray(data.scopes) || data.scopes.length === 0) {
+    errors.push(
+      `Scopes must be a non-empty array of: ${validScopes.join(", ")}`
+    );
+  } else {
+    const invalid = data.scopes.filter((scope) => !validScopes.includes(scope));
+    if (invalid.length > 0) {
+      errors.push(
+        `Unknown scopes: ${invalid.join(", ")}. Valid scopes: ${validScopes.join(
+          ", "
+        )}`
+      );
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+};
+
+/**
+ * Check that a value is an ISO date string
+ * @param {any} value - Value to check
+ * @returns {boolean} True if valid
+ */
+const isValidTimestamp = (value) =>
+  typeof value === "string" && !isNaN(Date.parse(value));
+
+/**
+ * Validate a personal data archive for import
+ * @param {Object} archive - Archive from GET /users/me/export
+ * @param {number} maxEntries - Maximum read history/favorite entries each
+ * @param {number} maxFeeds - Maximum feed subscriptions
+ * @returns {Object} Validation result {isValid, errors}
+ */
+const validateDataImport = (archive, maxEntries = 5000, maxFeeds = 50) => {
+  const errors = [];
+
+  if (!archive || typeof archive !== "object" || Array.isArray(archive)) {
+    errors.push("Export archive is required");
+    return { isValid: false, errors };
+  }
+
+  if (archive.format !== EXPORT_FORMAT || archive.version !== EXPORT_VERSION) {
+    errors.push(
+      `Archive must have format "${EXPORT_FORMAT}" and version ${EXPORT_VERSION}`
+    );
+    return { isValid: false, errors };
+  }
+
+  if (
+    archive.profile &&
+    archive.profile.name !== undefined &&
+    !isValidName(archive.profile.name)
+  ) {
+    errors.push("Name must be between 2 and 100 characters");
+  }
+
+  if (archive.preferences !== undefined) {
+    errors.push(...validatePreferences(archive.preferences).errors);
+  }
+  errors.push(
+    ...validateNewsFilters({
+      mutedKeywords: archive.mutedKeywords,
+      blockedSources: archive.blockedSources,
+    }).errors
+  );
+
+  [
+    ["readHistory", "readAt"],
+    ["favorites", "favoritedAt"],
+  ].forEach(([field, timestamp]) => {
+    const entries = archive[field];
+    if (entries === undefined) {
+      return;
+    }
+    if (!Array.isArray(entries)) {
+      errors.push(`${field} must be an array`);
+      return;
+    }
+    if (entries.length > maxEntries) {
+      errors.push(`Maximum ${maxEntries} ${field} entries allowed`);
+      return;
+    }
+    entries.forEach((entry, index) => {
+      if (
+        !entry ||
+        typeof entry.url !== "string" ||
+        !entry.url.trim() ||
+        !isValidTimestamp(entry[timestamp])
+      ) {
+        errors.push(
+          `${field} entry at index ${index} must have a url and ${timestamp}`
+        );
+      }
+    });
+  });
+
+  if (archive.feeds !== undefined) {
+    if (!Array.isArray(archive.feeds)) {
+      errors.push("feeds must be an array");
+    } else if (archive.feeds.length > maxFeeds) {
+      errors.push(`Maximum ${maxFeeds} feeds allowed`);
+    } else {
+      archive.feeds.forEach((feed, index) => {
+        if (!feed || !validateFeedUrl(feed.url).isValid) {
+          errors.push(`feeds entry at index ${index} must have a valid url`);
+        }
+      });
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+};
+
 /**
  * Validate login input
  * @param {Object} data - Login data
@@ -205,7 +730,18 @@ module.exports = {
   isValidName,
   validateRegistration,
   validateLogin,
+  validateEmailInput,
+  validatePasswordReset,
+  validateProfileUpdate,
+  validatePasswordChange,
+  validateDataImport,
+  validateApiKeyInput,
   validatePreferences,
+  validateNewsFilters,
   validateSearchQuery,
+  validateSearchOptions,
+  validateHeadlinesQuery,
+  validateReadFilter,
+  validateFeedUrl,
   sanitizeInput,
 };